@@ -6,13 +6,24 @@
 
 const { Gateway } = require('fabric-network');
 const { enrollAdmin } = require('./utils/CAUtil.js');
-const { enrollUser, addStudent, addTeacher, addSecretariat } = require('./utils/users');
-const { getCaClient, getContract, initWallet } = require('./utils/network');
+const { enrollUser, addStudent, addTeacher, addSecretariat, addVerifier } = require('./utils/users');
+const { getCaClient, getContract, initWallet, listenContractEvents } = require('./utils/network');
+const { publish } = require('./utils/events');
+const { notify, countUnread } = require('./utils/notifications');
+const { scheduleDigest } = require('./utils/digest');
+const { getSchool } = require('./utils/schools');
+const { samplesTransient } = require('./utils/grades');
 
 /**
- * Hyperledger Fabric organization name
+ * School of this application instance (Hyperledger Fabric organization)
  */
-const mspOrg1 = 'Org1MSP';
+const school = getSchool();
+
+/**
+ * Identity used for the public (unauthenticated) credential verification
+ */
+const verifierUsername = `verifier@${school.domain}`;
+const verifierPassword = 'Pass123';
 
 /**
  * Wallet to store the application users
@@ -35,7 +46,7 @@ const gateway = new Gateway();
 const express = require('express')
 var session = require("express-session")
 const app = express()
-const port = 3000
+const port = school.port
 
 app.use(session({
 	secret: 'blockchain :)',
@@ -44,6 +55,19 @@ app.use(session({
 }));
 
 app.use(express.static('public'));
+
+/**
+ * Course staff, lifecycle and prerequisites helpers, used by the views to reflect the permissions of the teachers,
+ * the operations allowed in the state of the courses and the prerequisites of the courses
+ */
+app.locals.staff = require('./utils/staff');
+app.locals.lifecycle = require('./utils/lifecycle');
+app.locals.prerequisites = require('./utils/prerequisites');
+
+/**
+ * School of the application, displayed in the menu
+ */
+app.locals.school = school;
 app.use(express.urlencoded({
 	extended: true
 }));
@@ -65,7 +89,7 @@ app.use(passport.session());
 passport.use(new LocalStrategy(
 	async function (username, password, done) {
 		try {
-			let user = await enrollUser(caClient, wallet, mspOrg1, username, password);
+			let user = await enrollUser(caClient, wallet, school.mspId, username, password);
 			return done(null, user);
 		}
 		catch (error) {
@@ -81,6 +105,16 @@ passport.deserializeUser(function (user, done) {
 	done(null, user);
 });
 
+/**
+ * Number of unread notifications of the authenticated user, displayed in the menu
+ */
+app.use((req, res, next) => {
+	if (req.isAuthenticated()) {
+		res.locals.unreadNotifications = countUnread(req.user.username);
+	}
+	next();
+});
+
 /**
  * EJS view engine configuration
  */
@@ -135,29 +169,40 @@ async function main() {
 	wallet = await initWallet();
 
 	// enroll admin
-	await enrollAdmin(caClient, wallet, mspOrg1);
+	await enrollAdmin(caClient, wallet, school.mspId);
 
 	// register secretariat user
-	await addSecretariat(caClient, wallet, 'secretariat@heig-vd.ch', 'Pass123', 'Secretariat', 'HEIG-VD');
+	await addSecretariat(caClient, wallet, `secretariat@${school.domain}`, 'Pass123', 'Secretariat', school.name);
 
-	// register sample professors
-	await addTeacher(caClient, wallet, 'minnie.mouse@heig-vd.ch', 'Pass123', 'Minnie', 'Mouse');
-	await addTeacher(caClient, wallet, 'daisy.duck@heig-vd.ch', 'Pass123', 'Daisy', 'Duck');
-	await addTeacher(caClient, wallet, 'mulan.fa@heig-vd.ch', 'Pass123', 'Mulan', 'Fa');
-	await addTeacher(caClient, wallet, 'snow.white@heig-vd.ch', 'Pass123', 'Snow', 'White');
-	await addTeacher(caClient, wallet, 'tinker.bell@heig-vd.ch', 'Pass123', 'Tinker', 'Bell');
+	if (school.samples) {
+		// register sample professors
+		await addTeacher(caClient, wallet, 'minnie.mouse@heig-vd.ch', 'Pass123', 'Minnie', 'Mouse');
+		await addTeacher(caClient, wallet, 'daisy.duck@heig-vd.ch', 'Pass123', 'Daisy', 'Duck');
+		await addTeacher(caClient, wallet, 'mulan.fa@heig-vd.ch', 'Pass123', 'Mulan', 'Fa');
+		await addTeacher(caClient, wallet, 'snow.white@heig-vd.ch', 'Pass123', 'Snow', 'White');
+		await addTeacher(caClient, wallet, 'tinker.bell@heig-vd.ch', 'Pass123', 'Tinker', 'Bell');
 
-	// register sample students
-	await addStudent(caClient, wallet, 'amel.dussier@heig-vd.ch', 'Pass123', 'Amel', 'Dussier');
-	await addStudent(caClient, wallet, 'elyas.dussier@heig-vd.ch', 'Pass123', 'Elyas', 'Dussier');
-	await addStudent(caClient, wallet, 'jade.dussier@heig-vd.ch', 'Pass123', 'Jade', 'Dussier');
+		// register sample students
+		await addStudent(caClient, wallet, 'amel.dussier@heig-vd.ch', 'Pass123', 'Amel', 'Dussier');
+		await addStudent(caClient, wallet, 'elyas.dussier@heig-vd.ch', 'Pass123', 'Elyas', 'Dussier');
+		await addStudent(caClient, wallet, 'jade.dussier@heig-vd.ch', 'Pass123', 'Jade', 'Dussier');
+	}
+	else {
+		// register a sample professor and an exchange student of the first school
+		await addTeacher(caClient, wallet, `goofy.goof@${school.domain}`, 'Pass123', 'Goofy', 'Goof');
+		await addStudent(caClient, wallet, 'amel.dussier@heig-vd.ch', 'Pass123', 'Amel', 'Dussier');
+	}
 
-	// get smart contract
-	const contract = await getContract('admin');
+	// register and enroll the public verifier user
+	await addVerifier(caClient, wallet, verifierUsername, verifierPassword, 'Public', 'Verifier');
+	await enrollUser(caClient, wallet, school.mspId, verifierUsername, verifierPassword);
 
-	// chaincode initialization
-	await contract.submitTransaction('InitLedger');
-	console.log('Chaincode initialization done');
+	// chaincode initialization with the sample data of the first school
+	if (school.samples) {
+		const contract = await getContract('admin');
+		await contract.createTransaction('InitLedger').setTransient(samplesTransient()).submit();
+		console.log('Chaincode initialization done');
+	}
 
 	// course router
 	var courseRouter = require('./routes/courses');
@@ -175,6 +220,55 @@ async function main() {
 	var gradeRouter = require('./routes/grades');
 	app.use('/grades', gradeRouter(caClient, wallet, gateway));
 
+	// course registration router
+	var registrationRouter = require('./routes/registrations');
+	app.use('/registrations', registrationRouter(caClient, wallet, gateway));
+
+	// study program router
+	var programRouter = require('./routes/programs');
+	app.use('/programs', programRouter(caClient, wallet, gateway));
+
+	// diploma router
+	var diplomaRouter = require('./routes/diplomas');
+	app.use('/diplomas', diplomaRouter(caClient, wallet, gateway));
+
+	// credit transfer router
+	var transferRouter = require('./routes/transfers');
+	app.use('/transfers', transferRouter(caClient, wallet, gateway));
+
+	// public verification router (no authentication)
+	var verifyRouter = require('./routes/verify');
+	app.use('/verify', verifyRouter(verifierUsername, gateway));
+
+	// live updates router, fed by the chaincode events
+	var eventRouter = require('./routes/events');
+	app.use('/events', eventRouter());
+
+	// notification center router, fed by the chaincode events
+	var notificationRouter = require('./routes/notifications');
+	app.use('/notifications', notificationRouter());
+
+	// forward the chaincode events to the open pages and to the notification center
+	await listenContractEvents('admin', (contractEvent) => {
+		let event;
+		try {
+			event = JSON.parse(contractEvent.payload.toString());
+		}
+		catch (error) {
+			console.error(`Ignoring the ${contractEvent.eventName} event with an invalid payload: ${error}`);
+			return;
+		}
+		if (!event || typeof event !== 'object') {
+			console.error(`Ignoring the ${contractEvent.eventName} event without payload`);
+			return;
+		}
+		publish(contractEvent.eventName, event);
+		notify(contractEvent.eventName, event);
+	});
+
+	// daily email digest of the notifications (if an SMTP server is configured)
+	scheduleDigest(process.env.APP_URL || `http://localhost:${port}`);
+
 	// start web server
 	app.listen(port, () => {
 		console.log(`Listening at http://localhost:${port}`)
@@ -2,8 +2,108 @@
 
 const { getUser, listTeachers } = require('../utils/users');
 const { getContract } = require('../utils/network');
+const { getValidationErrors } = require('../utils/errors');
+const { parseCsv } = require('../utils/csv');
+const { sendTable, buildCourseTable } = require('../utils/export');
+const { buildGradebook } = require('../utils/gradebook');
+const { transitions, isFinalized } = require('../utils/lifecycle');
+const { parsePrerequisites } = require('../utils/prerequisites');
+const { gradeTransient, gradesTransient, gradeDataTransient } = require('../utils/grades');
+const { pageSize, getPage, buildPager } = require('../utils/pagination');
+const { v4: uuidv4 } = require('uuid');
 
 var express = require('express');
+var multer = require('multer');
+
+/**
+ * Uploaded files are kept in memory (grade imports are small CSV files)
+ */
+var upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 1024 * 1024 } });
+
+/**
+ * Get the assessments, grades, students and results of a course (students only get their own grades and result)
+ *
+ * @async
+ * @param {Contract} contract the smart contract
+ * @param {FabricCAServices} caClient the CA client
+ * @param {Wallet} wallet the wallet
+ * @param {Object} course the course
+ * @param {Object} user the current user
+ * @returns {Promise<Object>} the assessments, the grades, the students sorted by name and the results by student username
+ */
+async function getCourseGrades(contract, caClient, wallet, course, user) {
+
+    // get assessments
+    let assessmentsAsset = await contract.evaluateTransaction('ListAssessments', course.ID);
+    let assessments = JSON.parse(assessmentsAsset.toString());
+
+    // get grades
+    let gradesAsset = await contract.evaluateTransaction('ListGradesByCourse', course.ID);
+    let grades = JSON.parse(gradesAsset.toString());
+
+    // get students and results
+    let studentIds = user.role === 'student' ? [user.username] : course.Students;
+    let students = [];
+    let results = {};
+    for (const studentId of studentIds) {
+        students.push(await getUser(caClient, wallet, studentId));
+        let result = await contract.evaluateTransaction('GetCourseResult', course.ID, studentId);
+        results[studentId] = JSON.parse(result.toString());
+    }
+    students.sort((a, b) => a.lastname.localeCompare(b.lastname) || a.firstname.localeCompare(b.firstname));
+
+    return { assessments: assessments, grades: grades, students: students, results: results };
+}
+
+/**
+ * Parse and check the rows of a grade import (student email, assessment name, value and optional comment)
+ * This is only a preview, the grades are validated again by the chaincode
+ *
+ * @param {Object} course the course
+ * @param {Object[]} assessments the assessments of the course
+ * @param {string[][]} rows the CSV rows
+ * @returns {Object[]} the parsed grades, with the list of errors of each row
+ */
+function checkGradeRows(course, assessments, rows) {
+    const scheme = course.GradingScheme;
+
+    // skip header
+    if (rows.length > 0 && rows[0][0].toLowerCase().indexOf('@') === -1) {
+        rows = rows.slice(1);
+    }
+
+    return rows.map((row, index) => {
+        let grade = {
+            Line: index + 1,
+            Student: (row[0] || '').toLowerCase(),
+            AssessmentName: row[1] || '',
+            Value: (row[2] || '').replace(',', '.'),
+            Comment: (row[3] || '').trim(),
+            Errors: []
+        };
+
+        // check student
+        if (course.Students.indexOf(grade.Student) === -1) {
+            grade.Errors.push(`The student '${grade.Student}' is not registered in the course`);
+        }
+
+        // check assessment (by name or id)
+        const assessment = assessments.find(a => a.Name === grade.AssessmentName || a.ID === grade.AssessmentName);
+        if (!assessment) {
+            grade.Errors.push(`The assessment must be one of: ${assessments.map(a => a.Name).join(', ')}`);
+        }
+        grade.Assessment = assessment ? assessment.ID : undefined;
+
+        // check value
+        const value = Number(grade.Value);
+        const maxValue = assessment ? assessment.MaxScore : scheme.MaxValue;
+        if (grade.Value === '' || isNaN(value) || value < scheme.MinValue || value > maxValue) {
+            grade.Errors.push(`The value must be a number between ${scheme.MinValue} and ${maxValue}`);
+        }
+
+        return grade;
+    });
+}
 
 /**
  * Router for course endpoints
@@ -35,12 +135,14 @@ var courseRouter = function (caClient, wallet, gateway) {
             // get smart contract
             const contract = await getContract(req.user.username);
 
-            // get list of courses
-            let result = await contract.evaluateTransaction('ListCourses');
-            let courses = JSON.parse(result.toString());
+            // get the requested page of courses
+            const { page, bookmark } = getPage(req, 'courses');
+            let result = await contract.evaluateTransaction('ListCoursesWithPagination', pageSize.toString(), bookmark);
+            let coursesPage = JSON.parse(result.toString());
+            let courses = coursesPage.Records;
 
             // render view
-            res.render('courses', { courses: courses });
+            res.render('courses', { courses: courses, pager: buildPager(req, 'courses', page, coursesPage) });
         }
         catch (error) {
             res.render('error', { error: error });
@@ -73,8 +175,31 @@ var courseRouter = function (caClient, wallet, gateway) {
             // get smart contract
             const contract = await getContract(req.user.username);
 
-            // regsiter student
-            await contract.submitTransaction('AddCourse', req.body.acronym, req.body.name, req.body.year, req.body.teacher);
+            // build grading scheme (grade types with a weight of 0 are not used)
+            const gradingScheme = {
+                MinValue: req.body.minValue,
+                MaxValue: req.body.maxValue,
+                PassThreshold: req.body.passThreshold,
+                Rounding: req.body.rounding,
+                Types: ['Labo', 'Test', 'Exam']
+                    .filter(type => Number(req.body['weight' + type]) > 0)
+                    .map(type => ({ Type: type, Weight: req.body['weight' + type] }))
+            };
+
+            // add course
+            try {
+                await contract.submitTransaction('AddCourse', req.body.acronym, req.body.name, req.body.year, req.body.teacher, JSON.stringify(gradingScheme), req.body.capacity, JSON.stringify(parsePrerequisites(req.body.prerequisites)));
+            }
+            catch (error) {
+                // show validation errors on the form
+                const errors = getValidationErrors(error);
+                if (!errors) {
+                    throw error;
+                }
+                const teachers = await listTeachers(caClient, wallet);
+                res.render('add-course', { teachers: teachers, values: req.body, errors: errors });
+                return;
+            }
 
             // redirect
             res.redirect('/courses');
@@ -110,8 +235,449 @@ var courseRouter = function (caClient, wallet, gateway) {
 
             let teacher = await getUser(caClient, wallet, course.Teacher);
 
+            // get staff members
+            let members = [];
+            for (const member of course.Staff || []) {
+                let user = await getUser(caClient, wallet, member.Member);
+                members.push(Object.assign({ permissions: member.Permissions }, user));
+            }
+
+            // get teachers (staff assignment form for the secretariat) and waitlisted students, in waitlist order
+            let teachers = [];
+            let waitlist = [];
+            if (req.user.role === 'secretariat') {
+                teachers = (await listTeachers(caClient, wallet)).filter(t => t.username !== course.Teacher);
+
+                let requestsAsset = await contract.evaluateTransaction('ListRegistrationRequests');
+                let requests = JSON.parse(requestsAsset.toString());
+                for (const requestId of course.Waitlist || []) {
+                    let request = requests.find(r => r.ID === requestId);
+                    waitlist.push(Object.assign({ request: request }, await getUser(caClient, wallet, request.Student)));
+                }
+            }
+
+            // get prerequisite overrides (students registered without meeting the prerequisites)
+            let overrides = [];
+            if (req.user.role !== 'student') {
+                let overridesAsset = await contract.evaluateTransaction('ListPrerequisiteOverrides', req.params.courseId);
+                for (const override of JSON.parse(overridesAsset.toString())) {
+                    overrides.push(Object.assign({ override: override }, await getUser(caClient, wallet, override.Student)));
+                }
+            }
+
+            // get endorsement policies of the finalized results (secretariat)
+            let endorsements = {};
+            if (req.user.role === 'secretariat' && isFinalized(course)) {
+                for (const student of course.Students) {
+                    let policyAsset = await contract.evaluateTransaction('GetResultEndorsementPolicy', course.ID + '_' + student);
+                    endorsements[student] = JSON.parse(policyAsset.toString());
+                }
+            }
+
+            // render view
+            res.render('course-details', { course: course, teacher: teacher, students: students, members: members, teachers: teachers, waitlist: waitlist, overrides: overrides, endorsements: endorsements });
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * List of the assessments of a course, with the add assessment form
+     */
+    router.get('/:courseId/assessments', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // get course
+            let courseAsset = await contract.evaluateTransaction('GetCourse', req.params.courseId);
+            let course = JSON.parse(courseAsset.toString());
+
+            // get assessments
+            let assessmentsAsset = await contract.evaluateTransaction('ListAssessments', req.params.courseId);
+            let assessments = JSON.parse(assessmentsAsset.toString());
+
+            // render view
+            res.render('assessments', { course: course, assessments: assessments });
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * Adds a new assessment to a course
+     */
+    router.post('/:courseId/assessments', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // add assessment
+            try {
+                const uuid = uuidv4();
+                await contract.submitTransaction('AddAssessment', uuid, req.params.courseId, req.body.name, req.body.type, req.body.weight, req.body.date, req.body.maxScore);
+            }
+            catch (error) {
+                // show validation errors on the form
+                const errors = getValidationErrors(error);
+                if (!errors) {
+                    throw error;
+                }
+
+                // get course
+                let courseAsset = await contract.evaluateTransaction('GetCourse', req.params.courseId);
+                let course = JSON.parse(courseAsset.toString());
+
+                // get assessments
+                let assessmentsAsset = await contract.evaluateTransaction('ListAssessments', req.params.courseId);
+                let assessments = JSON.parse(assessmentsAsset.toString());
+
+                res.render('assessments', { course: course, assessments: assessments, values: req.body, errors: errors });
+                return;
+            }
+
+            // redirect
+            res.redirect('/courses/' + req.params.courseId + '/assessments');
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * Redirect to the edit assessment form
+     */
+    router.get('/:courseId/assessments/:id/edit', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // get course
+            let courseAsset = await contract.evaluateTransaction('GetCourse', req.params.courseId);
+            let course = JSON.parse(courseAsset.toString());
+
+            // get assessment
+            let assessmentAsset = await contract.evaluateTransaction('GetAssessment', req.params.id);
+            let assessment = JSON.parse(assessmentAsset.toString());
+
+            // render view
+            res.render('edit-assessment', { course: course, assessment: assessment });
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * Edits an existing assessment
+     */
+    router.post('/:courseId/assessments/:id/edit', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // update assessment
+            try {
+                await contract.submitTransaction('UpdateAssessment', req.params.id, req.body.name, req.body.type, req.body.weight, req.body.date, req.body.maxScore);
+            }
+            catch (error) {
+                // show validation errors on the form
+                const errors = getValidationErrors(error);
+                if (!errors) {
+                    throw error;
+                }
+
+                // get course
+                let courseAsset = await contract.evaluateTransaction('GetCourse', req.params.courseId);
+                let course = JSON.parse(courseAsset.toString());
+
+                // get assessment
+                let assessmentAsset = await contract.evaluateTransaction('GetAssessment', req.params.id);
+                let assessment = JSON.parse(assessmentAsset.toString());
+
+                res.render('edit-assessment', { course: course, assessment: assessment, values: req.body, errors: errors });
+                return;
+            }
+
+            // redirect
+            res.redirect('/courses/' + req.params.courseId + '/assessments');
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * Deletes an assessment (only if it is not graded)
+     */
+    router.get('/:courseId/assessments/:id/delete', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // delete assessment
+            await contract.submitTransaction('DeleteAssessment', req.params.id);
+
+            // redirect
+            res.redirect('/courses/' + req.params.courseId + '/assessments');
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * Render the gradebook of a course (students as rows, assessments as columns)
+     *
+     * @async
+     * @param {Request} req the HTTP request
+     * @param {Response} res the HTTP response
+     * @param {Object} errors the validation errors, by grade id
+     */
+    async function renderGradebook(req, res, errors) {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // get course
+            let result = await contract.evaluateTransaction('GetCourse', req.params.courseId);
+            let course = JSON.parse(result.toString());
+
+            // get assessments, grades, students and results
+            const { assessments, grades, students, results } = await getCourseGrades(contract, caClient, wallet, course, req.user);
+
+            // render view
+            res.render('gradebook', { course: course, gradebook: buildGradebook(course, assessments, students, grades, results), errors: errors });
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    }
+
+    /**
+     * Gradebook of a course
+     */
+    router.get('/:courseId/gradebook', async (req, res) => {
+        await renderGradebook(req, res, {});
+    })
+
+    /**
+     * Update the value of a grade from the gradebook
+     */
+    router.post('/:courseId/gradebook', async (req, res) => {
+        let errors = {};
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // get grade, to keep its comment
+            let gradeAsset = await contract.evaluateTransaction('GetGrade', req.body.id);
+            let grade = JSON.parse(gradeAsset.toString());
+
+            // update grade
+            await contract.createTransaction('UpdateGrade')
+                .setTransient(gradeTransient(req.body.value, grade.Comment))
+                .submit(req.body.id);
+        }
+        catch (error) {
+            const validationErrors = getValidationErrors(error);
+            errors[req.body.id] = { value: req.body.value, message: validationErrors && validationErrors.value ? validationErrors.value : error.message };
+        }
+        finally {
+            gateway.disconnect();
+        }
+
+        // render gradebook
+        await renderGradebook(req, res, errors);
+    })
+
+    /**
+     * Export of all course grades (CSV or XLSX), one row per student
+     */
+    router.get('/:courseId/grades.:format', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // get course
+            let courseAsset = await contract.evaluateTransaction('GetCourse', req.params.courseId);
+            let course = JSON.parse(courseAsset.toString());
+
+            // get assessments, grades, students and results
+            const { assessments, grades, students, results } = await getCourseGrades(contract, caClient, wallet, course, req.user);
+
+            // send file
+            const table = buildCourseTable(course, assessments, students, grades, results);
+            await sendTable(res, req.params.format, `grades-${course.ID}`, table.columns, table.rows);
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * Redirect to the grade import form
+     */
+    router.get('/:courseId/import', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // get course
+            let result = await contract.evaluateTransaction('GetCourse', req.params.courseId);
+            let course = JSON.parse(result.toString());
+
+            // get assessments
+            let assessments = await contract.evaluateTransaction('ListAssessments', req.params.courseId);
+
             // render view
-            res.render('course-details', { course: course, teacher: teacher, students: students });
+            res.render('import-grades', { course: course, assessments: JSON.parse(assessments.toString()), grades: undefined });
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * Preview of a grade import (CSV file with student email, assessment and value)
+     */
+    router.post('/:courseId/import', upload.single('file'), async (req, res) => {
+        try {
+            if (!req.file) {
+                throw new Error('Please select a CSV file');
+            }
+
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // get course (with roster)
+            let result = await contract.evaluateTransaction('GetCourse', req.params.courseId);
+            let course = JSON.parse(result.toString());
+
+            // get assessments
+            let assessmentsAsset = await contract.evaluateTransaction('ListAssessments', req.params.courseId);
+            let assessments = JSON.parse(assessmentsAsset.toString());
+
+            // parse and check grades
+            let grades = checkGradeRows(course, assessments, parseCsv(req.file.buffer.toString('utf8')));
+
+            // render preview
+            res.render('import-grades', { course: course, assessments: assessments, grades: grades });
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * Adds all the grades of a previewed import in a single transaction
+     */
+    router.post('/:courseId/import/confirm', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // generate grade ids
+            let grades = JSON.parse(req.body.grades).map(g => ({
+                ID: uuidv4(),
+                Student: g.Student,
+                Assessment: g.Assessment,
+                Value: g.Value,
+                Comment: g.Comment
+            }));
+
+            // add grades
+            await contract.createTransaction('AddGrades')
+                .setTransient(gradesTransient(grades))
+                .submit(req.params.courseId);
+
+            // redirect
+            res.redirect('/courses/' + req.params.courseId);
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * Applies a lifecycle transition to a course (open registration, start, grading, finalize or archive)
+     */
+    router.get('/:courseId/state/:transaction', async (req, res) => {
+        try {
+            // check transition
+            if (!transitions.some(t => t.transaction === req.params.transaction)) {
+                throw new Error(`Unknown course transition '${req.params.transaction}'`);
+            }
+
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // change course state (the results are computed from the private grade values when the course is finalized)
+            const transaction = contract.createTransaction(req.params.transaction);
+            if (req.params.transaction === 'FinalizeCourse') {
+                transaction.setTransient(await gradeDataTransient(contract, req.params.courseId));
+            }
+            await transaction.submit(req.params.courseId);
+
+            // redirect
+            res.redirect('/courses/' + req.params.courseId);
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * Changes the capacity of a course (waitlisted students are registered in the new places)
+     */
+    router.post('/:courseId/capacity', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // set capacity
+            await contract.submitTransaction('SetCourseCapacity', req.params.courseId, req.body.capacity);
+
+            // redirect
+            res.redirect('/courses/' + req.params.courseId);
         }
         catch (error) {
             res.render('error', { error: error });
@@ -122,15 +688,18 @@ var courseRouter = function (caClient, wallet, gateway) {
     })
 
     /**
-     * Enables a course
+     * Changes the prerequisites of a course (checked when students are registered)
      */
-    router.get('/:courseId/enable', async (req, res) => {
+    router.post('/:courseId/prerequisites', async (req, res) => {
         try {
             // get smart contract
             const contract = await getContract(req.user.username);
 
-            // enable courese
-            await contract.submitTransaction('EnableCourse', req.params.courseId);
+            // set prerequisites
+            await contract.submitTransaction('SetCoursePrerequisites', req.params.courseId, JSON.stringify(parsePrerequisites(req.body.prerequisites)));
+
+            // redirect
+            res.redirect('/courses/' + req.params.courseId);
         }
         catch (error) {
             res.render('error', { error: error });
@@ -138,22 +707,88 @@ var courseRouter = function (caClient, wallet, gateway) {
         finally {
             gateway.disconnect();
         }
+    })
 
-        // redirect
-        res.redirect('/courses');
+    /**
+     * Protects the results of a finalized course with their default endorsement policy (courses finalized before the results were protected)
+     */
+    router.post('/:courseId/endorsement', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // protect results
+            await contract.submitTransaction('ProtectCourseResults', req.params.courseId);
+
+            // redirect
+            res.redirect('/courses/' + req.params.courseId);
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
     })
 
+    /**
+     * Adds an organization to the endorsement policy of the result of a student
+     */
+    router.post('/:courseId/endorsement/:studentId/add', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // add endorser
+            await contract.submitTransaction('AddResultEndorsers', req.params.courseId + '_' + req.params.studentId, JSON.stringify([req.body.org]));
+
+            // redirect
+            res.redirect('/courses/' + req.params.courseId);
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * Removes an organization from the endorsement policy of the result of a student
+     */
+    router.post('/:courseId/endorsement/:studentId/remove', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // remove endorser
+            await contract.submitTransaction('RemoveResultEndorsers', req.params.courseId + '_' + req.params.studentId, JSON.stringify([req.body.org]));
+
+            // redirect
+            res.redirect('/courses/' + req.params.courseId);
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
 
     /**
-     * Disables a course
+     * Assigns a teacher to the staff of a course, or updates the permissions of a staff member
      */
-    router.get('/:courseId/disable', async (req, res) => {
+    router.post('/:courseId/staff', async (req, res) => {
         try {
             // get smart contract
             const contract = await getContract(req.user.username);
 
-            // disable course
-            await contract.submitTransaction('DisableCourse', req.params.courseId);
+            // assign staff member (the view permission is always granted)
+            const permissions = ['view'].concat(req.body.permissions || []);
+            await contract.submitTransaction('AssignStaff', req.params.courseId, req.body.member, JSON.stringify(permissions));
+
+            // redirect
+            res.redirect('/courses/' + req.params.courseId);
         }
         catch (error) {
             res.render('error', { error: error });
@@ -161,9 +796,28 @@ var courseRouter = function (caClient, wallet, gateway) {
         finally {
             gateway.disconnect();
         }
+    })
+
+    /**
+     * Revokes a staff member of a course
+     */
+    router.get('/:courseId/staff/:memberId/revoke', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // revoke staff member
+            await contract.submitTransaction('RevokeStaff', req.params.courseId, req.params.memberId);
 
-        // redirect
-        res.redirect('/courses');
+            // redirect
+            res.redirect('/courses/' + req.params.courseId);
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
     })
 
     /**
@@ -180,8 +834,8 @@ var courseRouter = function (caClient, wallet, gateway) {
             // get smart contract
             const contract = await getContract(req.user.username);
 
-            // regsiter student
-            await contract.submitTransaction('RegisterStudent', req.params.courseId, req.body.username);
+            // regsiter student (the secretariat can override missing prerequisites with a reason)
+            await contract.submitTransaction('RegisterStudent', req.params.courseId, req.body.username, req.body.overrideReason || '');
 
             // redirect
             res.redirect('/courses/' + req.params.courseId);
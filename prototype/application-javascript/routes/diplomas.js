@@ -0,0 +1,135 @@
+'use strict';
+
+const { getUser } = require('../utils/users');
+const { getContract } = require('../utils/network');
+
+var express = require('express');
+
+/**
+ * Router for diploma endpoints
+ *
+ * @param {FabricCAServices} caClient certification authority client
+ * @param {Wallet} wallet identity wallet
+ * @param {Gateway} gateway Hyperledger Fabric network gateway
+ */
+var diplomaRouter = function (caClient, wallet, gateway) {
+    var router = express.Router();
+
+    /**
+     * Check if user is authenticated
+     */
+    router.use(function auth(req, res, next) {
+        if (!req.isAuthenticated()) {
+            res.redirect('../login');
+            return;
+        }
+        res.locals.user = req.user;
+        next();
+    })
+
+    /**
+     * List the students eligible for a diploma (completed program and no valid diploma yet)
+     */
+    router.get('/', async (req, res) => {
+        try {
+            // check role
+            if (req.user.role !== 'secretariat') {
+                throw new Error('You are not allowed to access this page');
+            }
+
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // get eligible students
+            let result = await contract.evaluateTransaction('ListDiplomaEligibleStudents');
+            let eligible = JSON.parse(result.toString());
+            for (const entry of eligible) {
+                entry.user = await getUser(caClient, wallet, entry.Student);
+            }
+
+            // render view
+            res.render('diplomas', { eligible: eligible });
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * Issues the diploma of a student
+     */
+    router.post('/issue/:studentId', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // issue diploma
+            let result = await contract.submitTransaction('IssueDiploma', req.params.studentId);
+            let diploma = JSON.parse(result.toString());
+
+            // redirect
+            res.redirect('/diplomas/' + diploma.ID);
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * Details page for a diploma
+     */
+    router.get('/:id', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // get diploma
+            let result = await contract.evaluateTransaction('GetDiploma', req.params.id);
+            let diploma = JSON.parse(result.toString());
+
+            // get student
+            let student = await getUser(caClient, wallet, diploma.Student);
+
+            // render view
+            res.render('diploma', { diploma: diploma, student: student });
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * Revokes a diploma
+     */
+    router.post('/:id/revoke', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // revoke diploma
+            await contract.submitTransaction('RevokeDiploma', req.params.id, req.body.reason || '');
+
+            // redirect
+            res.redirect('/diplomas/' + req.params.id);
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    return router;
+}
+
+module.exports = diplomaRouter;
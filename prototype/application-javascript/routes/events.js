@@ -0,0 +1,34 @@
+'use strict';
+
+const { subscribe } = require('../utils/events');
+
+var express = require('express');
+
+/**
+ * Router for the live updates of the pages (server-sent events)
+ */
+var eventRouter = function () {
+    var router = express.Router();
+
+    /**
+     * Check if user is authenticated
+     */
+    router.use(function auth(req, res, next) {
+        if (!req.isAuthenticated()) {
+            res.sendStatus(401);
+            return;
+        }
+        next();
+    })
+
+    /**
+     * Stream of the chaincode events concerning a page (optionally filtered by course and student)
+     */
+    router.get('/', (req, res) => {
+        subscribe(req, res, { course: req.query.course, student: req.query.student });
+    })
+
+    return router;
+}
+
+module.exports = eventRouter;
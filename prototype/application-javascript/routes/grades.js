@@ -2,10 +2,82 @@
 
 const { getUser } = require('../utils/users');
 const { getContract } = require('../utils/network');
+const { getValidationErrors } = require('../utils/errors');
+const { sendTable } = require('../utils/export');
+const { groupByAssessment } = require('../utils/gradebook');
+const { canGrade } = require('../utils/staff');
+const { gradeTransient, gradeDataTransient } = require('../utils/grades');
+const { pageSize, getPage, buildPager } = require('../utils/pagination');
 const { v4: uuidv4 } = require('uuid');
 
 var express = require('express')
 
+/**
+ * Submit a transaction adding or changing a grade
+ * The grade value and comment are sent as transient data, to keep them off the transaction proposal
+ *
+ * @async
+ * @param {Contract} contract the chaincode contract
+ * @param {string} name the transaction name
+ * @param {Object} body the submitted form (value and comment)
+ * @param {...string} args the transaction arguments
+ * @returns {Promise<Object>} a map of form fields to validation errors, undefined if the transaction succeeded
+ */
+async function submitGradeTransaction(contract, name, body, ...args) {
+    try {
+        await contract.createTransaction(name)
+            .setTransient(gradeTransient(body.value, body.comment))
+            .submit(...args);
+    }
+    catch (error) {
+        // only validation errors are reported on the form
+        const errors = getValidationErrors(error);
+        if (!errors) {
+            throw error;
+        }
+        return errors;
+    }
+}
+
+/**
+ * Get the assessment of a grade
+ * Grades added before assessments were introduced carry their own weight and type
+ *
+ * @async
+ * @param {Contract} contract the chaincode contract
+ * @param {Object} grade the grade
+ * @param {Object} course the course of the grade
+ * @returns {Promise<Object>} the assessment of the grade
+ */
+async function getGradeAssessment(contract, grade, course) {
+    if (grade.Assessment) {
+        let asset = await contract.evaluateTransaction('GetAssessment', grade.Assessment);
+        return JSON.parse(asset.toString());
+    }
+    return { Name: grade.Type, Type: grade.Type, Weight: grade.Weight, MaxScore: course.GradingScheme.MaxValue };
+}
+
+/**
+ * Get the assessments of a course for which a student has no grade yet
+ *
+ * @async
+ * @param {Contract} contract the chaincode contract
+ * @param {string} studentId the id of the student
+ * @param {Object} course the course
+ * @param {Object} user the current user (teachers only get the assessment types they can grade)
+ * @returns {Promise<Object[]>} a list of assessments
+ */
+async function getUngradedAssessments(contract, studentId, course, user) {
+    let assessmentsAsset = await contract.evaluateTransaction('ListAssessments', course.ID);
+    let assessments = JSON.parse(assessmentsAsset.toString());
+
+    let gradesAsset = await contract.evaluateTransaction('ListGrades', studentId);
+    let grades = JSON.parse(gradesAsset.toString());
+
+    return assessments.filter(a => !grades.some(g => g.Assessment === a.ID))
+        .filter(a => user.role !== 'teacher' || canGrade(course, user.username, a.Type));
+}
+
 /**
  * Router for grade endpoints
  *
@@ -28,6 +100,97 @@ var gradeRouter = function (caClient, wallet, gateway) {
         next();
     })
 
+    /**
+     * List grade change requests (secretariat inbox or requests of the connected teacher)
+     */
+    router.get('/requests', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // get requests
+            let result = await contract.evaluateTransaction('ListGradeChangeRequests');
+            let requests = JSON.parse(result.toString());
+
+            // most recent first
+            requests.sort((a, b) => b.RequestedAt.localeCompare(a.RequestedAt));
+
+            // render view
+            res.render('grade-change-requests', { requests: requests });
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * Details page for a grade change request
+     */
+    router.get('/requests/:id', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // get request
+            let requestAsset = await contract.evaluateTransaction('GetGradeChangeRequest', req.params.id);
+            let request = JSON.parse(requestAsset.toString());
+
+            // get current grade
+            let gradeAsset = await contract.evaluateTransaction('GetGrade', request.Grade);
+            let grade = JSON.parse(gradeAsset.toString());
+
+            // get student
+            let student = await getUser(caClient, wallet, request.Student);
+
+            // get teacher
+            let teacher = await getUser(caClient, wallet, request.RequestedBy);
+
+            // get course
+            let courseAsset = await contract.evaluateTransaction('GetCourse', request.Course);
+            let course = JSON.parse(courseAsset.toString());
+
+            res.render('grade-change-request', { request: request, grade: grade, course: course, student: student, teacher: teacher });
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * Approves or rejects a grade change request
+     */
+    router.post('/requests/:id', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // process request
+            if (req.body.decision === 'approve') {
+                // send the requested value and the grades of the student (the result of a closed course is recomputed)
+                const request = JSON.parse((await contract.evaluateTransaction('GetGradeChangeRequest', req.params.id)).toString());
+                const transient = await gradeDataTransient(contract, request.Course, request.Student);
+                await contract.createTransaction('ApproveGradeChange').setTransient(transient).submit(req.params.id, req.body.comment);
+            }
+            else {
+                await contract.submitTransaction('RejectGradeChange', req.params.id, req.body.comment);
+            }
+
+            res.redirect('/grades/requests');
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
     /**
      * List all student grades available to the connected user
      */
@@ -39,9 +202,15 @@ var gradeRouter = function (caClient, wallet, gateway) {
             // get student
             let student = await getUser(caClient, wallet, req.params.studentId);
 
-            // get grades
-            let result = await contract.evaluateTransaction('ListGrades', req.params.studentId);
-            let grades = JSON.parse(result.toString());
+            // get the grades of the requested page of courses (all grades of each course)
+            const { page, bookmark } = getPage(req, `grades-${req.params.studentId}`);
+            let result = await contract.evaluateTransaction('ListGradesWithPagination', req.params.studentId, pageSize.toString(), bookmark);
+            let gradesPage = JSON.parse(result.toString());
+            let grades = gradesPage.Records;
+
+            // get finalized results
+            let resultsAsset = await contract.evaluateTransaction('ListResults', req.params.studentId);
+            let results = JSON.parse(resultsAsset.toString());
 
             // get course ids
             let courseIds = [];
@@ -59,22 +228,72 @@ var gradeRouter = function (caClient, wallet, gateway) {
                 let asset = await contract.evaluateTransaction('GetCourse', courseId);
                 let course = JSON.parse(asset.toString());
 
-                // add grades to course
-                course.grades = [];
-                let average = 0;
-                for (const grade of grades) {
-                    if (grade.Course === courseId) {
-                        course.grades.push(grade);
-                        average = average + grade.Value * grade.Weight;
-                    }
-                }
-                course.average = average;
+                // add grades to course, by assessment
+                course.grades = grades.filter(g => g.Course === courseId);
+                let assessments = await contract.evaluateTransaction('ListAssessments', courseId);
+                course.assessments = groupByAssessment(JSON.parse(assessments.toString()), course.grades);
+
+                // get course result (average and pass/fail according to the grading scheme)
+                let result = await contract.evaluateTransaction('GetCourseResult', courseId, req.params.studentId);
+                course.result = JSON.parse(result.toString());
+
+                // add final result of finalized course
+                course.finalResult = results.find(r => r.Course === courseId);
 
                 courses.push(course);
             }
 
             // render view
-            res.render('grades', { student: student, courses: courses });
+            res.render('grades', { student: student, courses: courses, pager: buildPager(req, `grades-${req.params.studentId}`, page, gradesPage) });
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * Export of all grades of a student (CSV or XLSX), one row per graded assessment and average rows per course
+     */
+    router.get('/:studentId/export', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // get grades
+            let result = await contract.evaluateTransaction('ListGrades', req.params.studentId);
+            let grades = JSON.parse(result.toString());
+
+            // get courses, sorted by year and acronym
+            let courses = [];
+            for (const courseId of new Set(grades.map(g => g.Course))) {
+                let asset = await contract.evaluateTransaction('GetCourse', courseId);
+                courses.push(JSON.parse(asset.toString()));
+            }
+            courses.sort((a, b) => a.Year - b.Year || a.Acronym.localeCompare(b.Acronym));
+
+            // build rows
+            let rows = [];
+            for (const course of courses) {
+                let assessments = await contract.evaluateTransaction('ListAssessments', course.ID);
+                for (const assessment of groupByAssessment(JSON.parse(assessments.toString()), grades.filter(g => g.Course === course.ID))) {
+                    if (assessment.grade) {
+                        rows.push([course.ID, course.Name, course.Year, assessment.Name, assessment.Type, assessment.Weight, assessment.grade.Value]);
+                    }
+                }
+
+                // course average
+                let asset = await contract.evaluateTransaction('GetCourseResult', course.ID, req.params.studentId);
+                let courseResult = JSON.parse(asset.toString());
+                rows.push([course.ID, course.Name, course.Year, 'Average', null, null, courseResult.Average !== null ? Number(courseResult.Average.toFixed(2)) : null]);
+                rows.push([course.ID, course.Name, course.Year, 'Grade', null, null, courseResult.Grade]);
+            }
+
+            // send file
+            const columns = ['Course', 'Name', 'Year', 'Assessment', 'Type', 'Weight', 'Value'];
+            await sendTable(res, req.query.format || 'csv', `grades-${req.params.studentId}`, columns, rows);
         }
         catch (error) {
             res.render('error', { error: error });
@@ -99,7 +318,10 @@ var gradeRouter = function (caClient, wallet, gateway) {
             let asset = await contract.evaluateTransaction('GetCourse', req.params.courseId);
             let course = JSON.parse(asset.toString());
 
-            res.render('add-grade', { course: course, student: student });
+            // get assessments not graded yet
+            let assessments = await getUngradedAssessments(contract, req.params.studentId, course, req.user);
+
+            res.render('add-grade', { course: course, student: student, assessments: assessments });
         }
         catch (error) {
             res.render('error', { error: error });
@@ -119,7 +341,21 @@ var gradeRouter = function (caClient, wallet, gateway) {
 
             // add grade
             const uuid = uuidv4();
-            await contract.submitTransaction('AddGrade', uuid, req.params.studentId, req.params.courseId, req.body.value, req.body.weight, req.body.type);
+            const errors = await submitGradeTransaction(contract, 'AddGrade', req.body, uuid, req.params.studentId, req.body.assessment);
+            if (errors) {
+                // get student
+                let student = await getUser(caClient, wallet, req.params.studentId);
+
+                // get course
+                let asset = await contract.evaluateTransaction('GetCourse', req.params.courseId);
+                let course = JSON.parse(asset.toString());
+
+                // get assessments not graded yet
+                let assessments = await getUngradedAssessments(contract, req.params.studentId, course, req.user);
+
+                res.render('add-grade', { course: course, student: student, assessments: assessments, values: req.body, errors: errors });
+                return;
+            }
 
             res.redirect('/grades/' + req.params.studentId);
         }
@@ -150,7 +386,10 @@ var gradeRouter = function (caClient, wallet, gateway) {
             let courseAsset = await contract.evaluateTransaction('GetCourse', grade.Course);
             let course = JSON.parse(courseAsset.toString());
 
-            res.render('edit-grade', { course: course, student: student, grade: grade });
+            // get assessment
+            let assessment = await getGradeAssessment(contract, grade, course);
+
+            res.render('edit-grade', { course: course, student: student, grade: grade, assessment: assessment });
         }
         catch (error) {
             res.render('error', { error: error });
@@ -168,8 +407,26 @@ var gradeRouter = function (caClient, wallet, gateway) {
             // get smart contract
             const contract = await getContract(req.user.username);
 
-            // add grade
-            await contract.submitTransaction('UpdateGrade', req.params.id, req.body.value, req.body.weight, req.body.type);
+            // update grade
+            const errors = await submitGradeTransaction(contract, 'UpdateGrade', req.body, req.params.id);
+            if (errors) {
+                // get grade
+                let gradeAsset = await contract.evaluateTransaction('GetGrade', req.params.id);
+                let grade = JSON.parse(gradeAsset.toString());
+
+                // get student
+                let student = await getUser(caClient, wallet, grade.Student);
+
+                // get course
+                let courseAsset = await contract.evaluateTransaction('GetCourse', grade.Course);
+                let course = JSON.parse(courseAsset.toString());
+
+                // get assessment
+                let assessment = await getGradeAssessment(contract, grade, course);
+
+                res.render('edit-grade', { course: course, student: student, grade: grade, assessment: assessment, values: req.body, errors: errors });
+                return;
+            }
 
             res.redirect('/grades/' + req.body.studentId);
         }
@@ -181,6 +438,120 @@ var gradeRouter = function (caClient, wallet, gateway) {
         }
     })
 
+    /**
+     * Redirect to the grade change request form (grades of inactive courses)
+     */
+    router.get('/request/:id', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // get grade
+            let gradeAsset = await contract.evaluateTransaction('GetGrade', req.params.id);
+            let grade = JSON.parse(gradeAsset.toString());
+
+            // get student
+            let student = await getUser(caClient, wallet, grade.Student);
+
+            // get course
+            let courseAsset = await contract.evaluateTransaction('GetCourse', grade.Course);
+            let course = JSON.parse(courseAsset.toString());
+
+            // get assessment
+            let assessment = await getGradeAssessment(contract, grade, course);
+
+            res.render('request-grade-change', { course: course, student: student, grade: grade, assessment: assessment });
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * Submits a grade change request for approval by the secretariat
+     */
+    router.post('/request/:id', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // add grade change request
+            const uuid = uuidv4();
+            const errors = await submitGradeTransaction(contract, 'RequestGradeChange', req.body, uuid, req.params.id, req.body.reason);
+            if (errors) {
+                // get grade
+                let gradeAsset = await contract.evaluateTransaction('GetGrade', req.params.id);
+                let grade = JSON.parse(gradeAsset.toString());
+
+                // get student
+                let student = await getUser(caClient, wallet, grade.Student);
+
+                // get course
+                let courseAsset = await contract.evaluateTransaction('GetCourse', grade.Course);
+                let course = JSON.parse(courseAsset.toString());
+
+                // get assessment
+                let assessment = await getGradeAssessment(contract, grade, course);
+
+                res.render('request-grade-change', { course: course, student: student, grade: grade, assessment: assessment, values: req.body, errors: errors });
+                return;
+            }
+
+            res.redirect('/grades/requests');
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * History of a grade (past values, transactions and teachers)
+     */
+    router.get('/history/:id', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // get grade
+            let gradeAsset = await contract.evaluateTransaction('GetGrade', req.params.id);
+            let grade = JSON.parse(gradeAsset.toString());
+
+            // get grade history
+            let historyAsset = await contract.evaluateTransaction('GetGradeHistory', req.params.id);
+            let history = JSON.parse(historyAsset.toString());
+
+            // get student
+            let student = await getUser(caClient, wallet, grade.Student);
+
+            // get course
+            let courseAsset = await contract.evaluateTransaction('GetCourse', grade.Course);
+            let course = JSON.parse(courseAsset.toString());
+
+            // get teachers who submitted the changes
+            let teachers = {};
+            for (const entry of history) {
+                let teacherId = entry.Value.UpdatedBy;
+                if (teacherId && !teachers[teacherId]) {
+                    teachers[teacherId] = await getUser(caClient, wallet, teacherId);
+                }
+            }
+
+            res.render('grade-history', { course: course, student: student, grade: grade, history: history, teachers: teachers });
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
     return router;
 }
 
@@ -0,0 +1,51 @@
+'use strict';
+
+const { listNotifications, markRead } = require('../utils/notifications');
+
+var express = require('express');
+
+/**
+ * Router for the notification center of the users
+ */
+var notificationRouter = function () {
+    var router = express.Router();
+
+    /**
+     * Check if user is authenticated
+     */
+    router.use(function auth(req, res, next) {
+        if (!req.isAuthenticated()) {
+            res.redirect('../login');
+            return;
+        }
+        res.locals.user = req.user;
+        next();
+    })
+
+    /**
+     * Notifications of the user, most recent first
+     */
+    router.get('/', (req, res) => {
+        res.render('notifications', { notifications: listNotifications(req.user.username) });
+    })
+
+    /**
+     * Marks all the notifications of the user as read
+     */
+    router.post('/read', (req, res) => {
+        markRead(req.user.username);
+        res.redirect('/notifications');
+    })
+
+    /**
+     * Marks a notification as read and opens the page of the change
+     */
+    router.get('/:id', (req, res) => {
+        const notification = markRead(req.user.username, req.params.id);
+        res.redirect(notification ? notification.link : '/notifications');
+    })
+
+    return router;
+}
+
+module.exports = notificationRouter;
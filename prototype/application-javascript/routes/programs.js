@@ -0,0 +1,100 @@
+'use strict';
+
+const { getContract } = require('../utils/network');
+const { getValidationErrors } = require('../utils/errors');
+const { parseProgramCourses } = require('../utils/programs');
+
+var express = require('express');
+
+/**
+ * Router for study program endpoints
+ *
+ * @param {FabricCAServices} caClient certification authority client
+ * @param {Wallet} wallet identity wallet
+ * @param {Gateway} gateway Hyperledger Fabric network gateway
+ */
+var programRouter = function (caClient, wallet, gateway) {
+    var router = express.Router();
+
+    /**
+     * Check if user is authenticated
+     */
+    router.use(function auth(req, res, next) {
+        if (!req.isAuthenticated()) {
+            res.redirect('../login');
+            return;
+        }
+        res.locals.user = req.user;
+        next();
+    })
+
+    /**
+     * List all study programs, with the add program form
+     */
+    router.get('/', async (req, res) => {
+        try {
+            // check role
+            if (req.user.role !== 'secretariat') {
+                throw new Error('You are not allowed to access this page');
+            }
+
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // get programs
+            let result = await contract.evaluateTransaction('ListPrograms');
+            let programs = JSON.parse(result.toString());
+            programs.sort((a, b) => a.ID.localeCompare(b.ID));
+
+            // render view
+            res.render('programs', { programs: programs });
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * Add a new study program
+     */
+    router.post('/add', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // add program
+            const courses = parseProgramCourses(req.body.required, req.body.electives);
+            try {
+                await contract.submitTransaction('AddProgram', req.body.id, req.body.name, req.body.credits, JSON.stringify(courses));
+            }
+            catch (error) {
+                // show validation errors on the form
+                const errors = getValidationErrors(error);
+                if (!errors) {
+                    throw error;
+                }
+                let result = await contract.evaluateTransaction('ListPrograms');
+                let programs = JSON.parse(result.toString());
+                programs.sort((a, b) => a.ID.localeCompare(b.ID));
+                res.render('programs', { programs: programs, values: req.body, errors: errors });
+                return;
+            }
+
+            // redirect
+            res.redirect('/programs');
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    return router;
+}
+
+module.exports = programRouter;
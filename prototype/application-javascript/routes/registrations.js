@@ -0,0 +1,149 @@
+'use strict';
+
+const { getUser } = require('../utils/users');
+const { getContract } = require('../utils/network');
+const { v4: uuidv4 } = require('uuid');
+
+var express = require('express');
+
+/**
+ * Get the request ids selected in the registration queue form
+ *
+ * @param {Object} body the request body
+ * @returns {string[]} the selected request ids
+ */
+function getSelectedIds(body) {
+    return [].concat(body.ids || []);
+}
+
+/**
+ * Router for course registration endpoints
+ *
+ * @param {FabricCAServices} caClient certification authority client
+ * @param {Wallet} wallet identity wallet
+ * @param {Gateway} gateway Hyperledger Fabric network gateway
+ */
+var registrationRouter = function (caClient, wallet, gateway) {
+    var router = express.Router();
+
+    /**
+     * Check if user is authenticated
+     */
+    router.use(function auth(req, res, next) {
+        if (!req.isAuthenticated()) {
+            res.redirect('../login');
+            return;
+        }
+        res.locals.user = req.user;
+        next();
+    })
+
+    /**
+     * Registration queue (secretariat) or courses open for registration and registration requests (students)
+     */
+    router.get('/', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // get requests, oldest first
+            let requestsAsset = await contract.evaluateTransaction('ListRegistrationRequests');
+            let requests = JSON.parse(requestsAsset.toString());
+            requests.sort((a, b) => a.RequestedAt.localeCompare(b.RequestedAt));
+
+            // get courses open for registration
+            let coursesAsset = await contract.evaluateTransaction('ListOpenCourses');
+            let courses = JSON.parse(coursesAsset.toString());
+            courses.sort((a, b) => a.Year - b.Year || a.Acronym.localeCompare(b.Acronym));
+
+            // get student names (secretariat queue)
+            let students = {};
+            if (req.user.role === 'secretariat') {
+                for (const request of requests) {
+                    if (!students[request.Student]) {
+                        students[request.Student] = await getUser(caClient, wallet, request.Student);
+                    }
+                }
+            }
+
+            // render view
+            res.render('registrations', { requests: requests, courses: courses, students: students });
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * Submits a registration request for a course (students)
+     */
+    router.post('/request/:courseId', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // request registration
+            await contract.submitTransaction('RequestRegistration', uuidv4(), req.params.courseId);
+
+            // redirect
+            res.redirect('/registrations');
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * Approves the selected registration requests (full courses put the requests on their waitlist)
+     */
+    router.post('/approve', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // approve requests (the override reason is required for students not meeting the prerequisites)
+            await contract.submitTransaction('ApproveRegistrationRequests', JSON.stringify(getSelectedIds(req.body)), req.body.overrideReason || '');
+
+            // redirect
+            res.redirect('/registrations');
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * Rejects the selected registration requests
+     */
+    router.post('/reject', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // reject requests
+            await contract.submitTransaction('RejectRegistrationRequests', JSON.stringify(getSelectedIds(req.body)), req.body.comment || '');
+
+            // redirect
+            res.redirect('/registrations');
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    return router;
+}
+
+module.exports = registrationRouter;
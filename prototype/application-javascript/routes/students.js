@@ -1,7 +1,9 @@
 'use strict';
 
-const { listStudents, addStudent, removeUser } = require('../utils/users');
+const { listStudents, addStudent, removeUser, getUser } = require('../utils/users');
 const { getContract } = require('../utils/network');
+const { writeTranscriptPdf } = require('../utils/transcript');
+const { paginate } = require('../utils/pagination');
 
 var express = require('express')
 
@@ -38,8 +40,10 @@ var studentRouter = function (caClient, wallet, gateway) {
                 throw new Error('You are not allowed to access this page');
             }
 
+            // get the requested page of students
             const students = await listStudents(caClient, wallet);
-            res.render('students', { students: students });
+            const { items, pager } = paginate(req, students);
+            res.render('students', { students: items, pager: pager });
         }
         catch (error) {
             res.render('error', { error: error });
@@ -77,6 +81,157 @@ var studentRouter = function (caClient, wallet, gateway) {
         }
     })
 
+    /**
+     * Transcript of a student (finalized course results)
+     */
+    router.get('/:studentId/transcript', async (req, res) => {
+        try {
+            // check role
+            if (req.user.role !== 'secretariat' && req.user.username !== req.params.studentId) {
+                throw new Error('You are not allowed to access this page');
+            }
+
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // get student
+            let student = await getUser(caClient, wallet, req.params.studentId);
+
+            // get finalized results
+            let result = await contract.evaluateTransaction('ListResults', req.params.studentId);
+            let results = JSON.parse(result.toString());
+            results.sort((a, b) => a.Year - b.Year || a.Acronym.localeCompare(b.Acronym));
+
+            // render view
+            res.render('transcript', { student: student, results: results });
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * Download the transcript of a student as PDF (issues the transcript on the ledger)
+     */
+    router.get('/:studentId/transcript.pdf', async (req, res) => {
+        try {
+            // check role
+            if (req.user.role !== 'secretariat' && req.user.username !== req.params.studentId) {
+                throw new Error('You are not allowed to access this page');
+            }
+
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // get student
+            let student = await getUser(caClient, wallet, req.params.studentId);
+
+            // issue transcript
+            let result = await contract.submitTransaction('IssueTranscript', req.params.studentId, req.query.disclose === 'true' ? 'true' : 'false');
+            let transcript = JSON.parse(result.toString());
+
+            // send PDF
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="transcript-${transcript.ID.substring(0, 12)}.pdf"`);
+            writeTranscriptPdf(res, student, transcript);
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * Degree progress of a student (earned credits and missing required courses of the program)
+     */
+    router.get('/:studentId/progress', async (req, res) => {
+        try {
+            // check role
+            if (req.user.role !== 'secretariat' && req.user.username !== req.params.studentId) {
+                throw new Error('You are not allowed to access this page');
+            }
+
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // get student
+            let student = await getUser(caClient, wallet, req.params.studentId);
+
+            // get degree progress
+            let result = await contract.evaluateTransaction('GetDegreeProgress', req.params.studentId);
+            let progress = JSON.parse(result.toString());
+
+            // get diplomas
+            let diplomasAsset = await contract.evaluateTransaction('ListDiplomas', req.params.studentId);
+            let diplomas = JSON.parse(diplomasAsset.toString());
+
+            // get programs (enrollment form for the secretariat)
+            let programs = [];
+            if (req.user.role === 'secretariat') {
+                let programsAsset = await contract.evaluateTransaction('ListPrograms');
+                programs = JSON.parse(programsAsset.toString());
+            }
+
+            // render view
+            res.render('progress', { student: student, progress: progress, programs: programs, diplomas: diplomas });
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * Enrolls a student in a study program
+     */
+    router.post('/:studentId/enroll', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // enroll student
+            await contract.submitTransaction('EnrollStudent', req.body.program, req.params.studentId);
+
+            // redirect
+            res.redirect(`/students/${req.params.studentId}/progress`);
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * Unenrolls a student from a study program
+     */
+    router.get('/:studentId/unenroll/:programId', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // unenroll student
+            await contract.submitTransaction('UnenrollStudent', req.params.programId, req.params.studentId);
+
+            // redirect
+            res.redirect(`/students/${req.params.studentId}/progress`);
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
     /**
      * Deletes a student (if not used)
      */
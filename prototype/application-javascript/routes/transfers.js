@@ -0,0 +1,165 @@
+'use strict';
+
+const { getUser } = require('../utils/users');
+const { getContract } = require('../utils/network');
+const { getSchool, listOtherSchools } = require('../utils/schools');
+const { v4: uuidv4 } = require('uuid');
+
+var express = require('express');
+
+/**
+ * Router for credit transfer endpoints
+ * Students ask their school to recognize courses passed in other schools, the secretariat of the school
+ * of the course confirms the result and the secretariat of the school of the student approves the transfer
+ *
+ * @param {FabricCAServices} caClient certification authority client
+ * @param {Wallet} wallet identity wallet
+ * @param {Gateway} gateway Hyperledger Fabric network gateway
+ */
+var transferRouter = function (caClient, wallet, gateway) {
+    var router = express.Router();
+
+    /**
+     * Check if user is authenticated
+     */
+    router.use(function auth(req, res, next) {
+        if (!req.isAuthenticated()) {
+            res.redirect('../login');
+            return;
+        }
+        res.locals.user = req.user;
+        next();
+    })
+
+    /**
+     * Credit transfer requests of the student (with the request form) or involving the school (secretariat)
+     */
+    router.get('/', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // get requests, most recent first
+            let result = await contract.evaluateTransaction('ListCreditTransfers');
+            let requests = JSON.parse(result.toString());
+            requests.sort((a, b) => b.RequestedAt.localeCompare(a.RequestedAt));
+
+            // get school names
+            let schoolNames = {};
+            for (const school of [getSchool()].concat(listOtherSchools())) {
+                schoolNames[school.mspId] = school.name;
+            }
+
+            // get student names of the requests to the school (students of other schools are not known by its CA)
+            let students = {};
+            if (req.user.role === 'secretariat') {
+                for (const request of requests.filter(r => r.Org === getSchool().mspId)) {
+                    if (!students[request.Student]) {
+                        students[request.Student] = await getUser(caClient, wallet, request.Student);
+                    }
+                }
+            }
+
+            // render view
+            res.render('transfers', { requests: requests, otherSchools: listOtherSchools(), schoolNames: schoolNames, students: students });
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * Submits a credit transfer request (students)
+     */
+    router.post('/request', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // request credit transfer
+            await contract.submitTransaction('RequestCreditTransfer', uuidv4(), req.body.sourceSchool, req.body.sourceCourse.trim(), req.body.acronym.trim().toUpperCase());
+
+            // redirect
+            res.redirect('/transfers');
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * Confirms the result of a credit transfer request (secretariat of the school of the course)
+     */
+    router.post('/:id/confirm', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // confirm request
+            await contract.submitTransaction('ConfirmCreditTransfer', req.params.id);
+
+            // redirect
+            res.redirect('/transfers');
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * Approves a confirmed credit transfer request (secretariat of the school of the student)
+     */
+    router.post('/:id/approve', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // approve request
+            await contract.submitTransaction('ApproveCreditTransfer', req.params.id, req.body.comment || '');
+
+            // redirect
+            res.redirect('/transfers');
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * Rejects a credit transfer request (secretariat of either school)
+     */
+    router.post('/:id/reject', async (req, res) => {
+        try {
+            // get smart contract
+            const contract = await getContract(req.user.username);
+
+            // reject request
+            await contract.submitTransaction('RejectCreditTransfer', req.params.id, req.body.comment || '');
+
+            // redirect
+            res.redirect('/transfers');
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    return router;
+}
+
+module.exports = transferRouter;
@@ -0,0 +1,113 @@
+'use strict';
+
+const { getContract } = require('../utils/network');
+
+var express = require('express');
+var multer = require('multer');
+
+/**
+ * Uploaded files are kept in memory (transcripts are small PDF documents)
+ */
+var upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
+/**
+ * Transcript hash format (SHA-256, hexadecimal)
+ */
+const hashPattern = /^[0-9a-f]{64}$/;
+
+/**
+ * Extract the transcript hash from an uploaded transcript PDF
+ * The hash is stored as subject in the PDF document information
+ *
+ * @param {Buffer} file the PDF file
+ * @returns {string} the transcript hash, undefined if not found
+ */
+function extractHash(file) {
+    const match = file.toString('latin1').match(/\(([0-9a-f]{64})\)/);
+    return match ? match[1] : undefined;
+}
+
+/**
+ * Verify a transcript hash against the ledger with the verifier identity
+ *
+ * @async
+ * @param {string} verifierUsername username of the verifier identity
+ * @param {string} hash the transcript hash
+ * @returns {Promise<Object>} the verification result
+ */
+async function verifyHash(verifierUsername, hash) {
+    if (!hash || !hashPattern.test(hash)) {
+        return { Valid: false };
+    }
+
+    // get smart contract
+    const contract = await getContract(verifierUsername);
+
+    // verify transcript
+    let result = await contract.evaluateTransaction('VerifyTranscript', hash);
+    return JSON.parse(result.toString());
+}
+
+/**
+ * Router for the public credential verification endpoints
+ * These endpoints do not require authentication, the chaincode is accessed with
+ * the verifier identity which is only allowed to verify transcripts
+ *
+ * @param {string} verifierUsername username of the verifier identity
+ * @param {Gateway} gateway Hyperledger Fabric network gateway
+ */
+var verifyRouter = function (verifierUsername, gateway) {
+    var router = express.Router();
+
+    /**
+     * Verification form
+     */
+    router.get('/', (req, res) => {
+        res.locals.user = req.user;
+        res.render('verify', { hash: '', verification: undefined });
+    })
+
+    /**
+     * Verifies an entered hash or an uploaded transcript
+     */
+    router.post('/', upload.single('file'), async (req, res) => {
+        res.locals.user = req.user;
+        try {
+            // get hash from the uploaded transcript or from the form
+            let hash = req.file ? extractHash(req.file.buffer) : (req.body.hash || '').trim().toLowerCase();
+
+            // verify hash
+            let verification = await verifyHash(verifierUsername, hash);
+
+            // render view
+            res.render('verify', { hash: hash || '', verification: verification });
+        }
+        catch (error) {
+            res.render('error', { error: error });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    /**
+     * JSON endpoint to verify a hash
+     */
+    router.get('/:hash', async (req, res) => {
+        try {
+            // verify hash
+            let verification = await verifyHash(verifierUsername, req.params.hash.toLowerCase());
+            res.json(verification);
+        }
+        catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+        finally {
+            gateway.disconnect();
+        }
+    })
+
+    return router;
+}
+
+module.exports = verifyRouter;
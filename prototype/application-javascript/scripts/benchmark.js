@@ -0,0 +1,273 @@
+'use strict';
+
+/**
+ * Query benchmark of the prototype chaincode
+ * Seeds a local network with many courses and grades, then measures the latency of the list transactions
+ *
+ *    $ node scripts/benchmark.js seed       (adds the courses, registrations, assessments and grades)
+ *    $ node scripts/benchmark.js measure    (evaluates the list transactions and prints their latency)
+ *
+ * The network must be up with the prototype chaincode deployed (see ../start_network.sh) and the application
+ * started once, so that the secretariat user is registered. To compare the queries before and after the CouchDB
+ * indexes, measure once with a chaincode package without the chaincode-javascript/META-INF directory, then deploy
+ * the chaincode again with the indexes (CouchDB builds them on the existing data) and measure again.
+ *
+ * The size of the data set is configured with environment variables:
+ *    BENCH_COURSES       number of courses (default 1000)
+ *    BENCH_STUDENTS      number of students, registered in turn to the courses (default 100)
+ *    BENCH_REGISTRATIONS number of students registered to each course (default 10)
+ *    BENCH_ASSESSMENTS   number of assessments of each course (Labo, Test then Exam), each student gets a grade for each (default 2, at most 3)
+ *    BENCH_CONCURRENCY   number of courses seeded in parallel (default 10)
+ *    BENCH_RUNS          number of evaluations of each measured transaction (default 20)
+ */
+
+const { Gateway } = require('fabric-network');
+const { enrollAdmin } = require('../utils/CAUtil.js');
+const { enrollUser, addTeacher, addStudent } = require('../utils/users');
+const { getCaClient, initWallet } = require('../utils/network');
+const { gradesTransient } = require('../utils/grades');
+const { getSchool } = require('../utils/schools');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * School of the benchmark (same SCHOOL environment variable as the application)
+ */
+const school = getSchool();
+
+/**
+ * Benchmark configuration
+ */
+const courseCount = parseInt(process.env.BENCH_COURSES, 10) || 1000;
+const studentCount = parseInt(process.env.BENCH_STUDENTS, 10) || 100;
+const registrationCount = Math.min(parseInt(process.env.BENCH_REGISTRATIONS, 10) || 10, studentCount);
+const assessmentCount = Math.min(parseInt(process.env.BENCH_ASSESSMENTS, 10) || 2, 3);
+const concurrency = parseInt(process.env.BENCH_CONCURRENCY, 10) || 10;
+const runs = parseInt(process.env.BENCH_RUNS, 10) || 20;
+
+/**
+ * Benchmark users (the courses are spread over the years, all taught by the same teacher)
+ */
+const password = 'Pass123';
+const secretariatUsername = `secretariat@${school.domain}`;
+const teacherUsername = `bench.teacher@${school.domain}`;
+const studentUsername = (index) => `bench.student${index}@${school.domain}`;
+
+/**
+ * Benchmark assessments, one per type with the full weight of the type in the default grading scheme
+ */
+const assessmentTypes = [
+	{ Type: 'Labo', Weight: '0.25' },
+	{ Type: 'Test', Weight: '0.25' },
+	{ Type: 'Exam', Weight: '0.5' }
+];
+
+/**
+ * Connect a user to the prototype chaincode, with its own gateway
+ *
+ * @async
+ * @param {Wallet} wallet the wallet
+ * @param {string} username the enrolled user
+ * @returns {Promise<Object>} the gateway and the contract
+ */
+async function connect(wallet, username) {
+	const gateway = new Gateway();
+	await gateway.connect(school.buildCCP(), {
+		wallet,
+		identity: username,
+		discovery: { enabled: true, asLocalhost: true }
+	});
+	const network = await gateway.getNetwork('mychannel');
+	return { gateway: gateway, contract: network.getContract('prototype') };
+}
+
+/**
+ * Seed a course: add and open it, register its students, add its assessments, start it and grade all students
+ *
+ * @async
+ * @param {Contract} secretariat the contract of the secretariat user
+ * @param {Contract} teacher the contract of the teacher
+ * @param {number} index the index of the course
+ * @returns {Promise<boolean>} false if the course exists already (from a previous run)
+ */
+async function seedCourse(secretariat, teacher, index) {
+	const acronym = `BENCH${Math.floor(index / 20)}`;
+	const year = `${2000 + index % 20}`;
+	const courseId = `${school.mspId}_${acronym}_${year}`;
+
+	// add and open course
+	try {
+		await secretariat.submitTransaction('AddCourse', acronym, `Benchmark ${index}`, year, teacherUsername, '', `${registrationCount}`, '');
+	}
+	catch (error) {
+		if (error.message.indexOf('exists already') !== -1) {
+			return false;
+		}
+		throw error;
+	}
+	await secretariat.submitTransaction('OpenRegistration', courseId);
+
+	// register students (each course gets the next students of the list)
+	let students = [];
+	for (let i = 0; i < registrationCount; i++) {
+		students.push(studentUsername((index * registrationCount + i) % studentCount));
+	}
+	for (const student of students) {
+		await secretariat.submitTransaction('RegisterStudent', courseId, student, '');
+	}
+
+	// add assessments and start course
+	let assessments = [];
+	for (let i = 0; i < assessmentCount; i++) {
+		const assessmentId = `${courseId}_A${i}`;
+		const { Type, Weight } = assessmentTypes[i];
+		await teacher.submitTransaction('AddAssessment', assessmentId, courseId, `Assessment ${i + 1}`, Type, Weight, `${year}-06-01`, '6');
+		assessments.push(assessmentId);
+	}
+	await teacher.submitTransaction('StartCourse', courseId);
+
+	// grade all students in one transaction
+	let grades = [];
+	for (const student of students) {
+		for (const assessment of assessments) {
+			grades.push({ ID: uuidv4(), Student: student, Assessment: assessment, Value: `${1 + Math.round(Math.random() * 10) / 2}` });
+		}
+	}
+	await teacher.createTransaction('AddGrades').setTransient(gradesTransient(grades)).submit(courseId);
+	return true;
+}
+
+/**
+ * Seed the network with the benchmark users, courses and grades
+ *
+ * @async
+ * @param {FabricCAServices} caClient the CA client
+ * @param {Wallet} wallet the wallet
+ */
+async function seed(caClient, wallet) {
+
+	// register benchmark users
+	await addTeacher(caClient, wallet, teacherUsername, password, 'Bench', 'Teacher');
+	await enrollUser(caClient, wallet, school.mspId, teacherUsername, password);
+	for (let i = 0; i < studentCount; i++) {
+		await addStudent(caClient, wallet, studentUsername(i), password, 'Bench', `Student ${i}`);
+	}
+
+	const secretariat = await connect(wallet, secretariatUsername);
+	const teacher = await connect(wallet, teacherUsername);
+	try {
+		// seed courses in parallel batches
+		const start = Date.now();
+		let added = 0;
+		for (let first = 0; first < courseCount; first += concurrency) {
+			let batch = [];
+			for (let index = first; index < Math.min(first + concurrency, courseCount); index++) {
+				batch.push(seedCourse(secretariat.contract, teacher.contract, index));
+			}
+			added += (await Promise.all(batch)).filter(a => a).length;
+			console.log(`Seeded ${Math.min(first + concurrency, courseCount)}/${courseCount} courses`);
+		}
+		console.log(`Added ${added} courses and ${added * registrationCount * assessmentCount} grades in ${Math.round((Date.now() - start) / 1000)}s`);
+	}
+	finally {
+		secretariat.gateway.disconnect();
+		teacher.gateway.disconnect();
+	}
+}
+
+/**
+ * Measure the latency of a transaction evaluation
+ *
+ * @async
+ * @param {Contract} contract the contract
+ * @param {string} name the transaction name
+ * @param {...string} args the transaction arguments
+ * @returns {Promise<Object>} the number of returned records and the minimum, average and 95th percentile latency in ms
+ */
+async function measure(contract, name, ...args) {
+	let latencies = [];
+	let records = 0;
+	for (let i = 0; i < runs; i++) {
+		const start = process.hrtime.bigint();
+		const result = JSON.parse((await contract.evaluateTransaction(name, ...args)).toString());
+		latencies.push(Number(process.hrtime.bigint() - start) / 1e6);
+		records = Array.isArray(result) ? result.length : result.Records.length;
+	}
+	latencies.sort((a, b) => a - b);
+	return {
+		records: records,
+		min: Math.round(latencies[0]),
+		avg: Math.round(latencies.reduce((sum, l) => sum + l, 0) / latencies.length),
+		p95: Math.round(latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * 0.95))])
+	};
+}
+
+/**
+ * Measure the list transactions for the secretariat, the teacher and a student
+ *
+ * @async
+ * @param {FabricCAServices} caClient the CA client
+ * @param {Wallet} wallet the wallet
+ */
+async function measureQueries(caClient, wallet) {
+	await enrollUser(caClient, wallet, school.mspId, teacherUsername, password);
+	await enrollUser(caClient, wallet, school.mspId, studentUsername(0), password);
+
+	const users = {
+		secretariat: await connect(wallet, secretariatUsername),
+		teacher: await connect(wallet, teacherUsername),
+		student: await connect(wallet, studentUsername(0))
+	};
+	const queries = [
+		['secretariat', 'ListCourses'],
+		['secretariat', 'ListCoursesWithPagination', '20', ''],
+		['secretariat', 'ListOpenCourses'],
+		['secretariat', 'ListGrades', studentUsername(0)],
+		['secretariat', 'ListGradesByCourse', `${school.mspId}_BENCH0_2000`],
+		['teacher', 'ListCourses'],
+		['teacher', 'ListCoursesWithPagination', '20', ''],
+		['teacher', 'ListGradesWithPagination', studentUsername(0), '20', ''],
+		['student', 'ListCourses'],
+		['student', 'ListGrades', studentUsername(0)],
+		['student', 'ListGradesWithPagination', studentUsername(0), '20', ''],
+		['student', 'ListResults', studentUsername(0)]
+	];
+	try {
+		let report = [];
+		for (const [user, name, ...args] of queries) {
+			report.push(Object.assign({ user: user, transaction: name }, await measure(users[user].contract, name, ...args)));
+		}
+		console.table(report);
+	}
+	finally {
+		Object.values(users).forEach(u => u.gateway.disconnect());
+	}
+}
+
+/**
+ * Main
+ */
+async function main() {
+	const command = process.argv[2];
+	if (command !== 'seed' && command !== 'measure') {
+		console.error('Usage: node scripts/benchmark.js seed|measure');
+		process.exit(1);
+	}
+
+	// enroll the admin and the secretariat user
+	const caClient = getCaClient();
+	const wallet = await initWallet();
+	await enrollAdmin(caClient, wallet, school.mspId);
+	await enrollUser(caClient, wallet, school.mspId, secretariatUsername, password);
+
+	if (command === 'seed') {
+		await seed(caClient, wallet);
+	}
+	else {
+		await measureQueries(caClient, wallet);
+	}
+}
+
+main().catch(error => {
+	console.error(`Benchmark failed: ${error}`);
+	process.exit(1);
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * CSV helper methods
+ */
+
+/**
+ * Parse CSV content (comma or semicolon separated, with optional double quotes)
+ *
+ * @param {string} content the CSV content
+ * @returns {string[][]} the list of rows, empty lines are skipped
+ */
+exports.parseCsv = (content) => {
+	let rows = [];
+	let row = [];
+	let field = '';
+	let quoted = false;
+
+	// remove byte order mark
+	content = content.replace(/^\uFEFF/, '');
+
+	// detect separator from the first line
+	const firstLine = content.split(/\r?\n/)[0];
+	const separator = firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+
+	for (let i = 0; i < content.length; i++) {
+		const c = content[i];
+		if (quoted) {
+			if (c === '"' && content[i + 1] === '"') {
+				field += '"';
+				i++;
+			}
+			else if (c === '"') {
+				quoted = false;
+			}
+			else {
+				field += c;
+			}
+		}
+		else if (c === '"') {
+			quoted = true;
+		}
+		else if (c === separator) {
+			row.push(field.trim());
+			field = '';
+		}
+		else if (c === '\n' || c === '\r') {
+			if (c === '\r' && content[i + 1] === '\n') {
+				i++;
+			}
+			row.push(field.trim());
+			rows.push(row);
+			row = [];
+			field = '';
+		}
+		else {
+			field += c;
+		}
+	}
+	row.push(field.trim());
+	rows.push(row);
+
+	return rows.filter(r => r.some(f => f.length > 0));
+};
+
+/**
+ * Format rows as CSV content
+ *
+ * @param {Array[]} rows the list of rows
+ * @returns {string} the CSV content
+ */
+exports.formatCsv = (rows) => {
+	return rows
+		.map(row => row
+			.map(value => (value === undefined || value === null) ? '' : String(value))
+			.map(value => /[",;\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value)
+			.join(','))
+		.join('\r\n') + '\r\n';
+};
@@ -0,0 +1,98 @@
+'use strict';
+
+/**
+ * Daily email digest of the notifications
+ * The digest is only sent if an SMTP server is configured with environment variables, for example a local test server:
+ * SMTP_HOST=localhost SMTP_PORT=1025 node app.js
+ *
+ * SMTP_HOST       host of the SMTP server (digest disabled if not set)
+ * SMTP_PORT       port of the SMTP server (default 587, 465 uses TLS)
+ * SMTP_USER       user of the SMTP server (optional)
+ * SMTP_PASSWORD   password of the SMTP user (optional)
+ * MAIL_FROM       sender of the digests (default noreply@<school domain>)
+ * DIGEST_HOUR     hour of the day the digest is sent (default 18)
+ * APP_URL         url of the application in the digest links (default http://localhost:<port>)
+ */
+
+const nodemailer = require('nodemailer');
+const { listDigests, markMailed } = require('./notifications');
+const { getSchool } = require('./schools');
+
+/**
+ * Build the SMTP transport from the environment variables
+ *
+ * @returns {Transporter} the nodemailer transport, undefined if no SMTP server is configured
+ */
+function buildTransport() {
+	if (!process.env.SMTP_HOST) {
+		return undefined;
+	}
+	const port = parseInt(process.env.SMTP_PORT || '587');
+	return nodemailer.createTransport({
+		host: process.env.SMTP_HOST,
+		port: port,
+		secure: port === 465,
+		auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+	});
+}
+
+/**
+ * Return the delay until the next digest
+ *
+ * @param {number} hour the hour of the day the digest is sent
+ * @returns {number} the delay in milliseconds
+ */
+function delayUntil(hour) {
+	const now = new Date();
+	const next = new Date(now);
+	next.setHours(hour, 0, 0, 0);
+	if (next <= now) {
+		next.setDate(next.getDate() + 1);
+	}
+	return next - now;
+}
+
+/**
+ * Send the digest of the unread notifications to each user (usernames are email addresses)
+ *
+ * @async
+ * @param {Transporter} transport the nodemailer transport
+ * @param {string} baseUrl the url of the application, for the notification links
+ */
+exports.sendDigests = async (transport, baseUrl) => {
+	const school = getSchool();
+	for (const [username, pending] of listDigests()) {
+		const lines = pending.map(n => `- ${n.message} (${new Date(n.createdAt).toLocaleString()}): ${baseUrl}${n.link}`);
+		try {
+			await transport.sendMail({
+				from: process.env.MAIL_FROM || `noreply@${school.domain}`,
+				to: username,
+				subject: `${school.name}: ${pending.length} new notification${pending.length > 1 ? 's' : ''}`,
+				text: `Hello,\n\nYour notifications of the day:\n\n${lines.join('\n')}\n\n${baseUrl}/notifications\n`
+			});
+			markMailed(username, pending);
+		}
+		catch (error) {
+			console.error(`Failed to send the digest to ${username}: ${error.message}`);
+		}
+	}
+};
+
+/**
+ * Schedule the daily digest, if an SMTP server is configured
+ *
+ * @param {string} baseUrl the url of the application, for the notification links
+ */
+exports.scheduleDigest = (baseUrl) => {
+	const transport = buildTransport();
+	if (!transport) {
+		return;
+	}
+	const hour = parseInt(process.env.DIGEST_HOUR || '18');
+	const send = () => {
+		exports.sendDigests(transport, baseUrl);
+		setTimeout(send, delayUntil(hour));
+	};
+	setTimeout(send, delayUntil(hour));
+	console.log(`Daily notification digest scheduled at ${hour}:00 through ${process.env.SMTP_HOST}`);
+};
\ No newline at end of file
@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * Chaincode error helper methods
+ */
+
+/**
+ * form fields matching the chaincode validation error codes
+ */
+const validationErrorFields = {
+	INVALID_GRADE_VALUE: 'value',
+	INVALID_GRADE_WEIGHT: 'weight',
+	INVALID_GRADE_TYPE: 'type',
+	INVALID_SCHEME_SCALE: 'scale',
+	INVALID_SCHEME_PASS_THRESHOLD: 'passThreshold',
+	INVALID_SCHEME_ROUNDING: 'rounding',
+	INVALID_SCHEME_TYPES: 'weights',
+	INVALID_ASSESSMENT_NAME: 'name',
+	INVALID_ASSESSMENT_TYPE: 'type',
+	INVALID_ASSESSMENT_WEIGHT: 'weight',
+	INVALID_ASSESSMENT_DATE: 'date',
+	INVALID_ASSESSMENT_MAX_SCORE: 'maxScore',
+	INVALID_COURSE_CAPACITY: 'capacity',
+	INVALID_COURSE_PREREQUISITES: 'prerequisites',
+	INVALID_PROGRAM_NAME: 'name',
+	INVALID_PROGRAM_CREDITS: 'credits',
+	INVALID_PROGRAM_COURSES: 'courses'
+};
+
+/**
+ * Extract the chaincode validation errors from a failed transaction
+ * Validation errors are reported by the chaincode as '[CODE] message'
+ *
+ * @param {Error} error the transaction error
+ * @returns {Object} a map of form field names to error messages, undefined if there is no validation error
+ */
+exports.getValidationErrors = (error) => {
+
+	// collect all error messages (including endorsement responses)
+	let messages = [error.message];
+	if (Array.isArray(error.responses)) {
+		for (const response of error.responses) {
+			if (response.response && response.response.message) {
+				messages.push(response.response.message);
+			}
+		}
+	}
+
+	// map error codes to form fields
+	let errors = undefined;
+	const pattern = /\[([A-Z_]+)\] ([^;\n]+)/g;
+	for (const message of messages) {
+		let match;
+		while ((match = pattern.exec(message)) !== null) {
+			const field = validationErrorFields[match[1]];
+			if (field) {
+				errors = errors || {};
+				errors[field] = match[2].trim();
+			}
+		}
+	}
+
+	return errors;
+};
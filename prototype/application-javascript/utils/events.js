@@ -0,0 +1,90 @@
+'use strict';
+
+/**
+ * Live updates helper methods
+ * The chaincode events received by the application are forwarded to the open browser pages with server-sent events,
+ * the pages then reload their content. The events only contain asset ids, the pages read the data with the
+ * identity of the user, so the access rules of the chaincode still apply
+ */
+
+const { getSchool } = require('./schools');
+
+/**
+ * Interval of the keep-alive comments sent to the browsers (milliseconds)
+ */
+const keepAliveInterval = 30000;
+
+/**
+ * Open server-sent events connections (response, user and filter)
+ */
+const clients = new Set();
+
+/**
+ * Check if a chaincode event concerns a connected page
+ *
+ * @param {Object} client the connection (user and filter)
+ * @param {Object} event the chaincode event payload
+ * @returns {boolean} true if the event must be sent to the page
+ */
+function concerns(client, event) {
+
+	// events of the other schools
+	if (event.Org !== getSchool().mspId) {
+		return false;
+	}
+
+	// students only receive the changes of their own grades, registrations and results, and of their courses
+	if (client.user.role === 'student' && (event.Students || []).indexOf(client.user.username) === -1) {
+		return false;
+	}
+
+	// changes of the course or of the student of the page
+	if (client.filter.course && (event.Courses || []).indexOf(client.filter.course) === -1) {
+		return false;
+	}
+	if (client.filter.student && (event.Students || []).indexOf(client.filter.student) === -1) {
+		return false;
+	}
+	return true;
+}
+
+/**
+ * Open a server-sent events connection for a page
+ *
+ * @param {Request} req the request (authenticated user)
+ * @param {Response} res the response, kept open until the browser closes the page
+ * @param {Object} filter the course and student of the page (optional)
+ */
+exports.subscribe = (req, res, filter) => {
+	res.set({
+		'Content-Type': 'text/event-stream',
+		'Cache-Control': 'no-cache',
+		'Connection': 'keep-alive'
+	});
+	res.flushHeaders();
+
+	const client = { res: res, user: req.user, filter: filter };
+	clients.add(client);
+
+	// keep the connection open through proxies
+	const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), keepAliveInterval);
+
+	req.on('close', () => {
+		clearInterval(keepAlive);
+		clients.delete(client);
+	});
+};
+
+/**
+ * Forward a chaincode event to the pages it concerns
+ *
+ * @param {string} name the name of the chaincode event
+ * @param {Object} event the chaincode event payload
+ */
+exports.publish = (name, event) => {
+	for (const client of clients) {
+		if (concerns(client, event)) {
+			client.res.write(`event: ${name}\ndata: ${JSON.stringify(event)}\n\n`);
+		}
+	}
+};
\ No newline at end of file
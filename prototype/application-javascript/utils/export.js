@@ -0,0 +1,91 @@
+'use strict';
+
+/**
+ * Spreadsheet export helper methods
+ */
+
+const ExcelJS = require('exceljs');
+const { formatCsv } = require('./csv');
+const { buildGradebook } = require('./gradebook');
+
+/**
+ * supported export formats
+ */
+exports.exportFormats = ['csv', 'xlsx'];
+
+/**
+ * Send a table as CSV or XLSX file
+ *
+ * @async
+ * @param {Response} res the HTTP response
+ * @param {string} format the export format (csv or xlsx)
+ * @param {string} filename the file name, without extension
+ * @param {string[]} columns the column titles
+ * @param {Array[]} rows the table rows, in the same order as the columns
+ */
+exports.sendTable = async (res, format, filename, columns, rows) => {
+	if (exports.exportFormats.indexOf(format) === -1) {
+		throw new Error(`Unsupported export format '${format}'`);
+	}
+
+	res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+	if (format === 'csv') {
+		res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+		res.send(formatCsv([columns].concat(rows)));
+		return;
+	}
+
+	// XLSX workbook with a single sheet
+	const workbook = new ExcelJS.Workbook();
+	const sheet = workbook.addWorksheet('Grades');
+	sheet.addRow(columns).font = { bold: true };
+	for (const row of rows) {
+		sheet.addRow(row);
+	}
+	res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+	res.send(await workbook.xlsx.writeBuffer());
+};
+
+/**
+ * Build the grade table of a course: one row per student, with the grades of each assessment
+ * followed by the average and the rounded grade
+ *
+ * @param {Object} course the course
+ * @param {Object[]} assessments the assessments of the course
+ * @param {Object[]} students the students (username, firstname and lastname)
+ * @param {Object[]} grades the grades of the course
+ * @param {Object} results the course results, by student username
+ * @returns {Object} the column titles and the rows
+ */
+exports.buildCourseTable = (course, assessments, students, grades, results) => {
+	const gradebook = buildGradebook(course, assessments, students, grades, results);
+
+	// column titles (grades without assessment have their own weight)
+	let columns = ['Email', 'Last name', 'First name'];
+	for (const column of gradebook.columns) {
+		if (column.ID) {
+			columns.push(`${column.Name} (${column.Type} ${column.Weight})`);
+		}
+		else {
+			columns.push(column.Name, `${column.Name} weight`);
+		}
+	}
+	columns.push('Average', 'Grade');
+
+	// rows
+	let rows = gradebook.rows.map(r => {
+		let row = [r.student.username, r.student.lastname, r.student.firstname];
+		gradebook.columns.forEach((column, i) => {
+			const grade = r.grades[i];
+			row.push(grade ? grade.Value : null);
+			if (!column.ID) {
+				row.push(grade ? grade.Weight : null);
+			}
+		});
+		row.push(r.result && r.result.Average !== null ? Number(r.result.Average.toFixed(2)) : null, r.result ? r.result.Grade : null);
+		return row;
+	});
+
+	return { columns: columns, rows: rows };
+};
@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * Gradebook helper methods
+ */
+
+/**
+ * Sort grades in a stable order (creation date, then id)
+ *
+ * @param {Object[]} grades a list of grades
+ * @returns {Object[]} the sorted grades
+ */
+exports.sortGrades = (grades) => {
+	return grades.slice().sort((a, b) => (a.CreatedAt || '').localeCompare(b.CreatedAt || '') || a.ID.localeCompare(b.ID));
+};
+
+/**
+ * Compute the class statistics of a course from the student results
+ * Only complete results are taken into account
+ *
+ * @param {Object} scheme the grading scheme of the course
+ * @param {Object[]} results the student results
+ * @returns {Object} the number of results, the mean, the median, the distribution of the grades and the fail rate
+ */
+exports.computeStatistics = (scheme, results) => {
+	const grades = results.filter(r => r && r.Complete).map(r => r.Grade).sort((a, b) => a - b);
+
+	// distribution of the grades, from the lowest to the highest grade of the scale
+	// (by rounding step, or by unit when grades are not rounded)
+	const step = scheme.Rounding > 0 ? scheme.Rounding : 1;
+	let distribution = [];
+	for (let i = 0; i <= Math.round((scheme.MaxValue - scheme.MinValue) / step); i++) {
+		distribution.push({ Grade: Number((scheme.MinValue + i * step).toFixed(2)), Count: 0 });
+	}
+	for (const grade of grades) {
+		distribution[Math.round((grade - scheme.MinValue) / step)].Count++;
+	}
+
+	if (grades.length === 0) {
+		return { Count: 0, Mean: null, Median: null, Distribution: distribution, FailRate: null };
+	}
+
+	// median of the grades
+	const middle = Math.floor(grades.length / 2);
+	const median = grades.length % 2 === 0 ? (grades[middle - 1] + grades[middle]) / 2 : grades[middle];
+
+	return {
+		Count: grades.length,
+		Mean: grades.reduce((sum, g) => sum + g, 0) / grades.length,
+		Median: median,
+		Distribution: distribution,
+		FailRate: results.filter(r => r && r.Complete && !r.Passed).length / grades.length
+	};
+};
+
+/**
+ * Group the grades of a student for a course by assessment
+ * Grades added before assessments were introduced are listed with their own type and weight
+ *
+ * @param {Object[]} assessments the assessments of the course
+ * @param {Object[]} grades the grades of the student for the course
+ * @returns {Object[]} the assessments, each with the grade of the student (null if not graded yet)
+ */
+exports.groupByAssessment = (assessments, grades) => {
+	let groups = assessments.map(a => Object.assign({}, a, { grade: grades.find(g => g.Assessment === a.ID) || null }));
+	for (const grade of exports.sortGrades(grades.filter(g => !g.Assessment))) {
+		groups.push({ Name: grade.Type, Type: grade.Type, Weight: grade.Weight, grade: grade });
+	}
+	return groups;
+};
+
+/**
+ * Build the gradebook of a course: one row per student and one column per assessment
+ * Grades added before assessments were introduced get additional columns by type, in creation order
+ *
+ * @param {Object} course the course
+ * @param {Object[]} assessments the assessments of the course
+ * @param {Object[]} students the students (username, firstname and lastname)
+ * @param {Object[]} grades the grades of the course
+ * @param {Object} results the course results, by student username
+ * @returns {Object} the columns (assessments), the rows (student, grades and result) and the class statistics
+ */
+exports.buildGradebook = (course, assessments, students, grades, results) => {
+	const scheme = course.GradingScheme;
+
+	// assessment columns
+	let columns = assessments.map(a => ({ ID: a.ID, Name: a.Name, Type: a.Type, Weight: a.Weight, MaxScore: a.MaxScore }));
+
+	// columns of grades without assessment (maximum number of grades of a type for a student)
+	const otherGrades = grades.filter(g => !g.Assessment);
+	for (const type of scheme.Types.map(t => t.Type)) {
+		const count = Math.max(0, ...students.map(s => otherGrades.filter(g => g.Student === s.username && g.Type === type).length));
+		for (let i = 1; i <= count; i++) {
+			columns.push({ Name: `${type} ${i}`, Type: type, Number: i });
+		}
+	}
+
+	// rows
+	let rows = students.map(student => {
+		const studentGrades = exports.sortGrades(grades.filter(g => g.Student === student.username));
+		return {
+			student: student,
+			grades: columns.map(c => c.ID
+				? studentGrades.find(g => g.Assessment === c.ID) || null
+				: studentGrades.filter(g => !g.Assessment && g.Type === c.Type)[c.Number - 1] || null),
+			result: results[student.username] || null
+		};
+	});
+
+	return {
+		columns: columns,
+		rows: rows,
+		statistics: exports.computeStatistics(scheme, rows.map(r => r.result))
+	};
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Grade private data helper methods
+ * Grade values and comments are sent to the chaincode as transient data, so that they are not recorded
+ * in the transaction proposal, and salted so that their hash on the ledger cannot be guessed
+ */
+
+/**
+ * Build the private data of a grade
+ *
+ * @param {string} value the grade value
+ * @param {string} comment the optional grade comment
+ * @returns {Object} the private data (Value, Comment and Salt)
+ */
+function gradeData(value, comment) {
+	return { Value: value, Comment: comment || '', Salt: crypto.randomBytes(16).toString('hex') };
+}
+
+/**
+ * Build the transient data of a grade (AddGrade, UpdateGrade and RequestGradeChange transactions)
+ *
+ * @param {string} value the grade value
+ * @param {string} comment the optional grade comment
+ * @returns {Object} the transient data map
+ */
+exports.gradeTransient = (value, comment) => {
+	return { grade: Buffer.from(JSON.stringify(gradeData(value, comment))) };
+};
+
+/**
+ * Build the transient data of a batch of grades (AddGrades transaction)
+ *
+ * @param {Object[]} grades the grades (ID, Student, Assessment, Value and optional Comment)
+ * @returns {Object} the transient data map
+ */
+exports.gradesTransient = (grades) => {
+	const batch = grades.map(g => Object.assign({ ID: g.ID, Student: g.Student, Assessment: g.Assessment }, gradeData(g.Value, g.Comment)));
+	return { grades: Buffer.from(JSON.stringify(batch)) };
+};
+
+/**
+ * Build the transient data with the private data of the grades of a course (FinalizeCourse and ApproveGradeChange transactions)
+ * The peers of the other schools also endorse these transactions, but do not store the private data of the school
+ *
+ * @async
+ * @param {Contract} contract the chaincode contract
+ * @param {string} courseId the id of the course
+ * @param {string} studentId the id of a student, to only send the grades of this student (optional)
+ * @returns {Promise<Object>} the transient data map
+ */
+exports.gradeDataTransient = async (contract, courseId, studentId) => {
+	return { gradeData: await contract.evaluateTransaction('ListGradeData', courseId, studentId || '') };
+};
+
+/**
+ * Build the transient data of the sample grades (InitLedger transaction)
+ * The chaincode derives the salt of each sample grade from this random secret
+ *
+ * @returns {Object} the transient data map
+ */
+exports.samplesTransient = () => {
+	return { salt: Buffer.from(JSON.stringify(crypto.randomBytes(32).toString('hex'))) };
+};
\ No newline at end of file
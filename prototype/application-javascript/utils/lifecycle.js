@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * Course lifecycle helper methods
+ * The transitions are checked by the chaincode, these methods are only used to adapt the views
+ */
+
+const { canChangeState } = require('./staff');
+
+/**
+ * labels and badge styles of the course states, in lifecycle order
+ */
+exports.states = {
+	draft: { label: 'Draft', badge: 'badge-light' },
+	registrationOpen: { label: 'Registration open', badge: 'badge-info' },
+	running: { label: 'Running', badge: 'badge-success' },
+	grading: { label: 'Grading', badge: 'badge-warning' },
+	closed: { label: 'Closed', badge: 'badge-secondary' },
+	archived: { label: 'Archived', badge: 'badge-dark' }
+};
+
+/**
+ * operations allowed in each course state (same as the chaincode)
+ */
+const stateOperations = {
+	draft: [],
+	registrationOpen: ['registration', 'studentView'],
+	running: ['registration', 'grading', 'gradeEdit', 'studentView'],
+	grading: ['grading', 'gradeChangeRequest', 'studentView'],
+	closed: ['gradeChangeRequest', 'studentView'],
+	archived: []
+};
+
+/**
+ * course lifecycle transitions (chaincode transaction, source and target states, allowed roles and button label)
+ */
+exports.transitions = [
+	{ transaction: 'OpenRegistration', from: 'draft', to: 'registrationOpen', roles: ['secretariat'], label: 'Open registration' },
+	{ transaction: 'StartCourse', from: 'registrationOpen', to: 'running', roles: ['secretariat', 'teacher'], label: 'Start course' },
+	{ transaction: 'StartGrading', from: 'running', to: 'grading', roles: ['secretariat', 'teacher'], label: 'Start grading' },
+	{ transaction: 'FinalizeCourse', from: 'grading', to: 'closed', roles: ['secretariat', 'teacher'], label: 'Finalize' },
+	{ transaction: 'ArchiveCourse', from: 'closed', to: 'archived', roles: ['secretariat'], label: 'Archive' }
+];
+
+/**
+ * Check if an operation is allowed in the current state of a course
+ *
+ * @param {Object} course the course
+ * @param {string} operation the operation (registration, grading, gradeEdit, gradeChangeRequest or studentView)
+ * @returns {boolean} true if the operation is allowed
+ */
+exports.isAllowed = (course, operation) => {
+	return (stateOperations[course.State] || []).indexOf(operation) !== -1;
+};
+
+/**
+ * Check if a course is finalized (closed or archived)
+ *
+ * @param {Object} course the course
+ * @returns {boolean} true if the course is finalized
+ */
+exports.isFinalized = (course) => {
+	return course.State === 'closed' || course.State === 'archived';
+};
+
+/**
+ * Return the transitions a user can apply to a course
+ *
+ * @param {Object} course the course
+ * @param {Object} user the current user
+ * @returns {Object[]} the valid transitions (teachers only get the ones of the courses they teach or co-lecture)
+ */
+exports.getTransitions = (course, user) => {
+	return exports.transitions.filter(t => t.from === course.State && t.roles.indexOf(user.role) !== -1
+		&& (user.role !== 'teacher' || canChangeState(course, user.username)));
+};
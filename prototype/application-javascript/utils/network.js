@@ -4,13 +4,19 @@
  * Hyperledger Fabric network helper methods
  */
 
+const fs = require('fs');
+const path = require('path');
 const FabricCAServices = require('fabric-ca-client');
-const { Gateway, Wallets } = require('fabric-network');
-const { buildCCPOrg1, buildWallet } = require('./AppUtil.js');
+const { Gateway, Wallets, DefaultCheckpointers } = require('fabric-network');
+const { buildWallet } = require('./AppUtil.js');
 const { buildCAClient } = require('./CAUtil.js');
+const { getSchool } = require('./schools');
+
+// the school of this application instance
+const school = getSchool();
 
 // build an in memory object with the network configuration (also known as a connection profile)
-const ccp = buildCCPOrg1();
+const ccp = school.buildCCP();
 
 // create a new gateway instance for interacting with the Hyperledger Fabric network
 const gateway = new Gateway();
@@ -18,6 +24,9 @@ const gateway = new Gateway();
 // the wallet to hold the credentials of the application users
 let wallet = undefined
 
+// the file of the last block and transaction of the chaincode events processed by the application (one per school)
+const checkpointFile = path.join(__dirname, '..', 'data', `checkpoint-${school.mspId}.json`);
+
 /**
  * Initialize a new wallet
  *
@@ -34,13 +43,13 @@ exports.initWallet = async () => {
 };
 
 /**
- * Get a new client to interact with the certification authority
+ * Get a new client to interact with the certification authority of the school
  *
  * @async
  * @returns {FabricCAServices} a certification authority client
  */
 exports.getCaClient = () => {
-	return buildCAClient(FabricCAServices, ccp, 'ca.org1.example.com');
+	return buildCAClient(FabricCAServices, ccp, school.caHostName);
 };
 
 /**
@@ -68,4 +77,33 @@ exports.getContract = async (username) => {
 	const contract = network.getContract('prototype');
 
 	return contract;
+};
+
+/**
+ * Listen to the events of the prototype chaincode
+ * The listener uses its own gateway, which stays connected (the gateway of the requests is disconnected after each request)
+ * The processed events are saved to a checkpoint file: after a restart, the events committed while the application was
+ * stopped are replayed from the checkpoint (the first start only receives the new events)
+ *
+ * @async
+ * @param {string} username the identity used to receive the events
+ * @param {Function} listener the listener, called with each chaincode event of the valid transactions
+ * @returns {Gateway} the connected gateway
+ */
+exports.listenContractEvents = async (username, listener) => {
+	const eventGateway = new Gateway();
+	await eventGateway.connect(ccp, {
+		wallet,
+		identity: username,
+		discovery: { enabled: true, asLocalhost: true }
+	});
+
+	// full blocks are needed to get the event payloads
+	const network = await eventGateway.getNetwork('mychannel');
+	const contract = network.getContract('prototype');
+	fs.mkdirSync(path.dirname(checkpointFile), { recursive: true });
+	const checkpointer = await DefaultCheckpointers.file(checkpointFile);
+	await contract.addContractListener(listener, { type: 'full', checkpointer: checkpointer });
+
+	return eventGateway;
 };
\ No newline at end of file
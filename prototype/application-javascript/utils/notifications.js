@@ -0,0 +1,165 @@
+'use strict';
+
+/**
+ * Notification center helper methods
+ * The students are notified of the committed changes of their grades, registrations and results, from the chaincode events.
+ * The notifications are saved to a file of the school after each change, so that they survive a restart of the application
+ * (the chaincode events missed while the application is stopped are replayed from its checkpoint, see listenContractEvents)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { getSchool } = require('./schools');
+
+/**
+ * File of the saved notifications (one per school, several applications can run from the same directory)
+ */
+const notificationsFile = path.join(__dirname, '..', 'data', `notifications-${getSchool().mspId}.json`);
+
+/**
+ * Maximum number of notifications kept per user (the oldest ones are dropped)
+ */
+const maxNotifications = 100;
+
+/**
+ * Load the saved notifications
+ *
+ * @returns {Map} the notifications of the users, by username (most recent first)
+ */
+function loadNotifications() {
+	if (!fs.existsSync(notificationsFile)) {
+		return new Map();
+	}
+	return new Map(Object.entries(JSON.parse(fs.readFileSync(notificationsFile, 'utf8'))));
+}
+
+/**
+ * Notifications of the users, by username (most recent first)
+ */
+const notifications = loadNotifications();
+
+/**
+ * Save the notifications of all users
+ * The file is replaced in one step, a crash while writing leaves the previous file
+ */
+function saveNotifications() {
+	fs.mkdirSync(path.dirname(notificationsFile), { recursive: true });
+	fs.writeFileSync(`${notificationsFile}.tmp`, JSON.stringify(Object.fromEntries(notifications)));
+	fs.renameSync(`${notificationsFile}.tmp`, notificationsFile);
+}
+
+/**
+ * Notifications created for each chaincode event (message and link for a course and a student)
+ */
+const eventNotifications = {
+	GradeAdded: (course, student) => ({ message: `New grade in ${course}`, link: `/grades/${student}` }),
+	GradeUpdated: (course, student) => ({ message: `Grade changed in ${course}`, link: `/grades/${student}` }),
+	StudentRegistered: (course) => ({ message: `Registered to ${course}`, link: `/courses/${course}` }),
+	ResultFinalized: (course, student) => ({ message: `Final result available for ${course}`, link: `/students/${student}/transcript` })
+};
+
+/**
+ * Add a notification for a user
+ *
+ * @param {string} username the username of the user
+ * @param {string} type the type of notification (name of the chaincode event)
+ * @param {Object} content the message and link of the notification
+ * @param {string} createdAt the date of the change
+ */
+function addNotification(username, type, content, createdAt) {
+	const list = notifications.get(username) || [];
+	list.unshift({ id: uuidv4(), type: type, message: content.message, link: content.link, createdAt: createdAt, read: false, mailed: false });
+	notifications.set(username, list.slice(0, maxNotifications));
+}
+
+/**
+ * Create the notifications of a chaincode event
+ *
+ * @param {string} name the name of the chaincode event
+ * @param {Object} event the chaincode event payload
+ */
+exports.notify = (name, event) => {
+	const notification = eventNotifications[name];
+	if (!notification || event.Org !== getSchool().mspId) {
+		return;
+	}
+
+	// registrations list the course of each student, the other events concern a single course
+	const changes = event.Registrations || event.Students.map(student => ({ Course: event.Courses[0], Student: student }));
+	for (const change of changes) {
+		addNotification(change.Student, name, notification(change.Course, change.Student), event.Timestamp);
+	}
+	saveNotifications();
+};
+
+/**
+ * Return the notifications of a user
+ *
+ * @param {string} username the username of the user
+ * @returns {Object[]} the notifications, most recent first
+ */
+exports.listNotifications = (username) => {
+	return notifications.get(username) || [];
+};
+
+/**
+ * Return the number of unread notifications of a user
+ *
+ * @param {string} username the username of the user
+ * @returns {number} the number of unread notifications
+ */
+exports.countUnread = (username) => {
+	return exports.listNotifications(username).filter(n => !n.read).length;
+};
+
+/**
+ * Mark notifications of a user as read
+ *
+ * @param {string} username the username of the user
+ * @param {string} id the id of the notification, all notifications if not set
+ * @returns {Object} the notification, undefined if not found or if all notifications are marked
+ */
+exports.markRead = (username, id) => {
+	let found;
+	for (const notification of exports.listNotifications(username)) {
+		if (!id || notification.id === id) {
+			notification.read = true;
+			found = id ? notification : undefined;
+		}
+	}
+	saveNotifications();
+	return found;
+};
+
+/**
+ * Return the unread notifications not sent by email yet, by username
+ * The notifications must be marked as mailed once sent
+ *
+ * @returns {Map} the notifications to send, by username
+ */
+exports.listDigests = () => {
+	const digests = new Map();
+	for (const [username, list] of notifications) {
+		const pending = list.filter(n => !n.read && !n.mailed);
+		if (pending.length > 0) {
+			digests.set(username, pending);
+		}
+	}
+	return digests;
+};
+
+/**
+ * Mark notifications of a user as sent by email
+ *
+ * @param {string} username the username of the user
+ * @param {Object[]} sent the notifications sent
+ */
+exports.markMailed = (username, sent) => {
+	for (const notification of exports.listNotifications(username)) {
+		if (sent.some(n => n.id === notification.id)) {
+			notification.mailed = true;
+		}
+	}
+	saveNotifications();
+};
\ No newline at end of file
@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * Pagination helper methods
+ * The chaincode returns a bookmark with each page to get the next one (CouchDB bookmarks only go forward),
+ * the bookmarks of the visited pages are kept in the session of the user to go back to previous pages.
+ * The total number of items is returned by the chaincode for the lists it counts (e.g. the courses of the secretariat
+ * and teachers), otherwise the number of pages is not known and a next page is offered after each full page
+ */
+
+/**
+ * Number of items per page
+ */
+exports.pageSize = 20;
+
+/**
+ * Get the requested page of a list and its bookmark
+ * Pages whose bookmark is unknown (not reached from the previous pages in this session) restart at the first page
+ *
+ * @param {Request} req the request (page number in the query string)
+ * @param {string} list the key of the list (e.g. 'courses')
+ * @returns {Object} the page number (starting at 1) and its bookmark
+ */
+exports.getPage = (req, list) => {
+	const bookmarks = (req.session.bookmarks || {})[list] || [''];
+	let page = parseInt(req.query.page, 10) || 1;
+	if (page < 1 || page > bookmarks.length) {
+		page = 1;
+	}
+	return { page: page, bookmark: bookmarks[page - 1] };
+};
+
+/**
+ * Keep the bookmark of the next page of a list and build its pager
+ *
+ * @param {Request} req the request
+ * @param {string} list the key of the list
+ * @param {number} page the current page number
+ * @param {Object} result the page returned by the chaincode (number of fetched items, bookmark and optional total count)
+ * @returns {Object} the pager (current page, whether there are previous and next pages, and the number of pages
+ * and items if the total is known)
+ */
+exports.buildPager = (req, list, page, result) => {
+	const counted = typeof result.TotalCount === 'number';
+	const pages = counted ? Math.max(1, Math.ceil(result.TotalCount / exports.pageSize)) : null;
+	const hasNext = result.FetchedRecordsCount >= exports.pageSize && !!result.Bookmark && (!counted || page < pages);
+	req.session.bookmarks = req.session.bookmarks || {};
+	const bookmarks = (req.session.bookmarks[list] || ['']).slice(0, page);
+	if (hasNext) {
+		bookmarks.push(result.Bookmark);
+	}
+	req.session.bookmarks[list] = bookmarks;
+	let pager = { page: page, hasPrevious: page > 1, hasNext: hasNext };
+	if (counted) {
+		pager.pages = pages;
+		pager.total = result.TotalCount;
+	}
+	return pager;
+};
+
+/**
+ * Get a page of a list built by the application (e.g. the users of the CA)
+ *
+ * @param {Request} req the request (page number in the query string)
+ * @param {Object[]} items all items of the list
+ * @returns {Object} the items of the page and the pager (with the number of pages and the total number of items)
+ */
+exports.paginate = (req, items) => {
+	const pages = Math.max(1, Math.ceil(items.length / exports.pageSize));
+	const page = Math.min(Math.max(parseInt(req.query.page, 10) || 1, 1), pages);
+	return {
+		items: items.slice((page - 1) * exports.pageSize, page * exports.pageSize),
+		pager: { page: page, hasPrevious: page > 1, hasNext: page < pages, pages: pages, total: items.length }
+	};
+};
\ No newline at end of file
@@ -0,0 +1,42 @@
+'use strict';
+
+/**
+ * Course prerequisites helper methods
+ * Prerequisites are edited as text, e.g. 'MLG:4.5, CLD' (acronym, optionally followed by a minimum grade)
+ */
+
+/**
+ * Parse the prerequisites of a course from text
+ *
+ * @param {string} text the prerequisites as text
+ * @returns {Object[]} the prerequisites (Acronym and MinGrade, null if not set)
+ */
+exports.parsePrerequisites = (text) => {
+	return (text || '').split(',')
+		.map(p => p.trim())
+		.filter(p => p.length > 0)
+		.map(p => {
+			const [acronym, minGrade] = p.split(':').map(s => s.trim());
+			return { Acronym: acronym.toUpperCase(), MinGrade: minGrade || null };
+		});
+};
+
+/**
+ * Format the prerequisites of a course as text
+ *
+ * @param {Object[]} prerequisites the prerequisites (Acronym and MinGrade)
+ * @returns {string} the prerequisites as text
+ */
+exports.formatPrerequisites = (prerequisites) => {
+	return (prerequisites || []).map(p => p.MinGrade === null ? p.Acronym : `${p.Acronym}:${p.MinGrade}`).join(', ');
+};
+
+/**
+ * Describe a prerequisite
+ *
+ * @param {Object} prerequisite the prerequisite (Acronym and MinGrade)
+ * @returns {string} the acronym and the required grade
+ */
+exports.describePrerequisite = (prerequisite) => {
+	return prerequisite.MinGrade === null ? `${prerequisite.Acronym} (passed)` : `${prerequisite.Acronym} (min. ${prerequisite.MinGrade})`;
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+/**
+ * Study program helper methods
+ * Program courses are entered as text, e.g. 'MLG:5, CLD:4' (acronym followed by the ECTS credits)
+ */
+
+/**
+ * Parse the courses of a program from text
+ *
+ * @param {string} required the required courses as text
+ * @param {string} electives the elective courses as text
+ * @returns {Object[]} the courses (Acronym, Credits and Required)
+ */
+exports.parseProgramCourses = (required, electives) => {
+	const parse = (text, isRequired) => (text || '').split(',')
+		.map(c => c.trim())
+		.filter(c => c.length > 0)
+		.map(c => {
+			const [acronym, credits] = c.split(':').map(s => s.trim());
+			return { Acronym: acronym.toUpperCase(), Credits: credits || '', Required: isRequired };
+		});
+	return parse(required, true).concat(parse(electives, false));
+};
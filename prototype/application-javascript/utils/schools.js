@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * School configuration
+ * Each school of the network runs its own instance of the application, connected to the peers and the CA
+ * of its organization, the school is selected with the SCHOOL environment variable (e.g. SCHOOL=org2 node app.js)
+ */
+
+const { buildCCPOrg1, buildCCPOrg2 } = require('./AppUtil.js');
+
+/**
+ * Schools of the network, by organization
+ */
+const schools = {
+	org1: {
+		name: 'HEIG-VD',
+		mspId: 'Org1MSP',
+		caHostName: 'ca.org1.example.com',
+		domain: 'heig-vd.ch',
+		port: 3000,
+		buildCCP: buildCCPOrg1,
+		samples: true
+	},
+	org2: {
+		name: 'HEPIA',
+		mspId: 'Org2MSP',
+		caHostName: 'ca.org2.example.com',
+		domain: 'hepia.ch',
+		port: 3001,
+		buildCCP: buildCCPOrg2,
+		samples: false
+	}
+};
+
+/**
+ * Get the school of this application instance
+ *
+ * @returns {Object} the school (name, MSP id, CA, email domain, web server port, connection profile and sample data flag)
+ */
+exports.getSchool = () => {
+	const school = schools[process.env.SCHOOL || 'org1'];
+	if (!school) {
+		throw new Error(`Unknown school '${process.env.SCHOOL}', expected one of: ${Object.keys(schools).join(', ')}`);
+	}
+	return school;
+};
+
+/**
+ * List the other schools of the network (to transfer credits from)
+ *
+ * @returns {Object[]} the other schools
+ */
+exports.listOtherSchools = () => {
+	const school = exports.getSchool();
+	return Object.values(schools).filter(s => s.mspId !== school.mspId);
+};
\ No newline at end of file
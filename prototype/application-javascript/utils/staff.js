@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * Course staff helper methods
+ * The permissions are checked by the chaincode, these methods are only used to adapt the views
+ */
+
+/**
+ * labels of the staff permissions
+ */
+exports.permissionLabels = {
+	view: 'View',
+	gradeLabo: 'Grade Labo only',
+	gradeAll: 'Grade all',
+	manageRoster: 'Manage roster'
+};
+
+/**
+ * Return the permissions of a user for a course (the teacher of the course has all permissions)
+ *
+ * @param {Object} course the course
+ * @param {string} username the username of the user
+ * @returns {string[]} the permissions, empty if the user is not part of the course staff
+ */
+exports.getPermissions = (course, username) => {
+	if (course.Teacher === username) {
+		return Object.keys(exports.permissionLabels);
+	}
+	const member = (course.Staff || []).find(m => m.Member === username);
+	return member ? member.Permissions : [];
+};
+
+/**
+ * Check if a user can grade the assessments of a type
+ *
+ * @param {Object} course the course
+ * @param {string} username the username of the user
+ * @param {string} type the assessment type, undefined to check for any grading permission
+ * @returns {boolean} true if the user can add and edit grades
+ */
+exports.canGrade = (course, username, type) => {
+	const permissions = exports.getPermissions(course, username);
+	return permissions.indexOf('gradeAll') !== -1 || (permissions.indexOf('gradeLabo') !== -1 && (type === undefined || type === 'Labo'));
+};
+
+/**
+ * Check if a user can change the state of a course (the teacher and the staff members allowed to grade all assessments)
+ *
+ * @param {Object} course the course
+ * @param {string} username the username of the user
+ * @returns {boolean} true if the user can apply the teacher transitions of the course
+ */
+exports.canChangeState = (course, username) => {
+	return exports.getPermissions(course, username).indexOf('gradeAll') !== -1;
+};
+
+/**
+ * Check if a user can register and unregister students
+ *
+ * @param {Object} course the course
+ * @param {string} username the username of the user
+ * @returns {boolean} true if the user can manage the course roster
+ */
+exports.canManageRoster = (course, username) => {
+	return exports.getPermissions(course, username).indexOf('manageRoster') !== -1;
+};
@@ -0,0 +1,45 @@
+'use strict';
+
+/**
+ * Transcript PDF helper methods
+ */
+
+const PDFDocument = require('pdfkit');
+
+/**
+ * Write a transcript as PDF document
+ * The document embeds the ledger transaction ids of the course results and the
+ * transcript hash, so that it can be verified against the ledger
+ *
+ * @param {stream.Writable} stream the output stream (e.g. the HTTP response)
+ * @param {Object} student the student
+ * @param {Object} transcript the transcript issued by the chaincode
+ */
+exports.writeTranscriptPdf = (stream, student, transcript) => {
+	const doc = new PDFDocument({ margin: 50, info: { Title: 'Transcript of records', Subject: transcript.ID } });
+	doc.pipe(stream);
+
+	// header
+	doc.fontSize(20).text('Transcript of records');
+	doc.moveDown();
+	doc.fontSize(12).text(`${student.firstname} ${student.lastname} (${student.username})`);
+	doc.fontSize(10).text(`Issued on ${new Date(transcript.IssuedAt).toUTCString()}`);
+	doc.moveDown(2);
+
+	// course results
+	for (const result of transcript.Results) {
+		doc.fontSize(12).text(`${result.Name} ${result.Year} (${result.Acronym})`);
+		doc.fontSize(10).text(`Final grade: ${result.Grade} (average ${result.Average.toFixed(2)}), ${result.Passed ? 'passed' : 'failed'}`);
+		doc.fontSize(8).fillColor('gray').text(`Ledger transaction: ${result.TxId}`).fillColor('black');
+		doc.moveDown();
+	}
+
+	// verification information
+	doc.moveDown();
+	doc.fontSize(10).text('Verification');
+	doc.fontSize(8).text(`Transcript hash (SHA-256): ${transcript.ID}`);
+	doc.text(`Issuing transaction: ${transcript.TxId}`);
+	doc.text('This transcript can be verified against the blockchain ledger with its hash, or by uploading this document on the /verify page.');
+
+	doc.end();
+};
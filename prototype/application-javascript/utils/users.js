@@ -23,6 +23,7 @@ const appRoleAttribute = 'app_role';
 const studentRole = 'student';
 const teacherRole = 'teacher';
 const secretariatRole = 'secretariat';
+const verifierRole = 'verifier';
 
 /**
  * Returns all users with a specific application role
@@ -254,6 +255,21 @@ exports.addSecretariat = async (caClient, wallet, username, password, firstname,
 	await registerUser(caClient, wallet, username, password, firstname, lastname, secretariatRole);
 };
 
+/**
+ * Add a new verifier user (identity used for public credential verification)
+ *
+ * @async
+ * @param {FabricCAServices} caClient certification authority client
+ * @param {Wallet} wallet identity wallet
+ * @param {string} username the username
+ * @param {string} password the passord
+ * @param {string} firstname the firstname
+ * @param {string} lastname the lastname
+ */
+exports.addVerifier = async (caClient, wallet, username, password, firstname, lastname) => {
+	await registerUser(caClient, wallet, username, password, firstname, lastname, verifierRole);
+};
+
 /**
  * Remove an existing user
  *
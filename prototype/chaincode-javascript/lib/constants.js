@@ -9,6 +9,52 @@
  */
 exports.COURSE_TYPE = 'course';
 exports.GRADE_TYPE = 'grade';
+exports.GRADE_CHANGE_REQUEST_TYPE = 'gradeChangeRequest';
+exports.RESULT_TYPE = 'result';
+exports.TRANSCRIPT_TYPE = 'transcript';
+exports.ASSESSMENT_TYPE = 'assessment';
+exports.REGISTRATION_REQUEST_TYPE = 'registrationRequest';
+exports.PREREQUISITE_OVERRIDE_TYPE = 'prerequisiteOverride';
+exports.PROGRAM_TYPE = 'program';
+exports.DIPLOMA_TYPE = 'diploma';
+exports.CREDIT_TRANSFER_TYPE = 'creditTransfer';
+
+/**
+ * private data collections of the grade values and comments, one per school named after its MSP id
+ * (e.g. gradesCollectionOrg1MSP), the grades added before are kept in the gradesCollection collection
+ * shared by all schools, which is only read
+ * and transient data keys used to submit them
+ */
+exports.GRADES_COLLECTION = 'gradesCollection';
+exports.GRADE_TRANSIENT_KEY = 'grade';
+exports.GRADES_TRANSIENT_KEY = 'grades';
+exports.GRADE_DATA_TRANSIENT_KEY = 'gradeData';
+exports.SALT_TRANSIENT_KEY = 'salt';
+
+/**
+ * school (organization MSP) owning the assets added before several schools joined the network
+ */
+exports.DEFAULT_SCHOOL = 'Org1MSP';
+
+/**
+ * role of the organization members required to endorse changes of finalized results (key-level endorsement policy)
+ */
+exports.RESULT_ENDORSER_ROLE = 'PEER';
+
+/**
+ * organizations required by the chaincode endorsement policy of the channel (majority of Org1MSP and Org2MSP),
+ * the key-level endorsement policies of the results must not be weaker
+ */
+exports.CHAINCODE_ENDORSERS = ['Org1MSP', 'Org2MSP'];
+
+/**
+ * chaincode events
+ */
+exports.GRADE_ADDED_EVENT = 'GradeAdded';
+exports.GRADE_UPDATED_EVENT = 'GradeUpdated';
+exports.STUDENT_REGISTERED_EVENT = 'StudentRegistered';
+exports.COURSE_STATE_CHANGED_EVENT = 'CourseStateChanged';
+exports.RESULT_FINALIZED_EVENT = 'ResultFinalized';
 
 /**
  * attributes
@@ -22,8 +68,151 @@ exports.ENROLLMENT_ID_ATTRIBUTE = 'hf.EnrollmentID';
 exports.STUDENT_ROLE = 'student';
 exports.TEACHER_ROLE = 'teacher';
 exports.SECRETARIAT_ROLE = 'secretariat';
+exports.VERIFIER_ROLE = 'verifier';
+
+/**
+ * grade change, registration and credit transfer request status
+ * (credit transfers are confirmed by the school of the course before being approved by the school of the student)
+ */
+exports.PENDING_STATUS = 'pending';
+exports.APPROVED_STATUS = 'approved';
+exports.REJECTED_STATUS = 'rejected';
+exports.WAITLISTED_STATUS = 'waitlisted';
+exports.CONFIRMED_STATUS = 'confirmed';
+
+/**
+ * default maximum number of students of a course
+ */
+exports.DEFAULT_COURSE_CAPACITY = 30;
+
+/**
+ * number of registration counter shards of each course
+ */
+exports.REGISTRATION_SHARDS = 4;
+
+/**
+ * maximum number of assets returned by the paginated queries
+ */
+exports.MAX_PAGE_SIZE = 100;
+
+/**
+ * course staff permissions
+ */
+exports.VIEW_PERMISSION = 'view';
+exports.GRADE_LABO_PERMISSION = 'gradeLabo';
+exports.GRADE_ALL_PERMISSION = 'gradeAll';
+exports.MANAGE_ROSTER_PERMISSION = 'manageRoster';
+exports.STAFF_PERMISSIONS = [exports.VIEW_PERMISSION, exports.GRADE_LABO_PERMISSION, exports.GRADE_ALL_PERMISSION, exports.MANAGE_ROSTER_PERMISSION];
+
+/**
+ * course lifecycle states
+ */
+exports.DRAFT_STATE = 'draft';
+exports.REGISTRATION_OPEN_STATE = 'registrationOpen';
+exports.RUNNING_STATE = 'running';
+exports.GRADING_STATE = 'grading';
+exports.CLOSED_STATE = 'closed';
+exports.ARCHIVED_STATE = 'archived';
+
+/**
+ * course operations, allowed or not depending on the state of the course
+ */
+exports.REGISTRATION_OPERATION = 'registration';
+exports.GRADING_OPERATION = 'grading';
+exports.GRADE_EDIT_OPERATION = 'gradeEdit';
+exports.GRADE_CHANGE_REQUEST_OPERATION = 'gradeChangeRequest';
+exports.STUDENT_VIEW_OPERATION = 'studentView';
+
+/**
+ * operations allowed in each course state
+ * grades are edited directly while the course is running, existing grades are changed through
+ * change requests during the grading period and once the course is closed (the final result is then recomputed)
+ */
+exports.STATE_OPERATIONS = {
+    [exports.DRAFT_STATE]: [],
+    [exports.REGISTRATION_OPEN_STATE]: [exports.REGISTRATION_OPERATION, exports.STUDENT_VIEW_OPERATION],
+    [exports.RUNNING_STATE]: [exports.REGISTRATION_OPERATION, exports.GRADING_OPERATION, exports.GRADE_EDIT_OPERATION, exports.STUDENT_VIEW_OPERATION],
+    [exports.GRADING_STATE]: [exports.GRADING_OPERATION, exports.GRADE_CHANGE_REQUEST_OPERATION, exports.STUDENT_VIEW_OPERATION],
+    [exports.CLOSED_STATE]: [exports.GRADE_CHANGE_REQUEST_OPERATION, exports.STUDENT_VIEW_OPERATION],
+    [exports.ARCHIVED_STATE]: []
+};
+
+/**
+ * course lifecycle transitions: transaction, source and target states and allowed roles
+ * (teachers can only change the state of the courses they teach or co-lecture with the gradeAll permission)
+ */
+exports.COURSE_TRANSITIONS = [
+    { Transaction: 'OpenRegistration', From: exports.DRAFT_STATE, To: exports.REGISTRATION_OPEN_STATE, Roles: [exports.SECRETARIAT_ROLE] },
+    { Transaction: 'StartCourse', From: exports.REGISTRATION_OPEN_STATE, To: exports.RUNNING_STATE, Roles: [exports.SECRETARIAT_ROLE, exports.TEACHER_ROLE] },
+    { Transaction: 'StartGrading', From: exports.RUNNING_STATE, To: exports.GRADING_STATE, Roles: [exports.SECRETARIAT_ROLE, exports.TEACHER_ROLE] },
+    { Transaction: 'FinalizeCourse', From: exports.GRADING_STATE, To: exports.CLOSED_STATE, Roles: [exports.SECRETARIAT_ROLE, exports.TEACHER_ROLE] },
+    { Transaction: 'ArchiveCourse', From: exports.CLOSED_STATE, To: exports.ARCHIVED_STATE, Roles: [exports.SECRETARIAT_ROLE] }
+];
+
+/**
+ * diploma honours, from the highest to the lowest minimum GPA
+ */
+exports.DIPLOMA_HONOURS = [
+    { Honours: 'summa cum laude', MinGPA: 5.5 },
+    { Honours: 'magna cum laude', MinGPA: 5.0 },
+    { Honours: 'cum laude', MinGPA: 4.5 }
+];
+
+/**
+ * grade domains
+ */
+exports.GRADE_MIN_WEIGHT = 0.1;
+exports.GRADE_MAX_WEIGHT = 1.0;
+exports.GRADE_TYPES = ['Labo', 'Test', 'Exam'];
+
+/**
+ * default grading scheme (Swiss scale, rounded to the nearest half point)
+ */
+exports.DEFAULT_GRADING_SCHEME = {
+    MinValue: 1.0,
+    MaxValue: 6.0,
+    PassThreshold: 4.0,
+    Rounding: 0.5,
+    Types: [
+        { Type: 'Labo', Weight: 0.25 },
+        { Type: 'Test', Weight: 0.25 },
+        { Type: 'Exam', Weight: 0.5 }
+    ]
+};
+
+/**
+ * validation error codes
+ */
+exports.INVALID_GRADE_VALUE = 'INVALID_GRADE_VALUE';
+exports.INVALID_GRADE_WEIGHT = 'INVALID_GRADE_WEIGHT';
+exports.INVALID_GRADE_TYPE = 'INVALID_GRADE_TYPE';
+exports.INVALID_SCHEME_SCALE = 'INVALID_SCHEME_SCALE';
+exports.INVALID_SCHEME_PASS_THRESHOLD = 'INVALID_SCHEME_PASS_THRESHOLD';
+exports.INVALID_SCHEME_ROUNDING = 'INVALID_SCHEME_ROUNDING';
+exports.INVALID_SCHEME_TYPES = 'INVALID_SCHEME_TYPES';
+exports.INVALID_ASSESSMENT_NAME = 'INVALID_ASSESSMENT_NAME';
+exports.INVALID_ASSESSMENT_TYPE = 'INVALID_ASSESSMENT_TYPE';
+exports.INVALID_ASSESSMENT_WEIGHT = 'INVALID_ASSESSMENT_WEIGHT';
+exports.INVALID_ASSESSMENT_DATE = 'INVALID_ASSESSMENT_DATE';
+exports.INVALID_ASSESSMENT_MAX_SCORE = 'INVALID_ASSESSMENT_MAX_SCORE';
+exports.INVALID_STAFF_PERMISSIONS = 'INVALID_STAFF_PERMISSIONS';
+exports.INVALID_COURSE_CAPACITY = 'INVALID_COURSE_CAPACITY';
+exports.INVALID_COURSE_PREREQUISITES = 'INVALID_COURSE_PREREQUISITES';
+exports.INVALID_PROGRAM_NAME = 'INVALID_PROGRAM_NAME';
+exports.INVALID_PROGRAM_CREDITS = 'INVALID_PROGRAM_CREDITS';
+exports.INVALID_PROGRAM_COURSES = 'INVALID_PROGRAM_COURSES';
+exports.INVALID_ENDORSEMENT_ORGS = 'INVALID_ENDORSEMENT_ORGS';
+exports.INVALID_PAGE_SIZE = 'INVALID_PAGE_SIZE';
+exports.INVALID_COURSE_IDS = 'INVALID_COURSE_IDS';
 
 /**
  * composite keys
  */
 exports.STUDENT_COURSE_KEY = 'student~course';
+exports.COURSE_STUDENT_KEY = 'course~student';
+exports.COURSE_SHARD_KEY = 'course~shard';
+exports.COURSE_WAITLIST_KEY = 'course~waitlist';
+exports.STUDENT_PROGRAM_KEY = 'student~program';
+exports.STAFF_COURSE_KEY = 'staff~course';
+exports.COURSE_COUNT_KEY = 'owner~count';
+exports.GRADE_VERSION_KEY = 'grade~version';
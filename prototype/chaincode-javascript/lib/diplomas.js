@@ -0,0 +1,64 @@
+'use strict';
+
+const crypto = require('crypto');
+const { DIPLOMA_HONOURS } = require('./constants');
+
+/**
+ * chaincode diploma methods
+ * these methods are not exposed in the contract
+ */
+
+/**
+ * Check if a student completed a program (all credits earned and all required courses passed)
+ *
+ * @param {Object} progress the degree progress of the student
+ * @returns {boolean} true if the program is completed, false otherwise
+ */
+exports.IsCompleted = (progress) => {
+    return progress.Program !== null && progress.EarnedCredits >= progress.Program.Credits && progress.MissingRequired.length === 0;
+};
+
+/**
+ * Compute the final GPA of a student: average of the grades of the earned program courses, weighted by their credits
+ *
+ * @param {Object} progress the degree progress of the student
+ * @returns {number} the GPA, rounded to two decimals (null if no course was earned)
+ */
+exports.ComputeGPA = (progress) => {
+    const earned = progress.Courses.filter(c => c.Passed);
+    const credits = earned.reduce((sum, c) => sum + c.Credits, 0);
+    if (credits === 0) {
+        return null;
+    }
+    return Math.round(earned.reduce((sum, c) => sum + c.Grade * c.Credits, 0) * 100 / credits) / 100;
+};
+
+/**
+ * Return the honours for a GPA
+ *
+ * @param {number} gpa the final GPA
+ * @returns {string} the honours, null if the GPA is below all honours
+ */
+exports.GetHonours = (gpa) => {
+    const honours = DIPLOMA_HONOURS.find(h => gpa >= h.MinGPA);
+    return honours ? honours.Honours : null;
+};
+
+/**
+ * Compute the hash of a diploma (SHA-256 of its canonical JSON content)
+ *
+ * @param {Object} diploma the diploma (student, program, date, GPA, honours and issuer)
+ * @returns {string} the hexadecimal hash
+ */
+exports.HashDiploma = (diploma) => {
+    const content = JSON.stringify({
+        Student: diploma.Student,
+        Program: diploma.Program,
+        ProgramName: diploma.ProgramName,
+        IssuedAt: diploma.IssuedAt,
+        GPA: diploma.GPA,
+        Honours: diploma.Honours,
+        IssuerMSP: diploma.IssuerMSP
+    });
+    return crypto.createHash('sha256').update(content).digest('hex');
+};
@@ -0,0 +1,102 @@
+'use strict';
+
+const { KeyEndorsementPolicy } = require('fabric-shim');
+const { RESULT_ENDORSER_ROLE, RESULT_TYPE, CHAINCODE_ENDORSERS } = require('./constants');
+const helper = require('./helper');
+const schools = require('./schools');
+
+/**
+ * chaincode key-level endorsement methods
+ * these methods are not exposed in the contract
+ *
+ * once a result is finalized, its key gets its own endorsement policy (state-based endorsement):
+ * the peers of the organizations of the chaincode-level endorsement policy, of the teaching school and of the
+ * secretariat school must all endorse any later change, so that the policy of a result is never weaker than the
+ * chaincode-level one. The chaincode only sets the policies, they are enforced by the peers when they validate the
+ * transactions
+ */
+
+/**
+ * Get the organizations required by default to endorse the changes of a result
+ *
+ * @param {Object} result the finalized result
+ * @returns {string[]} the MSP ids of the teaching school (school of the course), of the secretariat school (school of the result)
+ * and of the organizations of the chaincode-level endorsement policy, without duplicates
+ */
+exports.GetDefaultEndorsers = (result) => {
+    const secretariatOrg = schools.GetSchool(result);
+    const teachingOrg = result.SourceOrg || secretariatOrg;
+    const orgs = [teachingOrg, secretariatOrg].concat(CHAINCODE_ENDORSERS);
+    return orgs.filter((org, i) => orgs.indexOf(org) === i);
+};
+
+/**
+ * Read a finalized result of the school of the caller
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {string} id id of the result
+ * @returns {Promise<Object>} the result
+ */
+exports.ReadResult = async (ctx, id) => {
+    const result = await helper.ReadAsset(ctx, id);
+    if (result.docType !== RESULT_TYPE) {
+        throw new Error(`The asset '${id}' is not a result`);
+    }
+    schools.CheckMember(ctx, result);
+    return result;
+};
+
+/**
+ * Read the key-level endorsement policy of a result
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {string} id id of the result
+ * @returns {KeyEndorsementPolicy} the endorsement policy, without organization if the result is not protected
+ */
+exports.ReadPolicy = async (ctx, id) => {
+    const policy = await ctx.stub.getStateValidationParameter(id);
+    return new KeyEndorsementPolicy(policy && policy.length > 0 ? policy : undefined);
+};
+
+/**
+ * Set the key-level endorsement policy of a result
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {string} id id of the result
+ * @param {string[]} orgs MSP ids of the organizations whose peers must endorse the changes of the result
+ */
+exports.PutPolicy = async (ctx, id, orgs) => {
+    const policy = new KeyEndorsementPolicy();
+    policy.addOrgs(RESULT_ENDORSER_ROLE, ...orgs);
+    await ctx.stub.setStateValidationParameter(id, policy.getPolicy());
+};
+
+/**
+ * Protect a finalized result with its default key-level endorsement policy
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {Object} result the finalized result
+ */
+exports.ProtectResult = async (ctx, result) => {
+    await exports.PutPolicy(ctx, result.ID, exports.GetDefaultEndorsers(result));
+};
+
+/**
+ * Check if the school of the caller is one of the organizations required to endorse the changes of a result
+ * A change of the policy is itself validated against the current policy, the other organizations of the policy
+ * must also endorse it
+ *
+ * @param {Context} ctx context
+ * @param {string} id id of the result
+ * @param {string[]} orgs MSP ids of the organizations of the current policy
+ * @throws {Error} an error if the school of the caller is not an endorser of the result
+ */
+exports.CheckEndorser = (ctx, id, orgs) => {
+    if (orgs.length > 0 && !orgs.includes(schools.GetCallerSchool(ctx))) {
+        throw new Error(`Your school is not allowed to endorse the changes of the result '${id}'`);
+    }
+};
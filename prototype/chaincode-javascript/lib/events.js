@@ -0,0 +1,112 @@
+'use strict';
+
+const { STUDENT_REGISTERED_EVENT, COURSE_STATE_CHANGED_EVENT, RESULT_FINALIZED_EVENT } = require('./constants');
+const schools = require('./schools');
+
+/**
+ * chaincode event methods
+ * these methods are not exposed in the contract
+ *
+ * Fabric only keeps the last event set by a transaction, so each transaction emits a single event
+ * listing all the changed assets. The payloads only contain ids and states: the grade values, comments
+ * and results stay in the private data collection and the world state, where access is checked
+ */
+
+/**
+ * Return the distinct values of a list
+ *
+ * @param {string[]} values the values
+ * @returns {string[]} the values without duplicates, in order
+ */
+function Distinct(values) {
+    return values.filter((value, i) => values.indexOf(value) === i);
+}
+
+/**
+ * Emit a chaincode event
+ *
+ * @param {Context} ctx context
+ * @param {string} name name of the event
+ * @param {string} school MSP id of the school owning the changed assets
+ * @param {Object} changes ids of the changed assets (and course states)
+ */
+exports.Emit = (ctx, name, school, changes) => {
+    const payload = Object.assign({
+        Org: school,
+        TxId: ctx.stub.getTxID(),
+        Timestamp: ctx.stub.getDateTimestamp().toISOString()
+    }, changes);
+    ctx.stub.setEvent(name, Buffer.from(JSON.stringify(payload)));
+};
+
+/**
+ * Emit a grade event (GradeAdded or GradeUpdated)
+ *
+ * @param {Context} ctx context
+ * @param {string} name name of the event
+ * @param {Object[]} grades the added or updated grades
+ */
+exports.EmitGradeEvent = (ctx, name, grades) => {
+    if (grades.length === 0) {
+        return;
+    }
+    exports.Emit(ctx, name, schools.GetSchool(grades[0]), {
+        Courses: Distinct(grades.map(g => g.Course)),
+        Students: Distinct(grades.map(g => g.Student)),
+        Grades: grades.map(g => g.ID)
+    });
+};
+
+/**
+ * Emit a StudentRegistered event
+ * The registrations are also listed as pairs, a bulk approval can register different students to different courses
+ *
+ * @param {Context} ctx context
+ * @param {string} school MSP id of the school of the courses
+ * @param {Object[]} registrations the registered students (Course and Student ids), nothing is emitted if empty
+ */
+exports.EmitRegistrationEvent = (ctx, school, registrations) => {
+    if (registrations.length === 0) {
+        return;
+    }
+    exports.Emit(ctx, STUDENT_REGISTERED_EVENT, school, {
+        Courses: Distinct(registrations.map(r => r.Course)),
+        Students: Distinct(registrations.map(r => r.Student)),
+        Registrations: registrations.map(r => ({ Course: r.Course, Student: r.Student }))
+    });
+};
+
+/**
+ * Emit a CourseStateChanged event
+ * The registered students are listed, so that the state change only reaches the students of the course
+ *
+ * @param {Context} ctx context
+ * @param {Object} course the course
+ * @param {Object} transition the applied transition (From and To states)
+ * @param {string[]} students the students registered to the course
+ */
+exports.EmitStateEvent = (ctx, course, transition, students) => {
+    exports.Emit(ctx, COURSE_STATE_CHANGED_EVENT, schools.GetSchool(course), {
+        Courses: [course.ID],
+        Students: students,
+        From: transition.From,
+        To: transition.To
+    });
+};
+
+/**
+ * Emit a ResultFinalized event
+ * When the results are finalized with the course, the state change of the course is part of the event
+ *
+ * @param {Context} ctx context
+ * @param {string} school MSP id of the school of the results
+ * @param {Object[]} results the finalized results
+ * @param {Object} transition the applied transition (From and To states), null for results added without course transition
+ */
+exports.EmitResultEvent = (ctx, school, results, transition) => {
+    exports.Emit(ctx, RESULT_FINALIZED_EVENT, school, Object.assign({
+        Courses: Distinct(results.map(r => r.Course)),
+        Students: Distinct(results.map(r => r.Student)),
+        Results: results.map(r => r.ID)
+    }, transition ? { From: transition.From, To: transition.To } : {}));
+};
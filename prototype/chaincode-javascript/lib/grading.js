@@ -0,0 +1,106 @@
+'use strict';
+
+const { DEFAULT_GRADING_SCHEME } = require('./constants');
+
+/**
+ * chaincode grading methods (averages, rounding and pass/fail)
+ * these methods are not exposed in the contract
+ */
+
+/**
+ * tolerance used to compare weights
+ */
+const WEIGHT_TOLERANCE = 0.000001;
+
+/**
+ * Return the grading scheme of a course
+ * Courses created without a grading scheme use the default one
+ *
+ * @param {Object} course the course
+ * @returns {Object} the grading scheme
+ */
+exports.GetGradingScheme = (course) => {
+    return course.GradingScheme || DEFAULT_GRADING_SCHEME;
+};
+
+/**
+ * Round a value to the nearest step (e.g. 0.5)
+ *
+ * @param {number} value the value to round
+ * @param {number} step the rounding step, 0 to keep the value unchanged
+ * @returns {number} the rounded value
+ */
+exports.Round = (value, step) => {
+    if (!step) {
+        return value;
+    }
+    // avoid floating point artifacts such as 4.499999999
+    return Number((Math.round(value / step) * step).toFixed(6));
+};
+
+/**
+ * Check if two weights are equal
+ *
+ * @param {number} a first weight
+ * @param {number} b second weight
+ * @returns {boolean} true if the weights are equal
+ */
+exports.SameWeight = (a, b) => {
+    return Math.abs(a - b) < WEIGHT_TOLERANCE;
+};
+
+/**
+ * Return the total weight of the grades of a type
+ *
+ * @param {Object[]} grades a list of grades
+ * @param {string} type the grade type
+ * @returns {number} the total weight
+ */
+exports.GetTotalWeight = (grades, type) => {
+    return grades
+        .filter(g => g.Type === type)
+        .reduce((total, g) => total + Number(g.Weight), 0);
+};
+
+/**
+ * Compute the result of a student for a course
+ * The average is weighted by the grade weights, so that it stays correct even
+ * if the weights of the grades do not add up to 1
+ *
+ * @param {Object} scheme the grading scheme of the course
+ * @param {Object[]} grades the grades of the student for the course
+ * @returns {Object} the result (average, rounded grade, passed, complete and details per type)
+ */
+exports.ComputeResult = (scheme, grades) => {
+
+    // weights per type
+    const types = scheme.Types.map(t => ({
+        Type: t.Type,
+        RequiredWeight: t.Weight,
+        Weight: exports.GetTotalWeight(grades, t.Type)
+    }));
+
+    // weighted average
+    let totalWeight = 0;
+    let total = 0;
+    for (const grade of grades) {
+        totalWeight = totalWeight + Number(grade.Weight);
+        total = total + Number(grade.Value) * Number(grade.Weight);
+    }
+    const average = totalWeight > 0 ? total / totalWeight : null;
+
+    // rounded grade, within the scale of the scheme
+    let grade = null;
+    if (average !== null) {
+        grade = exports.Round(average, scheme.Rounding);
+        grade = Math.min(Math.max(grade, scheme.MinValue), scheme.MaxValue);
+    }
+
+    return {
+        Average: average,
+        Grade: grade,
+        Passed: grade !== null && grade >= scheme.PassThreshold,
+        Complete: types.every(t => exports.SameWeight(t.Weight, t.RequiredWeight)),
+        Types: types
+    };
+};
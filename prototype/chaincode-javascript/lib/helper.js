@@ -1,12 +1,33 @@
 'use strict';
 
-const { COURSE_TYPE, GRADE_TYPE } = require('./constants');
+const { COURSE_COUNT_KEY, COURSE_TYPE, GRADE_TYPE, GRADE_CHANGE_REQUEST_TYPE, RESULT_TYPE, ASSESSMENT_TYPE, REGISTRATION_REQUEST_TYPE, PREREQUISITE_OVERRIDE_TYPE, DIPLOMA_TYPE, CREDIT_TRANSFER_TYPE } = require('./constants');
+const schools = require('./schools');
 
 /**
  * chaincode helper methods
  * these methods are not exposed in the contract
  */
 
+/**
+ * Sort order of the course queries, by year and acronym
+ * CouchDB needs an index on the sort fields (see META-INF/statedb/couchdb/indexes/indexCourseYearAcronym.json)
+ */
+const COURSE_SORT = [{ docType: 'asc' }, { Year: 'asc' }, { Acronym: 'asc' }];
+const COURSE_SORT_INDEX = ['_design/indexCourseYearAcronym', 'indexCourseYearAcronym'];
+
+/**
+ * Sort order and index of the course queries by state (see META-INF/statedb/couchdb/indexes/indexCourseState.json)
+ */
+const COURSE_STATE_SORT = [{ docType: 'asc' }, { State: 'asc' }, { Year: 'asc' }, { Acronym: 'asc' }];
+const COURSE_STATE_INDEX = ['_design/indexCourseState', 'indexCourseState'];
+
+/**
+ * Indexes of the credit transfer queries by school of the student and by school of the course
+ * (see META-INF/statedb/couchdb/indexes/indexOrg.json and indexSourceOrg.json)
+ */
+const ORG_INDEX = ['_design/indexOrg', 'indexOrg'];
+const SOURCE_ORG_INDEX = ['_design/indexSourceOrg', 'indexSourceOrg'];
+
 /**
  * Get an asset
  *
@@ -51,6 +72,22 @@ exports.AssetExists = async (ctx, key) => {
     return assetJSON && assetJSON.length > 0;
 };
 
+/**
+ * Return a course with some attributes changed, all other attributes are kept
+ * The Students and Waitlist arrays of a course created before the roster links and waitlist keys are left out
+ * (registrations.MigrateRoster must be called before the course is updated)
+ *
+ * @param {Object} course the current course
+ * @param {Object} changes the changed attributes
+ * @returns {Object} the updated course
+ */
+exports.ApplyCourseChanges = (course, changes) => {
+    let updatedCourse = Object.assign({}, course, { docType: COURSE_TYPE, Org: schools.GetSchool(course) }, changes);
+    delete updatedCourse.Students;
+    delete updatedCourse.Waitlist;
+    return updatedCourse;
+};
+
 /**
  * Returns composite asset keys
  *
@@ -87,38 +124,376 @@ exports.QueryAssetsByDocType = async (ctx, docType) => {
 };
 
 /**
- * Get courses for a teacher
+ * Sort courses by year and acronym (same order as the course queries)
+ *
+ * @param {Object[]} courses the courses
+ * @returns {Object[]} the sorted courses
+ */
+exports.SortCourses = (courses) => {
+    return courses.sort((a, b) => `${a.Year}`.localeCompare(`${b.Year}`) || a.Acronym.localeCompare(b.Acronym));
+};
+
+/**
+ * Get courses in some lifecycle states
  *
  * @async
  * @param {Context} ctx context
- * @param {string} teacher the id of the teacher
- * @returns {Promise<Object[]>} a list of course key/value pairs
+ * @param {string[]} states the course states
+ * @returns {Promise<Object[]>} a list of courses, by year and acronym
  */
-exports.QueryCoursesByTeacher = async (ctx, teacher) => {
+exports.QueryCoursesByState = async (ctx, states) => {
+    let courses = [];
+
+    // one query per state, an $in selector would scan the index from the first state to the last one
+    for (const state of states) {
+        let queryString = {};
+        queryString.selector = {};
+        queryString.selector.docType = COURSE_TYPE;
+        queryString.selector.State = state;
+        queryString.sort = COURSE_STATE_SORT;
+        queryString.use_index = COURSE_STATE_INDEX;
+        let results = await GetQueryResultForQueryString(ctx, JSON.stringify(queryString));
+        courses = courses.concat(results.map(r => r.Record));
+    }
+    return states.length > 1 ? exports.SortCourses(courses) : courses;
+};
+
+/**
+ * Get grades for a student
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {string} student the id of the student
+ * @returns {Promise<Object[]>} a list of grades
+ */
+exports.QueryGradesByStudent = async (ctx, student) => {
     let queryString = {};
     queryString.selector = {};
-    queryString.selector.docType = COURSE_TYPE;
-    queryString.selector.Teacher = teacher;
+    queryString.selector.docType = GRADE_TYPE;
+    queryString.selector.Student = student;
+    let results = await GetQueryResultForQueryString(ctx, JSON.stringify(queryString));
+    return results.map(r => r.Record);
+}
+
+/**
+ * Get grades for a course
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {string} course the id of the course
+ * @returns {Promise<Object[]>} a list of grades
+ */
+exports.QueryGradesByCourse = async (ctx, course) => {
+    let queryString = {};
+    queryString.selector = {};
+    queryString.selector.docType = GRADE_TYPE;
+    queryString.selector.Course = course;
     let results = await GetQueryResultForQueryString(ctx, JSON.stringify(queryString));
     return results.map(r => r.Record);
 };
 
 /**
- * Get grades for a student
+ * Get grades of a student for a course
  *
  * @async
  * @param {Context} ctx context
- * @param {string} student the id of the teacher
+ * @param {string} student the id of the student
+ * @param {string} course the id of the course
  * @returns {Promise<Object[]>} a list of grades
  */
-exports.QueryGradesByStudent = async (ctx, student) => {
+exports.QueryGradesByStudentAndCourse = async (ctx, student, course) => {
     let queryString = {};
     queryString.selector = {};
     queryString.selector.docType = GRADE_TYPE;
     queryString.selector.Student = student;
+    queryString.selector.Course = course;
     let results = await GetQueryResultForQueryString(ctx, JSON.stringify(queryString));
     return results.map(r => r.Record);
-}
+};
+
+/**
+ * Get grades for an assessment
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {string} assessment the id of the assessment
+ * @returns {Promise<Object[]>} a list of grades
+ */
+exports.QueryGradesByAssessment = async (ctx, assessment) => {
+    let queryString = {};
+    queryString.selector = {};
+    queryString.selector.docType = GRADE_TYPE;
+    queryString.selector.Assessment = assessment;
+    let results = await GetQueryResultForQueryString(ctx, JSON.stringify(queryString));
+    return results.map(r => r.Record);
+};
+
+/**
+ * Get assessments for a course
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {string} course the id of the course
+ * @returns {Promise<Object[]>} a list of assessments
+ */
+exports.QueryAssessmentsByCourse = async (ctx, course) => {
+    let queryString = {};
+    queryString.selector = {};
+    queryString.selector.docType = ASSESSMENT_TYPE;
+    queryString.selector.Course = course;
+    let results = await GetQueryResultForQueryString(ctx, JSON.stringify(queryString));
+    return results.map(r => r.Record);
+};
+
+/**
+ * Get the assessment of a grade
+ * Grades added before assessments were introduced carry their own weight and type
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {Object} grade the grade
+ * @returns {Promise<Object>} the assessment of the grade
+ */
+exports.ReadGradeAssessment = async (ctx, grade) => {
+    if (grade.Assessment) {
+        return await exports.ReadAsset(ctx, grade.Assessment);
+    }
+    return { Name: grade.Type, Type: grade.Type, Weight: grade.Weight };
+};
+
+/**
+ * Get finalized course results for a student
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {string} student the id of the student
+ * @returns {Promise<Object[]>} a list of course results
+ */
+exports.QueryResultsByStudent = async (ctx, student) => {
+    let queryString = {};
+    queryString.selector = {};
+    queryString.selector.docType = RESULT_TYPE;
+    queryString.selector.Student = student;
+    let results = await GetQueryResultForQueryString(ctx, JSON.stringify(queryString));
+    return results.map(r => r.Record);
+};
+
+/**
+ * Get grade change requests submitted by a teacher
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {string} teacher the id of the teacher
+ * @returns {Promise<Object[]>} a list of grade change requests
+ */
+exports.QueryGradeChangeRequestsByTeacher = async (ctx, teacher) => {
+    let queryString = {};
+    queryString.selector = {};
+    queryString.selector.docType = GRADE_CHANGE_REQUEST_TYPE;
+    queryString.selector.RequestedBy = teacher;
+    let results = await GetQueryResultForQueryString(ctx, JSON.stringify(queryString));
+    return results.map(r => r.Record);
+};
+
+/**
+ * Get registration requests submitted by a student
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {string} student the id of the student
+ * @returns {Promise<Object[]>} a list of registration requests
+ */
+exports.QueryRegistrationRequestsByStudent = async (ctx, student) => {
+    let queryString = {};
+    queryString.selector = {};
+    queryString.selector.docType = REGISTRATION_REQUEST_TYPE;
+    queryString.selector.Student = student;
+    let results = await GetQueryResultForQueryString(ctx, JSON.stringify(queryString));
+    return results.map(r => r.Record);
+};
+
+/**
+ * Get prerequisite overrides of a course
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {string} course the id of the course
+ * @returns {Promise<Object[]>} a list of prerequisite overrides
+ */
+exports.QueryPrerequisiteOverridesByCourse = async (ctx, course) => {
+    let queryString = {};
+    queryString.selector = {};
+    queryString.selector.docType = PREREQUISITE_OVERRIDE_TYPE;
+    queryString.selector.Course = course;
+    let results = await GetQueryResultForQueryString(ctx, JSON.stringify(queryString));
+    return results.map(r => r.Record);
+};
+
+/**
+ * Get the diplomas of a student
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {string} student the id of the student
+ * @returns {Promise<Object[]>} a list of diplomas
+ */
+exports.QueryDiplomasByStudent = async (ctx, student) => {
+    let queryString = {};
+    queryString.selector = {};
+    queryString.selector.docType = DIPLOMA_TYPE;
+    queryString.selector.Student = student;
+    let results = await GetQueryResultForQueryString(ctx, JSON.stringify(queryString));
+    return results.map(r => r.Record);
+};
+
+/**
+ * Get the credit transfer requests of a student
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {string} student the id of the student
+ * @returns {Promise<Object[]>} a list of credit transfer requests
+ */
+exports.QueryCreditTransfersByStudent = async (ctx, student) => {
+    let queryString = {};
+    queryString.selector = {};
+    queryString.selector.docType = CREDIT_TRANSFER_TYPE;
+    queryString.selector.Student = student;
+    let results = await GetQueryResultForQueryString(ctx, JSON.stringify(queryString));
+    return results.map(r => r.Record);
+};
+
+/**
+ * Get the credit transfer requests involving a school (as school of the student or of the course)
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {string} school the MSP id of the school
+ * @returns {Promise<Object[]>} a list of credit transfer requests
+ */
+exports.QueryCreditTransfersBySchool = async (ctx, school) => {
+
+    // one query per index, CouchDB cannot use an index for an $or selector
+    let requests = [];
+    for (const [field, index] of [['Org', ORG_INDEX], ['SourceOrg', SOURCE_ORG_INDEX]]) {
+        let queryString = {};
+        queryString.selector = {};
+        queryString.selector.docType = CREDIT_TRANSFER_TYPE;
+        queryString.selector[field] = school;
+        queryString.use_index = index;
+        let results = await GetQueryResultForQueryString(ctx, JSON.stringify(queryString));
+        requests = requests.concat(results.map(r => r.Record).filter(r => !requests.some(other => other.ID === r.ID)));
+    }
+    return requests;
+};
+
+/**
+ * Get a page of courses
+ * The pages of the courses of a teacher are read from the staff to course links (see staff.js)
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {Object} schoolSelector the selector of the school of the courses
+ * @param {number} pageSize the number of courses per page
+ * @param {string} bookmark the bookmark of the page, empty for the first page
+ * @returns {Promise<Object>} the page (courses, number of courses fetched and bookmark of the next page)
+ */
+exports.QueryCoursesWithPagination = async (ctx, schoolSelector, pageSize, bookmark) => {
+    let queryString = {};
+    queryString.selector = {};
+    queryString.selector.docType = COURSE_TYPE;
+    queryString.selector.$and = [schoolSelector];
+    queryString.sort = COURSE_SORT;
+    queryString.use_index = COURSE_SORT_INDEX;
+    return await GetQueryResultWithPagination(ctx, JSON.stringify(queryString), pageSize, bookmark);
+};
+
+/**
+ * Get the number of courses of a school or of a staff member, the total of their paginated course lists
+ * The counts are kept in owner~count keys, updated with the courses and staff to course links, so that the
+ * courses are not counted by the queries
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {string} owner the MSP id of the school or the id of the staff member
+ * @returns {Promise<number>} the number of courses
+ */
+exports.GetCourseCount = async (ctx, owner) => {
+    if (ctx.courseCounts && owner in ctx.courseCounts) {
+        return ctx.courseCounts[owner];
+    }
+    const countKey = await ctx.stub.createCompositeKey(COURSE_COUNT_KEY, [owner]);
+    const countJSON = await ctx.stub.getState(countKey);
+    return countJSON && countJSON.length > 0 ? JSON.parse(countJSON.toString()).Count : 0;
+};
+
+/**
+ * Set the number of courses of a school or of a staff member
+ * The counts set in a transaction are also kept in the context (the keys written cannot be read again in the
+ * same transaction, e.g. when several courses of a teacher are added by InitLedger)
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {string} owner the MSP id of the school or the id of the staff member
+ * @param {number} count the number of courses
+ */
+exports.SetCourseCount = async (ctx, owner, count) => {
+    ctx.courseCounts = Object.assign({}, ctx.courseCounts, { [owner]: Math.max(0, count) });
+    const countKey = await ctx.stub.createCompositeKey(COURSE_COUNT_KEY, [owner]);
+    await ctx.stub.putState(countKey, Buffer.from(JSON.stringify({ Count: ctx.courseCounts[owner] })));
+};
+
+/**
+ * Add to the number of courses of a school or of a staff member
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {string} owner the MSP id of the school or the id of the staff member
+ * @param {number} delta the number of added (or removed if negative) courses
+ */
+exports.AddCourseCount = async (ctx, owner, delta) => {
+    await exports.SetCourseCount(ctx, owner, (await exports.GetCourseCount(ctx, owner)) + delta);
+};
+
+/**
+ * Returns a page of composite asset keys
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {string} compositeKey the name of the composite key
+ * @param {string[]} partialKeyItems an array of partial keys
+ * @param {number} pageSize the number of keys per page
+ * @param {string} bookmark the bookmark of the page, empty for the first page
+ * @returns {Promise<Object>} the page (keys, number of keys fetched and bookmark of the next page)
+ */
+exports.GetAssetKeysByPartialKeyWithPagination = async (ctx, compositeKey, partialKeyItems, pageSize, bookmark) => {
+    const { iterator, metadata } = await ctx.stub.getStateByPartialCompositeKeyWithPagination(compositeKey, partialKeyItems, pageSize, bookmark);
+    let keys = [];
+    let result = await iterator.next();
+    while (!result.done) {
+        keys.push(result.value.key);
+        result = await iterator.next();
+    }
+    iterator.close();
+    return {
+        Records: keys,
+        FetchedRecordsCount: metadata.fetchedRecordsCount,
+        Bookmark: metadata.bookmark
+    };
+};
+
+/**
+ * Get the history of an asset
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {string} key asset key
+ * @returns {Promise<Object[]>} a list of past asset values, most recent first
+ */
+exports.GetAssetHistory = async (ctx, key) => {
+    let resultsIterator = await ctx.stub.getHistoryForKey(key);
+    return await GetAllResults(resultsIterator, true);
+};
 
 /**
  * Get assets for a CouchBD querystring
@@ -149,8 +524,9 @@ async function GetAllResults(iterator, isHistory) {
             let jsonRes = {};
             console.log(res.value.value.toString('utf8'));
             if (isHistory && isHistory === true) {
-                jsonRes.TxId = res.value.tx_id;
-                jsonRes.Timestamp = res.value.timestamp;
+                jsonRes.TxId = res.value.txId;
+                jsonRes.Timestamp = new Date(res.value.timestamp.seconds * 1000 + res.value.timestamp.nanos / 1000000).toISOString();
+                jsonRes.IsDelete = res.value.isDelete;
                 try {
                     jsonRes.Value = JSON.parse(res.value.value.toString('utf8'));
                 } catch (err) {
@@ -173,3 +549,24 @@ async function GetAllResults(iterator, isHistory) {
     iterator.close();
     return allResults;
 }
+
+/**
+ * Get a page of assets for a CouchBD querystring
+ * The total number of matching assets is not counted, it would need a scan of all of them with each page
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {string} queryString the querystring
+ * @param {number} pageSize the number of assets per page
+ * @param {string} bookmark the bookmark of the page, empty for the first page
+ * @returns {Promise<Object>} the page (assets, number of assets fetched and bookmark of the next page)
+ */
+async function GetQueryResultWithPagination(ctx, queryString, pageSize, bookmark) {
+    const { iterator, metadata } = await ctx.stub.getQueryResultWithPagination(queryString, pageSize, bookmark);
+    const results = await GetAllResults(iterator, false);
+    return {
+        Records: results.map(r => r.Record),
+        FetchedRecordsCount: metadata.fetchedRecordsCount,
+        Bookmark: metadata.bookmark
+    };
+}
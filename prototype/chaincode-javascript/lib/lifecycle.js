@@ -0,0 +1,92 @@
+'use strict';
+
+const { ROLE_ATTRIBUTE, ENROLLMENT_ID_ATTRIBUTE, TEACHER_ROLE, CLOSED_STATE, ARCHIVED_STATE, STATE_OPERATIONS, COURSE_TRANSITIONS } = require('./constants');
+const schools = require('./schools');
+const staff = require('./staff');
+
+/**
+ * chaincode course lifecycle methods (states, allowed operations and transitions)
+ * these methods are not exposed in the contract
+ */
+
+/**
+ * Check if an operation is allowed in the current state of a course
+ *
+ * @param {Object} course the course
+ * @param {string} operation the operation (registration, grading, ...)
+ * @returns {boolean} true if the operation is allowed
+ */
+exports.IsAllowed = (course, operation) => {
+    return (STATE_OPERATIONS[course.State] || []).indexOf(operation) !== -1;
+};
+
+/**
+ * Return the course states in which an operation is allowed
+ *
+ * @param {string} operation the operation (registration, grading, ...)
+ * @returns {string[]} the states allowing the operation
+ */
+exports.StatesAllowing = (operation) => {
+    return Object.keys(STATE_OPERATIONS).filter(state => STATE_OPERATIONS[state].indexOf(operation) !== -1);
+};
+
+/**
+ * Check if a course is finalized (closed or archived), its grades cannot be edited anymore
+ *
+ * @param {Object} course the course
+ * @returns {boolean} true if the course is finalized
+ */
+exports.IsFinalized = (course) => {
+    return course.State === CLOSED_STATE || course.State === ARCHIVED_STATE;
+};
+
+/**
+ * Check if the caller can apply a lifecycle transition to a course
+ *
+ * @param {Context} ctx context
+ * @param {Object} course the course
+ * @param {string} transaction the transaction of the transition
+ * @returns {Object} the transition (source and target states)
+ */
+exports.CheckTransition = (ctx, course, transaction) => {
+    const transition = COURSE_TRANSITIONS.find(t => t.Transaction === transaction);
+
+    // check school
+    schools.CheckMember(ctx, course);
+
+    // check state
+    if (course.State !== transition.From) {
+        throw new Error(`The transaction '${transaction}' is not allowed for courses in the '${course.State}' state`);
+    }
+
+    // check role
+    const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+    const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+    if (transition.Roles.indexOf(role) === -1) {
+        throw new Error(`Only ${transition.Roles.join(' and ')} users can move courses to the '${transition.To}' state`);
+    }
+
+    // check if user is teaching the course (or co-lecturer allowed to grade all assessments)
+    if (role === TEACHER_ROLE && !staff.CanChangeState(course, userId)) {
+        throw new Error('You are only allowed to change the state of courses you teach');
+    }
+
+    return transition;
+};
+
+/**
+ * Return the state history of a course with a new state change
+ *
+ * @param {Context} ctx context
+ * @param {Object} course the course
+ * @param {string} state the new state
+ * @returns {Object[]} the updated state history
+ */
+exports.AddStateChange = (ctx, course, state) => {
+    return (course.StateHistory || []).concat([{
+        State: state,
+        ChangedBy: ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE),
+        ChangedAt: ctx.stub.getDateTimestamp().toISOString(),
+        TxId: ctx.stub.getTxID()
+    }]);
+};
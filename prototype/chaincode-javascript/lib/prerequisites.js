@@ -0,0 +1,85 @@
+'use strict';
+
+const { ENROLLMENT_ID_ATTRIBUTE, PREREQUISITE_OVERRIDE_TYPE } = require('./constants');
+const helper = require('./helper');
+const schools = require('./schools');
+
+/**
+ * chaincode course prerequisite methods
+ * these methods are not exposed in the contract
+ */
+
+/**
+ * Describe a prerequisite (e.g. 'MLG (min. 4.5)')
+ *
+ * @param {Object} prerequisite the prerequisite
+ * @returns {string} the description of the prerequisite
+ */
+exports.Describe = (prerequisite) => {
+    return prerequisite.MinGrade === null ? `${prerequisite.Acronym} (passed)` : `${prerequisite.Acronym} (min. ${prerequisite.MinGrade})`;
+};
+
+/**
+ * Get the prerequisites of a course a student does not meet
+ * A prerequisite is met by a finalized result of the acronym (any year) which is passed and reaches the minimum grade
+ * Only the results of the school of the course count (results of other schools count once transferred)
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {Object} course the course
+ * @param {string} studentId the id of the student
+ * @returns {Promise<Object[]>} the missing prerequisites, empty if the student meets all prerequisites
+ */
+exports.GetMissing = async (ctx, course, studentId) => {
+    const prerequisites = course.Prerequisites || [];
+    if (prerequisites.length === 0) {
+        return [];
+    }
+    const results = (await helper.QueryResultsByStudent(ctx, studentId)).filter(r => schools.GetSchool(r) === schools.GetSchool(course));
+    return prerequisites.filter(p => !results.some(r => r.Acronym === p.Acronym && r.Passed && (p.MinGrade === null || r.Grade >= p.MinGrade)));
+};
+
+/**
+ * Record the override of the missing prerequisites of a student registered by the secretariat
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {Object} course the course
+ * @param {string} studentId the id of the student
+ * @param {Object[]} missing the missing prerequisites
+ * @param {string} reason the reason of the override
+ */
+exports.RecordOverride = async (ctx, course, studentId, missing, reason) => {
+    const override = {
+        ID: course.ID + '_' + studentId + '_override',
+        docType: PREREQUISITE_OVERRIDE_TYPE,
+        Course: course.ID,
+        Student: studentId,
+        Missing: missing,
+        Reason: reason,
+        OverriddenBy: ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE),
+        OverriddenAt: ctx.stub.getDateTimestamp().toISOString(),
+        TxId: ctx.stub.getTxID()
+    };
+    await ctx.stub.putState(override.ID, Buffer.from(JSON.stringify(override)));
+};
+
+/**
+ * Check the prerequisites of a course for a student, the missing prerequisites can be overridden by the secretariat with a reason
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {Object} course the course
+ * @param {string} studentId the id of the student
+ * @param {string} overrideReason the reason of the override, empty if the prerequisites are not overridden
+ */
+exports.Check = async (ctx, course, studentId, overrideReason) => {
+    const missing = await exports.GetMissing(ctx, course, studentId);
+    if (missing.length === 0) {
+        return;
+    }
+    if (!overrideReason || overrideReason.trim().length === 0) {
+        throw new Error(`The student '${studentId}' does not meet the prerequisites of the course '${course.ID}': ${missing.map(exports.Describe).join(', ')}`);
+    }
+    await exports.RecordOverride(ctx, course, studentId, missing, overrideReason.trim());
+};
@@ -0,0 +1,255 @@
+'use strict';
+
+const crypto = require('crypto');
+const { GRADES_COLLECTION, GRADE_TRANSIENT_KEY, GRADES_TRANSIENT_KEY, GRADE_DATA_TRANSIENT_KEY, SALT_TRANSIENT_KEY, GRADE_VERSION_KEY } = require('./constants');
+const schools = require('./schools');
+
+/**
+ * chaincode grade private data methods
+ * these methods are not exposed in the contract
+ *
+ * grade values and comments are kept in the private data collection of the school of the course, the public grades
+ * (and grade change requests) only hold the hash of their private data
+ * the private data is salted by the client, so that the hash cannot be guessed from the few possible grade values
+ *
+ * the peers of the other schools also endorse the transactions but do not store the collection: the transactions
+ * computing from private data (course finalization, grade change approval) only read it from the 'gradeData'
+ * transient data, checked against the public hashes, so that all endorsing peers read the same data
+ */
+
+/**
+ * Get the private data collection of the grades of a school
+ *
+ * @param {string} school the MSP id of the school
+ * @returns {string} the name of the collection
+ */
+exports.GetCollection = (school) => {
+    return GRADES_COLLECTION + school;
+};
+
+/**
+ * Parse the private data of a grade
+ *
+ * @param {Object} data the private data (Value, optional Comment and Salt)
+ * @returns {Object} the parsed private data
+ * @throws {Error} an error if the salt is missing
+ */
+exports.ParseGradeData = (data) => {
+    if (!data || typeof data.Salt !== 'string' || data.Salt.length === 0) {
+        throw new Error('The grade private data must be salted');
+    }
+    return {
+        Value: data.Value,
+        Comment: typeof data.Comment === 'string' ? data.Comment.trim() : '',
+        Salt: data.Salt
+    };
+};
+
+/**
+ * Read a transient data entry
+ *
+ * @param {Context} ctx context
+ * @param {string} key the transient data key
+ * @returns {*} the parsed entry
+ * @throws {Error} an error if the entry is missing or invalid
+ */
+function ReadTransient(ctx, key) {
+    const transient = ctx.stub.getTransient();
+    if (!transient.has(key)) {
+        throw new Error(`The '${key}' transient data is missing`);
+    }
+    try {
+        return JSON.parse(transient.get(key).toString());
+    }
+    catch (err) {
+        throw new Error(`Invalid '${key}' transient data: ${err.message}`);
+    }
+}
+
+/**
+ * Get a private data record
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {string} collection the name of the collection
+ * @param {string} key the key of the record
+ * @returns {Promise<Object>} the record, null if it does not exist
+ */
+async function GetPrivateRecord(ctx, collection, key) {
+    const dataJSON = await ctx.stub.getPrivateData(collection, key);
+    if (!dataJSON || dataJSON.length === 0) {
+        return null;
+    }
+    return JSON.parse(dataJSON.toString());
+}
+
+
+/**
+ * Read the private data of a grade submitted as transient data
+ *
+ * @param {Context} ctx context
+ * @returns {Object} the private data (Value, Comment and Salt)
+ */
+exports.ReadTransientGrade = (ctx) => {
+    return exports.ParseGradeData(ReadTransient(ctx, GRADE_TRANSIENT_KEY));
+};
+
+/**
+ * Read a batch of grades submitted as transient data
+ *
+ * @param {Context} ctx context
+ * @returns {Object[]} the grades (ID, Student, Assessment and the private data)
+ */
+exports.ReadTransientGrades = (ctx) => {
+    const batch = ReadTransient(ctx, GRADES_TRANSIENT_KEY);
+    if (!Array.isArray(batch) || batch.length === 0) {
+        throw new Error('Invalid grades: a non empty list is expected');
+    }
+    return batch;
+};
+
+/**
+ * Derive the salt of a grade added by the chaincode itself (sample grades) from a secret submitted as transient data
+ * The salt must be the same on all endorsing peers, and cannot be guessed without the secret
+ *
+ * @param {Context} ctx context
+ * @param {string} id the id of the grade
+ * @returns {string} the salt of the grade
+ */
+exports.DeriveTransientSalt = (ctx, id) => {
+    const secret = ReadTransient(ctx, SALT_TRANSIENT_KEY);
+    if (typeof secret !== 'string' || secret.length < 32) {
+        throw new Error(`The '${SALT_TRANSIENT_KEY}' transient data must be a random string of at least 32 characters`);
+    }
+    return crypto.createHmac('sha256', secret).update(id).digest('hex');
+};
+
+/**
+ * Compute the hash of the private data of a grade
+ *
+ * @param {string} id the id of the grade (or grade change request)
+ * @param {Object} data the private data (Value, Comment and Salt)
+ * @returns {string} the hexadecimal hash
+ */
+exports.HashGradeData = (id, data) => {
+    const content = JSON.stringify({ ID: id, Value: data.Value, Comment: data.Comment, Salt: data.Salt });
+    return crypto.createHash('sha256').update(content).digest('hex');
+};
+
+/**
+ * Get the private data of a public grade (or grade change request) from the collection of its school
+ * Only used by the queries, evaluated by the peers of the school of the caller
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {Object} record the public grade (or grade change request)
+ * @returns {Promise<Object>} the private data, null if not available or not matching the public hash
+ */
+exports.ReadGradeData = async (ctx, record) => {
+    const data = await GetPrivateRecord(ctx, exports.GetCollection(schools.GetSchool(record)), record.ID);
+    return data && exports.HashGradeData(record.ID, data) === record.Hash ? data : null;
+};
+
+/**
+ * Get the private data of a public grade (or grade change request) submitted as 'gradeData' transient data
+ * Used by the transactions computing from private data, the collection is not read (the peers of the other
+ * schools endorsing the transaction do not store it)
+ *
+ * @param {Context} ctx context
+ * @param {Object} record the public grade (or grade change request)
+ * @returns {Object} the private data
+ * @throws {Error} an error if the data is missing or does not match the public hash
+ */
+exports.ReadSubmittedGradeData = (ctx, record) => {
+    const submitted = ReadTransient(ctx, GRADE_DATA_TRANSIENT_KEY);
+    const data = submitted && typeof submitted === 'object' ? submitted[record.ID] : null;
+    if (!data || exports.HashGradeData(record.ID, data) !== record.Hash) {
+        throw new Error(`The private data of '${record.ID}' must be submitted as '${GRADE_DATA_TRANSIENT_KEY}' transient data (matching its public hash)`);
+    }
+    return data;
+};
+
+/**
+ * Store the private data of a grade in the collection of its school
+ * Each version is also stored under its hash for the grade history, the previous versions are not read
+ * (the peers of the other schools cannot read them)
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {string} school the MSP id of the school of the course
+ * @param {string} id the id of the grade (or grade change request)
+ * @param {Object} data the private data (Value, Comment and Salt)
+ * @returns {Promise<string>} the hash of the private data, to store in the public grade
+ */
+exports.PutGradeData = async (ctx, school, id, data) => {
+    const hash = exports.HashGradeData(id, data);
+    const collection = exports.GetCollection(school);
+    const record = { ID: id, Value: data.Value, Comment: data.Comment, Salt: data.Salt };
+    await ctx.stub.putPrivateData(collection, id, Buffer.from(JSON.stringify(record)));
+    const versionKey = await ctx.stub.createCompositeKey(GRADE_VERSION_KEY, [id, hash]);
+    await ctx.stub.putPrivateData(collection, versionKey, Buffer.from(JSON.stringify({ Hash: hash, Value: data.Value, Comment: data.Comment })));
+    return hash;
+};
+
+/**
+ * Add the private values and comments to public grades (or grade change requests)
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {Object[]} records the public records
+ * @param {string} commentField the field of the private comment (grade change requests already have a Comment field, for the decision of the secretariat)
+ * @returns {Promise<Object[]>} the records with their Value and comment (null if not available)
+ */
+exports.AddGradeData = async (ctx, records, commentField = 'Comment') => {
+    let list = [];
+    for (const record of records) {
+        const data = await exports.ReadGradeData(ctx, record);
+        list.push(Object.assign({}, record, {
+            Value: data ? data.Value : null,
+            [commentField]: data ? data.Comment : null
+        }));
+    }
+    return list;
+};
+
+/**
+ * Add the private values and comments submitted as transient data to public grades, before computing from them
+ *
+ * @param {Context} ctx context
+ * @param {Object[]} grades the public grades
+ * @returns {Object[]} the grades with their Value and Comment
+ * @throws {Error} an error if the private data of a grade is not submitted (see ReadSubmittedGradeData)
+ */
+exports.AddSubmittedGradeData = (ctx, grades) => {
+    return grades.map(grade => {
+        const data = exports.ReadSubmittedGradeData(ctx, grade);
+        return Object.assign({}, grade, { Value: data.Value, Comment: data.Comment });
+    });
+};
+
+/**
+ * Add the private values and comments to the history of a grade
+ * Each past public grade is matched with its private values by hash (read on the peers of the school of the grade)
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {Object} grade the current public grade
+ * @param {Object[]} history the public grade history
+ * @returns {Promise<Object[]>} the history with the past values and comments
+ */
+exports.AddGradeHistoryData = async (ctx, grade, history) => {
+    const collection = exports.GetCollection(schools.GetSchool(grade));
+    let list = [];
+    for (const entry of history) {
+        if (!entry.Value || !entry.Value.Hash) {
+            list.push(entry);
+            continue;
+        }
+        const versionKey = await ctx.stub.createCompositeKey(GRADE_VERSION_KEY, [grade.ID, entry.Value.Hash]);
+        const version = await GetPrivateRecord(ctx, collection, versionKey);
+        list.push(Object.assign({}, entry, {
+            Value: Object.assign({}, entry.Value, { Value: version ? version.Value : null, Comment: version ? version.Comment : null })
+        }));
+    }
+    return list;
+};
@@ -0,0 +1,76 @@
+'use strict';
+
+const { STUDENT_PROGRAM_KEY } = require('./constants');
+const helper = require('./helper');
+const schools = require('./schools');
+
+/**
+ * chaincode study program methods (enrollment and degree progress)
+ * these methods are not exposed in the contract
+ */
+
+/**
+ * Get the id of the program a student is enrolled in
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {string} studentId id of the student
+ * @returns {Promise<string>} the id of the program, null if the student is not enrolled
+ */
+exports.GetStudentProgramId = async (ctx, studentId) => {
+    const keys = await helper.GetAssetKeysByPartialKey(ctx, STUDENT_PROGRAM_KEY, [studentId]);
+    if (keys.length === 0) {
+        return null;
+    }
+    const { attributes } = await ctx.stub.splitCompositeKey(keys[0]);
+    return attributes[1];
+};
+
+/**
+ * Compute the degree progress of a student from the finalized course results
+ * A program course is earned once the student passed it (any year, the best grade is kept)
+ *
+ * @param {Object} program the study program
+ * @param {Object[]} results the finalized course results of the student
+ * @returns {Object} the courses (with the best passed result), the earned credits, the missing required courses and the completion percentage
+ */
+exports.ComputeProgress = (program, results) => {
+    const courses = program.Courses.map(c => {
+        const passed = results
+            .filter(r => r.Acronym === c.Acronym && r.Passed)
+            .sort((a, b) => b.Grade - a.Grade)[0];
+        return {
+            Acronym: c.Acronym,
+            Credits: c.Credits,
+            Required: c.Required,
+            Passed: passed !== undefined,
+            Course: passed ? passed.Course : null,
+            Grade: passed ? passed.Grade : null
+        };
+    });
+
+    const earnedCredits = courses.filter(c => c.Passed).reduce((sum, c) => sum + c.Credits, 0);
+    return {
+        Courses: courses,
+        EarnedCredits: earnedCredits,
+        MissingRequired: courses.filter(c => c.Required && !c.Passed).map(c => c.Acronym),
+        Completion: Math.min(100, Math.round(earnedCredits * 1000 / program.Credits) / 10)
+    };
+};
+
+/**
+ * Compute the degree progress of a student in a program, from the results of the school of the program
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {Object} program the study program
+ * @param {string} studentId id of the student
+ * @returns {Promise<Object>} the progress (program, courses, earned credits, missing required courses and completion percentage)
+ */
+exports.GetProgress = async (ctx, program, studentId) => {
+    const results = (await helper.QueryResultsByStudent(ctx, studentId)).filter(r => schools.GetSchool(r) === schools.GetSchool(program));
+    let progress = exports.ComputeProgress(program, results);
+    progress.Student = studentId;
+    progress.Program = { ID: program.ID, Name: program.Name, Credits: program.Credits };
+    return progress;
+};
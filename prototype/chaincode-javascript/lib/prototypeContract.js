@@ -3,15 +3,47 @@
 const { Contract } = require('fabric-contract-api');
 const shim = require('fabric-shim');
 const logger = shim.newLogger('prototype-tb');
-const { ENROLLMENT_ID_ATTRIBUTE, ROLE_ATTRIBUTE, STUDENT_ROLE, TEACHER_ROLE, SECRETARIAT_ROLE, GRADE_TYPE, STUDENT_COURSE_KEY, COURSE_TYPE } = require('./constants');
+const { ENROLLMENT_ID_ATTRIBUTE, ROLE_ATTRIBUTE, STUDENT_ROLE, TEACHER_ROLE, SECRETARIAT_ROLE, VERIFIER_ROLE, GRADE_TYPE, STUDENT_COURSE_KEY, STAFF_COURSE_KEY, COURSE_TYPE, GRADE_CHANGE_REQUEST_TYPE, PENDING_STATUS, APPROVED_STATUS, REJECTED_STATUS, DEFAULT_GRADING_SCHEME, RESULT_TYPE, TRANSCRIPT_TYPE, ASSESSMENT_TYPE, REGISTRATION_REQUEST_TYPE, WAITLISTED_STATUS, DEFAULT_COURSE_CAPACITY, DRAFT_STATE, REGISTRATION_OPERATION, GRADING_OPERATION, GRADE_EDIT_OPERATION, GRADE_CHANGE_REQUEST_OPERATION, STUDENT_VIEW_OPERATION, PROGRAM_TYPE, STUDENT_PROGRAM_KEY, DIPLOMA_TYPE, CREDIT_TRANSFER_TYPE, CONFIRMED_STATUS, CLOSED_STATE, ARCHIVED_STATE, GRADE_ADDED_EVENT, GRADE_UPDATED_EVENT } = require('./constants');
 const helper = require('./helper');
-const { SAMPLE_COURSES, SAMPLE_GRADES } = require('./samples');
+const validation = require('./validation');
+const grading = require('./grading');
+const transcripts = require('./transcripts');
+const staff = require('./staff');
+const lifecycle = require('./lifecycle');
+const registrations = require('./registrations');
+const prerequisites = require('./prerequisites');
+const programs = require('./programs');
+const diplomas = require('./diplomas');
+const privateGrades = require('./privateGrades');
+const schools = require('./schools');
+const transfers = require('./transfers');
+const endorsement = require('./endorsement');
+const events = require('./events');
+const { SAMPLE_COURSES, SAMPLE_ASSESSMENTS, SAMPLE_GRADES, SAMPLE_PROGRAMS } = require('./samples');
 
 /**
  * prototype chaincode contract
  */
 class PrototypeContract extends Contract {
 
+    /**
+     * Check the caller before each transaction
+     * Verifiers (third parties such as employers) can only verify transcripts and diplomas
+     *
+     * @async
+     * @param {Context} ctx context
+     */
+    async beforeTransaction(ctx) {
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        if (role === VERIFIER_ROLE) {
+            const { fcn } = ctx.stub.getFunctionAndParameters();
+            const transaction = fcn.split(':').pop();
+            if (transaction !== 'VerifyTranscript' && transaction !== 'GetDiploma') {
+                throw new Error('Verifiers are only allowed to verify transcripts and diplomas');
+            }
+        }
+    }
+
     /**
      * List all grades for a student
      * The grades returned depend on the identity of the caller
@@ -33,15 +65,29 @@ class PrototypeContract extends Contract {
 
         let grades = [];
         if (role === TEACHER_ROLE) {
-            // return only grades for courses of the calling teacher
+            // return only grades for courses of the calling teacher (or staff member)
+            let allGrades = await helper.QueryGradesByStudent(ctx, studentId);
+            for (const grade of allGrades) {
+
+                // get course
+                let course = await helper.ReadAsset(ctx, grade.Course);
+
+                // check course staff
+                if (staff.CanView(course, userId)) {
+                    grades.push(grade);
+                }
+            }
+        }
+        else if (role === STUDENT_ROLE) {
+            // return only grades for courses available to students in their state
             let allGrades = await helper.QueryGradesByStudent(ctx, studentId);
             for (const grade of allGrades) {
 
                 // get course
                 let course = await helper.ReadAsset(ctx, grade.Course);
 
-                // check course teacher
-                if (course.Teacher === userId) {
+                // check course state
+                if (lifecycle.IsAllowed(course, STUDENT_VIEW_OPERATION)) {
                     grades.push(grade);
                 }
             }
@@ -51,10 +97,149 @@ class PrototypeContract extends Contract {
             grades = await helper.QueryGradesByStudent(ctx, studentId);
         }
 
+        // keep the grades of the school of the caller, with their private values and comments
+        grades = await privateGrades.AddGradeData(ctx, schools.FilterMembers(ctx, grades));
+
+        logger.info(`Returning grades: ${JSON.stringify(grades)}`);
+        return grades;
+    }
+
+    /**
+     * List the grades of a page of the courses of a student
+     * The pages go through the courses the student is registered to (all grades of each course are returned),
+     * the grades returned depend on the identity of the caller (same rules as ListGrades)
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} studentId id of the student
+     * @param {*} pageSize number of courses per page
+     * @param {*} bookmark bookmark of the page (returned with the previous page), empty for the first page
+     * @returns {Promise<Object>} the page (grades, number of courses fetched and bookmark of the next page)
+     */
+    async ListGradesWithPagination(ctx, studentId, pageSize, bookmark) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        if (role === STUDENT_ROLE && studentId !== userId) {
+            throw new Error('You are not allowed to access the grades of other students');
+        }
+        const size = validation.ValidatePageSize(pageSize);
+        logger.info(`Listing grades page for user: ${userId}`);
+
+        // get the page of courses of the student, using the composite student to course key
+        let page = await helper.GetAssetKeysByPartialKeyWithPagination(ctx, STUDENT_COURSE_KEY, [studentId], size, bookmark || '');
+        let grades = [];
+        for (const assetKey of page.Records) {
+            const { attributes } = ctx.stub.splitCompositeKey(assetKey);
+            const course = await helper.ReadAsset(ctx, attributes[1]);
+
+            // only courses of the school of the caller, of the calling teacher (or staff member)
+            // and available to students in their state
+            let allowed = schools.IsMember(ctx, course);
+            if (role === TEACHER_ROLE) {
+                allowed = allowed && staff.CanView(course, userId);
+            }
+            else if (role === STUDENT_ROLE) {
+                allowed = allowed && lifecycle.IsAllowed(course, STUDENT_VIEW_OPERATION);
+            }
+            if (allowed) {
+                grades = grades.concat(await helper.QueryGradesByStudentAndCourse(ctx, studentId, course.ID));
+            }
+        }
+
+        // add private values and comments
+        page.Records = await privateGrades.AddGradeData(ctx, grades);
+
+        logger.info(`Returning grades page: ${JSON.stringify(page)}`);
+        return page;
+    }
+
+    /**
+     * List all grades for a course
+     * The grades returned depend on the identity of the caller: students only get their own grades
+     * and teachers only the grades of the courses they teach
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} courseId id of the course
+     * @returns {Promise<Object[]>} a list of grades
+     */
+    async ListGradesByCourse(ctx, courseId) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        logger.info(`Listing grades of course '${courseId}' for user: ${userId}`);
+
+        // get course (with security checks)
+        await this.GetCourse(ctx, courseId);
+
+        let grades = [];
+        if (role === STUDENT_ROLE) {
+            // return only the grades of the calling student
+            grades = await helper.QueryGradesByStudentAndCourse(ctx, userId, courseId);
+        }
+        else {
+            // return all course grades
+            grades = await helper.QueryGradesByCourse(ctx, courseId);
+        }
+
+        // add the private values and comments
+        grades = await privateGrades.AddGradeData(ctx, grades);
+
         logger.info(`Returning grades: ${JSON.stringify(grades)}`);
         return grades;
     }
 
+    /**
+     * List the private data of the grades of a course (values, comments and salts) and of its pending grade change requests
+     * The peers of the other schools do not store the private data collection of the school, the client submits this
+     * data as 'gradeData' transient data with FinalizeCourse and ApproveGradeChange (checked against the public hashes)
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} courseId id of the course
+     * @param {*} studentId id of a student, to only list the data of this student (optional)
+     * @returns {Promise<Object>} the private data by grade (or request) id
+     */
+    async ListGradeData(ctx, courseId, studentId) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        if (role !== SECRETARIAT_ROLE && role !== TEACHER_ROLE) {
+            throw new Error('Only teachers and secretariat users can list the private data of grades');
+        }
+
+        // get course
+        let course = await helper.ReadAsset(ctx, courseId);
+        schools.CheckMember(ctx, course);
+
+        // check if user is teaching the course
+        if (role === TEACHER_ROLE && !staff.CanView(course, userId)) {
+            throw new Error('You are only allowed to see grades for courses you teach');
+        }
+
+        // get grades and pending grade change requests
+        let records = await helper.QueryGradesByCourse(ctx, courseId);
+        const requests = await helper.QueryAssetsByDocType(ctx, GRADE_CHANGE_REQUEST_TYPE);
+        records = records.concat(requests.map(a => a.Record).filter(r => r.Course === courseId && r.Status === PENDING_STATUS));
+        if (studentId) {
+            records = records.filter(r => r.Student === studentId);
+        }
+
+        // get private data
+        let gradeData = {};
+        for (const record of records) {
+            const data = await privateGrades.ReadGradeData(ctx, record);
+            if (data) {
+                gradeData[record.ID] = { Value: data.Value, Comment: data.Comment, Salt: data.Salt };
+            }
+        }
+        return gradeData;
+    }
+
     /**
      * Return a specific grade
      *
@@ -74,11 +259,12 @@ class PrototypeContract extends Contract {
 
         // get course
         let course = await helper.ReadAsset(ctx, grade.Course);
+        schools.CheckMember(ctx, course);
 
         // security checks
 
-        // teachers can only see grades for the courses they teach
-        if (role === TEACHER_ROLE && course.Teacher !== userId) {
+        // teachers can only see grades for the courses they teach (or are staff of)
+        if (role === TEACHER_ROLE && !staff.CanView(course, userId)) {
             throw new Error('You are only allowed to see grades for courses you teach');
         }
         // students can only see their grades
@@ -86,22 +272,24 @@ class PrototypeContract extends Contract {
             throw new Error('You are not allowed to access the grades of other students');
         }
 
-        return grade;
+        // add the private value and comment
+        const [gradeWithData] = await privateGrades.AddGradeData(ctx, [grade]);
+        return gradeWithData;
     }
 
     /**
-     * Add a grade to a student for a course
+     * Add a grade to a student for an assessment of a course
+     * The weight and type of the grade are the ones of the assessment
+     * The value and comment are passed as 'grade' transient data ({"Value": 5.5, "Comment": "...", "Salt": "..."})
+     * and kept in the grades private data collection
      *
      * @async
      * @param {Context} ctx context
      * @param {*} id grade id
      * @param {*} studentId id of the student
-     * @param {*} courseId id of the course
-     * @param {*} value grade value (0.0 to 6.0)
-     * @param {*} weight grade weight (0.1 to 1.0)
-     * @param {*} type grade type (Labo, Test or Exam)
+     * @param {*} assessmentId id of the assessment
      */
-    async AddGrade(ctx, id, studentId, courseId, value, weight, type) {
+    async AddGrade(ctx, id, studentId, assessmentId) {
 
         // check role
         const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
@@ -110,49 +298,191 @@ class PrototypeContract extends Contract {
             throw new Error('Only teachers can add grades');
         }
 
+        // get assessment
+        let assessment = await helper.ReadAsset(ctx, assessmentId);
+        if (assessment.docType !== ASSESSMENT_TYPE) {
+            throw new Error(`The asset '${assessmentId}' is not an assessment`);
+        }
+
         // get course
+        const courseId = assessment.Course;
         let course = await helper.ReadAsset(ctx, courseId);
+        schools.CheckMember(ctx, course);
 
-        // check if course is active
-        if (!course.Active) {
-            throw new Error('You are not allowed to add grades for inactive courses');
+        // check if grades can be added in the course state
+        if (!lifecycle.IsAllowed(course, GRADING_OPERATION)) {
+            throw new Error(`You are not allowed to add grades for courses in the '${course.State}' state`);
         }
 
         // check if user is teaching the course
-        if (course.Teacher !== userId) {
+        if (!staff.CanView(course, userId)) {
             throw new Error('You are only allowed to add grades for courses you teach');
         }
 
+        // check if user can grade the assessment type
+        if (!staff.CanGrade(course, userId, assessment.Type)) {
+            throw new Error(`You are not allowed to grade ${assessment.Type} assessments for this course`);
+        }
+
         // check if student is registered in the course
-        if (course.Students.indexOf(studentId) === -1) {
+        if (!(await registrations.IsRegistered(ctx, studentId, courseId))) {
             throw new Error(`The student '${studentId}' is not registered in the course '${courseId}'`);
         }
 
+        // check if grade exists already
+        const exists = await helper.AssetExists(ctx, id);
+        if (exists) {
+            throw new Error(`The grade '${id}' exists already`);
+        }
+
+        // check grade attributes
+        const data = privateGrades.ReadTransientGrade(ctx);
+        const otherGrades = await helper.QueryGradesByStudentAndCourse(ctx, studentId, courseId);
+        const attributes = validation.ValidateAssessmentGrade(data.Value, assessment, grading.GetGradingScheme(course), otherGrades);
+
+        // add private value and comment
+        const hash = await privateGrades.PutGradeData(ctx, schools.GetSchool(course), id, Object.assign(data, { Value: attributes.Value }));
+
         // add grade
-		let grade = {
+        let grade = {
             ID: id,
             docType: GRADE_TYPE,
-			Student: studentId,
+            Org: schools.GetSchool(course),
+            Student: studentId,
             Course: courseId,
-			Value: value,
-			Weight: weight,
-			Type: type
+            Assessment: assessmentId,
+            Hash: hash,
+            Weight: attributes.Weight,
+            Type: attributes.Type,
+            UpdatedBy: userId,
+            CreatedAt: ctx.stub.getDateTimestamp().toISOString()
         };
         logger.info(`Adding grade: ${JSON.stringify(grade)}`);
         await ctx.stub.putState(grade.ID, Buffer.from(JSON.stringify(grade)));
+
+        // notify the grade change
+        events.EmitGradeEvent(ctx, GRADE_ADDED_EVENT, [grade]);
+    }
+
+    /**
+     * Add a batch of grades for a course
+     * All grades are written in the same transaction: if one of them is invalid, none is added
+     * The grades are passed as 'grades' transient data, a JSON array of objects (ID, Student, Assessment,
+     * Value, Comment and Salt), the values and comments are kept in the grades private data collection
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} courseId id of the course
+     */
+    async AddGrades(ctx, courseId) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        if (role !== TEACHER_ROLE) {
+            throw new Error('Only teachers can add grades');
+        }
+
+        // get course
+        let course = await helper.ReadAsset(ctx, courseId);
+        schools.CheckMember(ctx, course);
+
+        // check if grades can be added in the course state
+        if (!lifecycle.IsAllowed(course, GRADING_OPERATION)) {
+            throw new Error(`You are not allowed to add grades for courses in the '${course.State}' state`);
+        }
+
+        // check if user is teaching the course
+        if (!staff.CanView(course, userId)) {
+            throw new Error('You are only allowed to add grades for courses you teach');
+        }
+
+        // parse grades
+        const batch = privateGrades.ReadTransientGrades(ctx);
+
+        // check all grades before adding any of them
+        const scheme = grading.GetGradingScheme(course);
+        const assessments = await helper.QueryAssessmentsByCourse(ctx, courseId);
+        let studentGrades = {};
+        let newGrades = [];
+        for (let i = 0; i < batch.length; i++) {
+            const row = batch[i];
+            try {
+                // check mandatory attributes
+                if (!row || !row.ID || !row.Student || !row.Assessment) {
+                    throw new Error('The grade id, student and assessment are mandatory');
+                }
+
+                // check if the assessment belongs to the course
+                const assessment = assessments.find(a => a.ID === row.Assessment);
+                if (!assessment) {
+                    throw new Error(`The assessment '${row.Assessment}' does not belong to the course '${courseId}'`);
+                }
+
+                // check if user can grade the assessment type
+                if (!staff.CanGrade(course, userId, assessment.Type)) {
+                    throw new Error(`You are not allowed to grade ${assessment.Type} assessments for this course`);
+                }
+
+                // check if student is registered in the course
+                if (!(await registrations.IsRegistered(ctx, row.Student, courseId))) {
+                    throw new Error(`The student '${row.Student}' is not registered in the course '${courseId}'`);
+                }
+
+                // check if grade exists already
+                const exists = await helper.AssetExists(ctx, row.ID);
+                if (exists || newGrades.some(g => g.grade.ID === row.ID)) {
+                    throw new Error(`The grade '${row.ID}' exists already`);
+                }
+
+                // check grade attributes, including the other grades of the batch
+                if (!studentGrades[row.Student]) {
+                    studentGrades[row.Student] = await helper.QueryGradesByStudentAndCourse(ctx, row.Student, courseId);
+                }
+                const attributes = validation.ValidateAssessmentGrade(row.Value, assessment, scheme, studentGrades[row.Student]);
+                const data = privateGrades.ParseGradeData(Object.assign({}, row, { Value: attributes.Value }));
+
+                const grade = {
+                    ID: row.ID,
+                    docType: GRADE_TYPE,
+                    Org: schools.GetSchool(course),
+                    Student: row.Student,
+                    Course: courseId,
+                    Assessment: assessment.ID,
+                    Hash: privateGrades.HashGradeData(row.ID, data),
+                    Weight: attributes.Weight,
+                    Type: attributes.Type,
+                    UpdatedBy: userId,
+                    CreatedAt: ctx.stub.getDateTimestamp().toISOString()
+                };
+                studentGrades[row.Student].push(grade);
+                newGrades.push({ grade: grade, data: data });
+            }
+            catch (err) {
+                throw new Error(`Grade ${i + 1}: ${err.message}`);
+            }
+        }
+
+        // add grades, with their private values and comments
+        for (const { grade, data } of newGrades) {
+            await privateGrades.PutGradeData(ctx, grade.Org, grade.ID, data);
+            logger.info(`Adding grade: ${JSON.stringify(grade)}`);
+            await ctx.stub.putState(grade.ID, Buffer.from(JSON.stringify(grade)));
+        }
+
+        // notify the grade changes
+        events.EmitGradeEvent(ctx, GRADE_ADDED_EVENT, newGrades.map(g => g.grade));
     }
 
     /**
-     * Edit a grade
+     * Edit the value of a grade
+     * The value and comment are passed as 'grade' transient data ({"Value": 5.5, "Comment": "...", "Salt": "..."})
      *
      * @async
      * @param {Context} ctx context
      * @param {*} id grade id
-     * @param {*} value grade value (0.0 to 6.0)
-     * @param {*} weight grade weight (0.1 to 1.0)
-     * @param {*} type grade type (Labo, Test or Exam)
      */
-    async UpdateGrade(ctx, id, value, weight, type) {
+    async UpdateGrade(ctx, id) {
 
         // check role
         const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
@@ -166,351 +496,2716 @@ class PrototypeContract extends Contract {
 
         // get course
         let course = await helper.ReadAsset(ctx, grade.Course);
+        schools.CheckMember(ctx, course);
 
-        // check if course is active
-        if (!course.Active) {
-            throw new Error('You are not allowed to edit grades for inactive courses');
+        // check if grades can be edited in the course state
+        if (!lifecycle.IsAllowed(course, GRADE_EDIT_OPERATION)) {
+            throw new Error(`You are not allowed to edit grades for courses in the '${course.State}' state`);
         }
 
         // check if user is teaching the course
-        if (course.Teacher !== userId) {
+        if (!staff.CanView(course, userId)) {
             throw new Error('You are only allowed to edit grades for courses you teach');
         }
 
+        // check if user can grade the assessment type
+        const assessment = await helper.ReadGradeAssessment(ctx, grade);
+        if (!staff.CanGrade(course, userId, assessment.Type)) {
+            throw new Error(`You are not allowed to grade ${assessment.Type} assessments for this course`);
+        }
+
+        // check grade attributes
+        const data = privateGrades.ReadTransientGrade(ctx);
+        const courseGrades = await helper.QueryGradesByStudentAndCourse(ctx, grade.Student, grade.Course);
+        const otherGrades = courseGrades.filter(g => g.ID !== id);
+        const attributes = validation.ValidateAssessmentGrade(data.Value, assessment, grading.GetGradingScheme(course), otherGrades);
+
+        // update private value and comment
+        const hash = await privateGrades.PutGradeData(ctx, schools.GetSchool(course), id, Object.assign(data, { Value: attributes.Value }));
+
         // update grade
-		let updatedGrade = {
+        let updatedGrade = {
             ID: id,
             docType: GRADE_TYPE,
-			Student: grade.Student,
+            Org: schools.GetSchool(grade),
+            Student: grade.Student,
             Course: grade.Course,
-			Value: value,
-			Weight: weight,
-			Type: type
+            Assessment: grade.Assessment,
+            Hash: hash,
+            Weight: attributes.Weight,
+            Type: attributes.Type,
+            UpdatedBy: userId,
+            CreatedAt: grade.CreatedAt
         };
         logger.info(`Updating grade: ${JSON.stringify(updatedGrade)}`);
         await ctx.stub.putState(id, Buffer.from(JSON.stringify(updatedGrade)));
-	}
+
+        // notify the grade change
+        events.EmitGradeEvent(ctx, GRADE_UPDATED_EVENT, [updatedGrade]);
+    }
 
     /**
-     * Check if a user is referenced in the ledger, as student or teacher
+     * Return the history of a specific grade
+     * The access rules are the same as for GetGrade
      *
      * @async
      * @param {Context} ctx context
-     * @param {*} userId the id of the student or teacher
-     * @returns {Promise<Object>} an object describing if (and how/where) a user is referenced
+     * @param {*} id the id of the grade
+     * @returns {Promise<Object[]>} a list of past grade values, most recent first
      */
-    async CheckIfUserIsReferenced(ctx, userId) {
-
-        // check role
-        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
-        if (role !== SECRETARIAT_ROLE) {
-            throw new Error('Only secretariat users are allowed to check references');
-        }
+    async GetGradeHistory(ctx, id) {
 
-        // check if user is a registered student
-        let assetKeys = await helper.GetAssetKeysByPartialKey(ctx, STUDENT_COURSE_KEY, [userId]);
-        if (assetKeys.length > 0) {
-            logger.info(`Student references found: ${JSON.stringify(assetKeys)}`);
-            return { isReferenced: true, referenceType: STUDENT_ROLE, references: assetKeys };
-        }
+        // security checks (same as for the current grade)
+        const grade = await this.GetGrade(ctx, id);
 
-        // check if user teaches a course
-        let courses = await helper.QueryCoursesByTeacher(ctx, userId);
-        if (courses.length > 0) {
-            logger.info(`Teacher references found: ${JSON.stringify(courses)}`);
-            return { isReferenced: true, referenceType: TEACHER_ROLE, references: courses.map(a => a.ID) };
-        }
+        // get grade history, with the private values and comments
+        let history = await helper.GetAssetHistory(ctx, id);
+        history = await privateGrades.AddGradeHistoryData(ctx, grade, history);
 
-        return { isReferenced: false };
+        logger.info(`Returning grade history: ${JSON.stringify(history)}`);
+        return history;
     }
 
     /**
-     * List all courses
-     * The courses returned depend on the identity of the caller
+     * Compute the result of a student for a course, according to the course grading scheme
+     * The access rules are the same as for ListGrades and GetCourse
      *
      * @async
      * @param {Context} ctx context
-     * @returns {Promise<Object[]>} a list of courses
+     * @param {*} courseId id of the course
+     * @param {*} studentId id of the student
+     * @returns {Promise<Object>} the result (average, rounded grade, passed, complete and details per type)
      */
-    async ListCourses(ctx) {
+    async GetCourseResult(ctx, courseId, studentId) {
 
         // check role
         const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
         const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
-        logger.info(`Listing courses for user: ${userId}`);
-
-        let courses = [];
-        if (role === SECRETARIAT_ROLE) {
-            // return all courses
-            let assets = await helper.QueryAssetsByDocType(ctx, COURSE_TYPE);
-            courses = assets.map(a => a.Record);
-        }
-        else if (role === TEACHER_ROLE) {
-            // return only courses having the calling user as teacher
-            courses = await helper.QueryCoursesByTeacher(ctx, userId);
+        if (role === STUDENT_ROLE && studentId !== userId) {
+            throw new Error('You are not allowed to access the grades of other students');
         }
-        else {
-            // return only courses having the calling user as student
-
-            // get assets using the composite student to course key
-            let assetKeys = await helper.GetAssetKeysByPartialKey(ctx, STUDENT_COURSE_KEY, [userId]);
-            for (const assetKey of assetKeys) {
 
-                // get the course key
-                let attributes;
-                let objectType;
-                (
-                    { objectType , attributes } = await ctx.stub.splitCompositeKey(assetKey)
-                );
-                let courseKey = attributes[1];
+        // get course (with security checks)
+        let course = await this.GetCourse(ctx, courseId);
 
-                // get the course
-                let course = await helper.ReadAsset(ctx, courseKey);
+        // get grades, with their private values
+        let grades = await helper.QueryGradesByStudentAndCourse(ctx, studentId, courseId);
+        grades = await privateGrades.AddGradeData(ctx, grades);
 
-                courses.push(course);
-            }
-        }
+        // compute result
+        let result = grading.ComputeResult(grading.GetGradingScheme(course), grades);
+        result.Course = courseId;
+        result.Student = studentId;
 
-        logger.info(`Returning courses: ${JSON.stringify(courses)}`);
-        return courses;
+        logger.info(`Returning course result: ${JSON.stringify(result)}`);
+        return result;
     }
 
     /**
-     * Return a specific course
+     * List all finalized course results for a student
+     * The results returned depend on the identity of the caller (same rules as ListGrades)
      *
      * @async
      * @param {Context} ctx context
-     * @param {*} id the id of the course to return
-     * @returns {Promise<Object>} a course
+     * @param {*} studentId id of the student
+     * @returns {Promise<Object[]>} a list of course results
      */
-    async GetCourse(ctx, id) {
+    async ListResults(ctx, studentId) {
 
         // check role
         const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
         const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        if (role === STUDENT_ROLE && studentId !== userId) {
+            throw new Error('You are not allowed to access the results of other students');
+        }
+        logger.info(`Listing results for user: ${userId}`);
 
-        // get course
-        let course = await helper.ReadAsset(ctx, id);
+        let results = [];
+        if (role === TEACHER_ROLE) {
+            // return only results for courses of the calling teacher (or staff member)
+            let allResults = await helper.QueryResultsByStudent(ctx, studentId);
+            for (const result of allResults) {
 
-        // security checks
+                // skip the results transferred from other schools
+                if (result.Transfer) {
+                    continue;
+                }
 
-        // teachers can only see courses they teach
-        if (role === TEACHER_ROLE && course.Teacher !== userId) {
-            throw new Error('You are only allowed to see courses you teach');
+                // get course
+                let course = await helper.ReadAsset(ctx, result.Course);
+
+                // check course staff
+                if (staff.CanView(course, userId)) {
+                    results.push(result);
+                }
+            }
         }
-        // students can only see their courses
-        else if (role === STUDENT_ROLE && course.Students.indexOf(userId) === -1) {
-            throw new Error('You are only allowed to access courses that you are registered to');
+        else {
+            // return all student results
+            results = await helper.QueryResultsByStudent(ctx, studentId);
         }
 
-        return course;
+        // keep the results of the school of the caller (including the transferred results)
+        results = schools.FilterMembers(ctx, results);
+
+        logger.info(`Returning results: ${JSON.stringify(results)}`);
+        return results;
     }
 
     /**
-     * Add a new course
+     * Get the key-level endorsement policy of a finalized result
      *
      * @async
      * @param {Context} ctx context
-     * @param {*} acronym course acronym (e.g. MLG)
-     * @param {*} name course name (e.g. Machine Learning)
-     * @param {*} year year the course starts (e.g. 2020)
-     * @param {*} teacher id of the teacher
+     * @param {*} id id of the result
+     * @returns {Promise<Object>} the policy (result id, MSP ids of the organizations required to endorse its changes and default flag)
      */
-    async AddCourse(ctx, acronym, name, year, teacher) {
+    async GetResultEndorsementPolicy(ctx, id) {
 
         // check role
         const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
         if (role !== SECRETARIAT_ROLE) {
-            throw new Error('Only secretariat users can add courses');
+            throw new Error('Only secretariat users can access the endorsement policies');
         }
 
-        // generate course id
-        const id = acronym + '_' + year;
-
-        // check if course already exist
-        const exists = await helper.AssetExists(ctx, id);
-        if (exists) {
-            throw new Error(`The course '${id}' exists already`);
-        }
+        // get result and policy
+        const result = await endorsement.ReadResult(ctx, id);
+        const orgs = (await endorsement.ReadPolicy(ctx, id)).listOrgs();
+        const defaultOrgs = endorsement.GetDefaultEndorsers(result);
 
-        // add course
-        const course = {
-            ID: id,
-            docType: COURSE_TYPE,
-            Acronym: acronym,
-            Year: year,
-            Name: name,
-            Teacher: teacher,
-            Students: [],
-            Active: false,
+        return {
+            Result: id,
+            Orgs: orgs,
+            Default: orgs.length === defaultOrgs.length && defaultOrgs.every(org => orgs.includes(org))
         };
-        logger.info(`Adding course: ${JSON.stringify(course)}`);
-        await ctx.stub.putState(course.ID, Buffer.from(JSON.stringify(course)));
     }
 
     /**
-     * Enables a course
+     * Add organizations to the key-level endorsement policy of a finalized result
+     * The peers of the added organizations must then also endorse the changes of the result
      *
      * @async
      * @param {Context} ctx context
-     * @param {*} id id of the course to enable
+     * @param {*} id id of the result
+     * @param {*} orgs MSP ids of the organizations to add, as JSON array (e.g. ["Org2MSP"])
      */
-    async EnableCourse(ctx, id) {
+    async AddResultEndorsers(ctx, id, orgs) {
 
         // check role
         const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
         if (role !== SECRETARIAT_ROLE) {
-            throw new Error('Only secretariat users can enable courses');
+            throw new Error('Only secretariat users can change the endorsement policies');
         }
 
-        // get current course
-        let course = await helper.ReadAsset(ctx, id);
+        // validate input
+        const addedOrgs = validation.ValidateOrgs(orgs);
 
-        // update course
-        const updatedCourse = {
+        // get result and policy
+        const result = await endorsement.ReadResult(ctx, id);
+        let currentOrgs = (await endorsement.ReadPolicy(ctx, id)).listOrgs();
+        endorsement.CheckEndorser(ctx, id, currentOrgs);
+        if (currentOrgs.length === 0) {
+            currentOrgs = endorsement.GetDefaultEndorsers(result);
+        }
+
+        // update policy
+        const updatedOrgs = currentOrgs.concat(addedOrgs.filter(org => !currentOrgs.includes(org)));
+        logger.info(`Setting endorsement policy of result ${id}: ${JSON.stringify(updatedOrgs)}`);
+        await endorsement.PutPolicy(ctx, id, updatedOrgs);
+    }
+
+    /**
+     * Remove organizations from the key-level endorsement policy of a finalized result
+     * The default endorsers (teaching school, secretariat school and organizations of the chaincode-level policy) cannot be removed
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} id id of the result
+     * @param {*} orgs MSP ids of the organizations to remove, as JSON array (e.g. ["Org2MSP"])
+     */
+    async RemoveResultEndorsers(ctx, id, orgs) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        if (role !== SECRETARIAT_ROLE) {
+            throw new Error('Only secretariat users can change the endorsement policies');
+        }
+
+        // validate input
+        const removedOrgs = validation.ValidateOrgs(orgs);
+
+        // get result and policy
+        const result = await endorsement.ReadResult(ctx, id);
+        const currentOrgs = (await endorsement.ReadPolicy(ctx, id)).listOrgs();
+        endorsement.CheckEndorser(ctx, id, currentOrgs);
+        const defaultOrgs = endorsement.GetDefaultEndorsers(result);
+        if (removedOrgs.some(org => defaultOrgs.includes(org))) {
+            throw new Error(`The schools of the result '${id}' and the organizations of the chaincode endorsement policy must always endorse its changes`);
+        }
+        if (removedOrgs.some(org => !currentOrgs.includes(org))) {
+            throw new Error(`The organizations to remove are not part of the endorsement policy of the result '${id}'`);
+        }
+
+        // update policy
+        const updatedOrgs = currentOrgs.filter(org => !removedOrgs.includes(org));
+        logger.info(`Setting endorsement policy of result ${id}: ${JSON.stringify(updatedOrgs)}`);
+        await endorsement.PutPolicy(ctx, id, updatedOrgs);
+    }
+
+    /**
+     * Protect the results of a finalized course with their default key-level endorsement policy
+     * Used for the courses finalized before the results were protected, the results which already
+     * have a policy are left unchanged
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} courseId id of the course
+     * @returns {Promise<number>} the number of protected results
+     */
+    async ProtectCourseResults(ctx, courseId) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        if (role !== SECRETARIAT_ROLE) {
+            throw new Error('Only secretariat users can change the endorsement policies');
+        }
+
+        // get course
+        const course = await helper.ReadAsset(ctx, courseId);
+        if (course.docType !== COURSE_TYPE) {
+            throw new Error(`The asset '${courseId}' is not a course`);
+        }
+        schools.CheckMember(ctx, course);
+        if (course.State !== CLOSED_STATE && course.State !== ARCHIVED_STATE) {
+            throw new Error(`The course '${courseId}' is not finalized`);
+        }
+
+        // protect the results without policy
+        let count = 0;
+        for (const studentId of await registrations.GetStudents(ctx, course)) {
+            const resultId = courseId + '_' + studentId;
+            const exists = await helper.AssetExists(ctx, resultId);
+            if (!exists) {
+                continue;
+            }
+            const policy = await endorsement.ReadPolicy(ctx, resultId);
+            if (policy.listOrgs().length === 0) {
+                await endorsement.ProtectResult(ctx, await helper.ReadAsset(ctx, resultId));
+                count++;
+            }
+        }
+
+        logger.info(`Protected ${count} results of course ${courseId}`);
+        return count;
+    }
+
+    /**
+     * Issue a transcript with all the finalized course results of a student
+     * The transcript is stored on the ledger under the hash of its content, so that
+     * it can later be verified by third parties with VerifyTranscript
+     * Issuing the same transcript twice returns the existing one
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} studentId id of the student
+     * @param {*} disclose 'true' if the student discloses the grades to verifiers (only students can disclose their grades)
+     * @returns {Promise<Object>} the transcript
+     */
+    async IssueTranscript(ctx, studentId, disclose) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        if (role === STUDENT_ROLE && studentId !== userId) {
+            throw new Error('You are not allowed to access the transcripts of other students');
+        }
+        else if (role !== STUDENT_ROLE && role !== SECRETARIAT_ROLE) {
+            throw new Error('Only students and secretariat users can issue transcripts');
+        }
+
+        // get results (of the school of the caller)
+        let results = schools.FilterMembers(ctx, await helper.QueryResultsByStudent(ctx, studentId));
+        if (results.length === 0) {
+            throw new Error(`The student '${studentId}' has no finalized course results`);
+        }
+
+        // compute transcript hash
+        const hash = transcripts.HashTranscript(studentId, results);
+        const disclosed = role === STUDENT_ROLE && disclose === 'true';
+
+        // return existing transcript
+        const exists = await helper.AssetExists(ctx, hash);
+        if (exists) {
+            let transcript = await helper.ReadAsset(ctx, hash);
+
+            // update the disclosure choice of the student
+            if (role === STUDENT_ROLE && transcript.Disclosed !== disclosed) {
+                transcript.Disclosed = disclosed;
+                logger.info(`Updating transcript disclosure: ${JSON.stringify(transcript)}`);
+                await ctx.stub.putState(hash, Buffer.from(JSON.stringify(transcript)));
+            }
+            return transcript;
+        }
+
+        // add transcript
+        const transcript = {
+            ID: hash,
+            docType: TRANSCRIPT_TYPE,
+            Student: studentId,
+            Results: transcripts.GetTranscriptResults(results),
+            Disclosed: disclosed,
+            IssuedBy: userId,
+            IssuedAt: ctx.stub.getDateTimestamp().toISOString(),
+            TxId: ctx.stub.getTxID()
+        };
+        logger.info(`Adding transcript: ${JSON.stringify(transcript)}`);
+        await ctx.stub.putState(transcript.ID, Buffer.from(JSON.stringify(transcript)));
+
+        return transcript;
+    }
+
+    /**
+     * Verify a transcript against the ledger
+     * The transcript is valid if it was issued and if the course results it covers
+     * still match the hash
+     * Verifiers and teachers only get the grades disclosed by the student
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} hash the transcript hash
+     * @returns {Promise<Object>} the verification result (Valid and the transcript, if any)
+     */
+    async VerifyTranscript(ctx, hash) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+
+        // get transcript
+        const exists = await helper.AssetExists(ctx, hash);
+        if (!exists) {
+            return { Valid: false };
+        }
+        let transcript = await helper.ReadAsset(ctx, hash);
+        if (transcript.docType !== TRANSCRIPT_TYPE) {
+            return { Valid: false };
+        }
+
+        // get the covered results
+        let results = [];
+        for (const result of transcript.Results) {
+            results.push(await helper.ReadAsset(ctx, result.ID));
+        }
+
+        // check hash
+        const valid = transcripts.HashTranscript(transcript.Student, results) === hash;
+        logger.info(`Transcript '${hash}' verified: ${valid}`);
+
+        // only the student and the secretariat get the full transcript
+        if (role === SECRETARIAT_ROLE || (role === STUDENT_ROLE && transcript.Student === userId)) {
+            return { Valid: valid, Transcript: transcript };
+        }
+        return { Valid: valid, Transcript: transcripts.GetPublicTranscript(transcript) };
+    }
+
+    /**
+     * List grade change requests
+     * Secretariat users get all requests, teachers only the requests they submitted
+     *
+     * @async
+     * @param {Context} ctx context
+     * @returns {Promise<Object[]>} a list of grade change requests
+     */
+    async ListGradeChangeRequests(ctx) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        logger.info(`Listing grade change requests for user: ${userId}`);
+
+        let requests = [];
+        if (role === SECRETARIAT_ROLE) {
+            // return all requests of the school
+            let assets = await helper.QueryAssetsByDocType(ctx, GRADE_CHANGE_REQUEST_TYPE);
+            requests = schools.FilterMembers(ctx, assets.map(a => a.Record));
+        }
+        else if (role === TEACHER_ROLE) {
+            // return only requests submitted by the calling teacher
+            requests = await helper.QueryGradeChangeRequestsByTeacher(ctx, userId);
+        }
+        else {
+            throw new Error('Only teachers and secretariat users can list grade change requests');
+        }
+
+        // add the private requested values and comments
+        requests = await privateGrades.AddGradeData(ctx, requests, 'GradeComment');
+
+        logger.info(`Returning grade change requests: ${JSON.stringify(requests)}`);
+        return requests;
+    }
+
+    /**
+     * Return a specific grade change request
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} id the id of the request to return
+     * @returns {Promise<Object>} a grade change request
+     */
+    async GetGradeChangeRequest(ctx, id) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+
+        // get request
+        let request = await helper.ReadAsset(ctx, id);
+        schools.CheckMember(ctx, request);
+
+        // security checks
+        if (role === TEACHER_ROLE && request.RequestedBy !== userId) {
+            throw new Error('You are only allowed to see the grade change requests you submitted');
+        }
+        else if (role !== TEACHER_ROLE && role !== SECRETARIAT_ROLE) {
+            throw new Error('Only teachers and secretariat users can access grade change requests');
+        }
+
+        // add the private requested value and comment
+        const [requestWithData] = await privateGrades.AddGradeData(ctx, [request], 'GradeComment');
+        return requestWithData;
+    }
+
+    /**
+     * Request a change for a grade of an inactive course
+     * The change is only applied once approved by the secretariat
+     * The new value and comment are passed as 'grade' transient data, as for UpdateGrade
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} id request id
+     * @param {*} gradeId id of the grade to change
+     * @param {*} reason justification for the change
+     */
+    async RequestGradeChange(ctx, id, gradeId, reason) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        if (role !== TEACHER_ROLE) {
+            throw new Error('Only teachers can request grade changes');
+        }
+
+        // check justification
+        if (!reason || reason.trim().length === 0) {
+            throw new Error('A reason is mandatory to request a grade change');
+        }
+
+        // get grade
+        let grade = await helper.ReadAsset(ctx, gradeId);
+
+        // get course
+        let course = await helper.ReadAsset(ctx, grade.Course);
+        schools.CheckMember(ctx, course);
+
+        // check if grades can be edited directly
+        if (lifecycle.IsAllowed(course, GRADE_EDIT_OPERATION)) {
+            throw new Error('Grades of running courses can be edited directly');
+        }
+
+        // check if grade changes can be requested in the course state
+        if (!lifecycle.IsAllowed(course, GRADE_CHANGE_REQUEST_OPERATION)) {
+            throw new Error(`Grades of courses in the '${course.State}' state cannot be changed anymore`);
+        }
+
+        // check if user is teaching the course
+        if (!staff.CanView(course, userId)) {
+            throw new Error('You are only allowed to request grade changes for courses you teach');
+        }
+
+        // check if the request already exists
+        const exists = await helper.AssetExists(ctx, id);
+        if (exists) {
+            throw new Error(`The grade change request '${id}' exists already`);
+        }
+
+        // check if user can grade the assessment type
+        const assessment = await helper.ReadGradeAssessment(ctx, grade);
+        if (!staff.CanGrade(course, userId, assessment.Type)) {
+            throw new Error(`You are not allowed to grade ${assessment.Type} assessments for this course`);
+        }
+
+        // check requested grade attributes
+        const data = privateGrades.ReadTransientGrade(ctx);
+        const courseGrades = await helper.QueryGradesByStudentAndCourse(ctx, grade.Student, grade.Course);
+        const otherGrades = courseGrades.filter(g => g.ID !== gradeId);
+        const attributes = validation.ValidateAssessmentGrade(data.Value, assessment, grading.GetGradingScheme(course), otherGrades);
+
+        // add private requested value and comment
+        const hash = await privateGrades.PutGradeData(ctx, schools.GetSchool(course), id, Object.assign(data, { Value: attributes.Value }));
+
+        // add request
+        const request = {
+            ID: id,
+            docType: GRADE_CHANGE_REQUEST_TYPE,
+            Org: schools.GetSchool(course),
+            Grade: gradeId,
+            Student: grade.Student,
+            Course: grade.Course,
+            Hash: hash,
+            Weight: attributes.Weight,
+            Type: attributes.Type,
+            Reason: reason,
+            Status: PENDING_STATUS,
+            RequestedBy: userId,
+            RequestedAt: ctx.stub.getDateTimestamp().toISOString()
+        };
+        logger.info(`Adding grade change request: ${JSON.stringify(request)}`);
+        await ctx.stub.putState(request.ID, Buffer.from(JSON.stringify(request)));
+    }
+
+    /**
+     * Approve a pending grade change request and apply the change to the grade
+     * If the course is closed, the final result of the student is recomputed
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} id request id
+     * @param {*} comment optional comment of the secretariat
+     */
+    async ApproveGradeChange(ctx, id, comment) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        if (role !== SECRETARIAT_ROLE) {
+            throw new Error('Only secretariat users can approve grade changes');
+        }
+
+        // get request
+        let request = await helper.ReadAsset(ctx, id);
+        schools.CheckMember(ctx, request);
+        if (request.Status !== PENDING_STATUS) {
+            throw new Error(`The grade change request '${id}' has already been ${request.Status}`);
+        }
+
+        // get current grade
+        let grade = await helper.ReadAsset(ctx, request.Grade);
+
+        // check if grade changes are still allowed in the course state
+        let course = await helper.ReadAsset(ctx, grade.Course);
+        schools.CheckMember(ctx, course);
+        if (!lifecycle.IsAllowed(course, GRADE_CHANGE_REQUEST_OPERATION)) {
+            throw new Error(`Grades of courses in the '${course.State}' state cannot be changed anymore`);
+        }
+
+        // update private value and comment with the requested ones
+        const data = privateGrades.ReadSubmittedGradeData(ctx, request);
+        const hash = await privateGrades.PutGradeData(ctx, schools.GetSchool(course), grade.ID, data);
+
+        // update grade
+        let updatedGrade = {
+            ID: grade.ID,
+            docType: GRADE_TYPE,
+            Org: schools.GetSchool(grade),
+            Student: grade.Student,
+            Course: grade.Course,
+            Assessment: grade.Assessment,
+            Hash: hash,
+            Weight: grade.Weight,
+            Type: grade.Type,
+            UpdatedBy: request.RequestedBy,
+            CreatedAt: grade.CreatedAt,
+            ChangeRequest: id
+        };
+        logger.info(`Updating grade: ${JSON.stringify(updatedGrade)}`);
+        await ctx.stub.putState(grade.ID, Buffer.from(JSON.stringify(updatedGrade)));
+
+        // recompute the final result of the student if the course is closed (the updated grade cannot be read back)
+        if (course.State === CLOSED_STATE) {
+            const courseGrades = await helper.QueryGradesByStudentAndCourse(ctx, grade.Student, grade.Course);
+            const otherGrades = privateGrades.AddSubmittedGradeData(ctx, courseGrades.filter(g => g.ID !== grade.ID));
+            const grades = otherGrades.concat([Object.assign({}, updatedGrade, { Value: data.Value })]);
+            const computed = grading.ComputeResult(grading.GetGradingScheme(course), grades);
+            let result = await helper.ReadAsset(ctx, grade.Course + '_' + grade.Student);
+            result.Average = computed.Average;
+            result.Grade = computed.Grade;
+            result.Passed = computed.Passed;
+            result.CorrectedBy = userId;
+            result.CorrectedAt = ctx.stub.getDateTimestamp().toISOString();
+            result.ChangeRequest = id;
+            result.TxId = ctx.stub.getTxID();
+            logger.info(`Correcting result: ${JSON.stringify(result)}`);
+            await ctx.stub.putState(result.ID, Buffer.from(JSON.stringify(result)));
+
+            // protect a result finalized before the key-level endorsement policies (a protected result keeps its policy)
+            if ((await endorsement.ReadPolicy(ctx, result.ID)).listOrgs().length === 0) {
+                await endorsement.ProtectResult(ctx, result);
+            }
+        }
+
+        // notify the grade change
+        events.EmitGradeEvent(ctx, GRADE_UPDATED_EVENT, [updatedGrade]);
+
+        // update request
+        request.Status = APPROVED_STATUS;
+        request.Comment = comment;
+        request.ProcessedBy = userId;
+        request.ProcessedAt = ctx.stub.getDateTimestamp().toISOString();
+        logger.info(`Approving grade change request: ${JSON.stringify(request)}`);
+        await ctx.stub.putState(id, Buffer.from(JSON.stringify(request)));
+    }
+
+    /**
+     * Reject a pending grade change request, the grade is left unchanged
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} id request id
+     * @param {*} comment reason of the rejection
+     */
+    async RejectGradeChange(ctx, id, comment) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        if (role !== SECRETARIAT_ROLE) {
+            throw new Error('Only secretariat users can reject grade changes');
+        }
+
+        // get request
+        let request = await helper.ReadAsset(ctx, id);
+        schools.CheckMember(ctx, request);
+        if (request.Status !== PENDING_STATUS) {
+            throw new Error(`The grade change request '${id}' has already been ${request.Status}`);
+        }
+
+        // update request
+        request.Status = REJECTED_STATUS;
+        request.Comment = comment;
+        request.ProcessedBy = userId;
+        request.ProcessedAt = ctx.stub.getDateTimestamp().toISOString();
+        logger.info(`Rejecting grade change request: ${JSON.stringify(request)}`);
+        await ctx.stub.putState(id, Buffer.from(JSON.stringify(request)));
+    }
+
+    /**
+     * List the assessments of a course, sorted by date
+     * The access rules are the same as for GetCourse
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} courseId id of the course
+     * @returns {Promise<Object[]>} a list of assessments
+     */
+    async ListAssessments(ctx, courseId) {
+
+        // security checks (same as for the course)
+        await this.GetCourse(ctx, courseId);
+
+        // get assessments
+        let assessments = await helper.QueryAssessmentsByCourse(ctx, courseId);
+        assessments.sort((a, b) => a.Date.localeCompare(b.Date) || a.Name.localeCompare(b.Name));
+
+        logger.info(`Returning assessments: ${JSON.stringify(assessments)}`);
+        return assessments;
+    }
+
+    /**
+     * Return a specific assessment
+     * The access rules are the same as for GetCourse
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} id the id of the assessment
+     * @returns {Promise<Object>} an assessment
+     */
+    async GetAssessment(ctx, id) {
+
+        // get assessment
+        let assessment = await helper.ReadAsset(ctx, id);
+        if (assessment.docType !== ASSESSMENT_TYPE) {
+            throw new Error(`The asset '${id}' is not an assessment`);
+        }
+
+        // security checks (same as for the course)
+        await this.GetCourse(ctx, assessment.Course);
+
+        return assessment;
+    }
+
+    /**
+     * Add an assessment to a course
+     * The assessments of a type are managed by the teacher and the staff members allowed to grade the type
+     * The total weight of the assessments of a type cannot exceed the weight of the type in the grading scheme
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} id assessment id
+     * @param {*} courseId id of the course
+     * @param {*} name assessment name (e.g. Test 1)
+     * @param {*} type assessment type (one of the types of the course grading scheme)
+     * @param {*} weight assessment weight (0.1 to 1.0)
+     * @param {*} date assessment date (YYYY-MM-DD)
+     * @param {*} maxScore maximum grade value of the assessment (within the scale of the course grading scheme)
+     */
+    async AddAssessment(ctx, id, courseId, name, type, weight, date, maxScore) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        if (role !== TEACHER_ROLE) {
+            throw new Error('Only teachers can add assessments');
+        }
+
+        // get course
+        let course = await helper.ReadAsset(ctx, courseId);
+        schools.CheckMember(ctx, course);
+
+        // check if course is finalized
+        if (lifecycle.IsFinalized(course)) {
+            throw new Error('You are not allowed to add assessments to finalized courses');
+        }
+
+        // check if user can grade the assessments of the type (teacher or staff member)
+        if (!staff.CanGrade(course, userId, type)) {
+            throw new Error('You are only allowed to add assessments of the types you can grade');
+        }
+
+        // check if assessment exists already
+        const exists = await helper.AssetExists(ctx, id);
+        if (exists) {
+            throw new Error(`The assessment '${id}' exists already`);
+        }
+
+        // check assessment attributes
+        const otherAssessments = await helper.QueryAssessmentsByCourse(ctx, courseId);
+        const attributes = validation.ValidateAssessment(name, type, weight, date, maxScore, grading.GetGradingScheme(course), otherAssessments);
+
+        // add assessment
+        const assessment = {
+            ID: id,
+            docType: ASSESSMENT_TYPE,
+            Course: courseId,
+            Name: attributes.Name,
+            Type: attributes.Type,
+            Weight: attributes.Weight,
+            Date: attributes.Date,
+            MaxScore: attributes.MaxScore,
+            UpdatedBy: userId
+        };
+        logger.info(`Adding assessment: ${JSON.stringify(assessment)}`);
+        await ctx.stub.putState(assessment.ID, Buffer.from(JSON.stringify(assessment)));
+    }
+
+    /**
+     * Edit an assessment
+     * Once an assessment is graded, only its name and date can be changed
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} id assessment id
+     * @param {*} name assessment name (e.g. Test 1)
+     * @param {*} type assessment type (one of the types of the course grading scheme)
+     * @param {*} weight assessment weight (0.1 to 1.0)
+     * @param {*} date assessment date (YYYY-MM-DD)
+     * @param {*} maxScore maximum grade value of the assessment (within the scale of the course grading scheme)
+     */
+    async UpdateAssessment(ctx, id, name, type, weight, date, maxScore) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        if (role !== TEACHER_ROLE) {
+            throw new Error('Only teachers can edit assessments');
+        }
+
+        // get assessment
+        let assessment = await helper.ReadAsset(ctx, id);
+        if (assessment.docType !== ASSESSMENT_TYPE) {
+            throw new Error(`The asset '${id}' is not an assessment`);
+        }
+
+        // get course
+        let course = await helper.ReadAsset(ctx, assessment.Course);
+        schools.CheckMember(ctx, course);
+
+        // check if course is finalized
+        if (lifecycle.IsFinalized(course)) {
+            throw new Error('You are not allowed to edit assessments of finalized courses');
+        }
+
+        // check if user can grade the assessments of the current and new types (teacher or staff member)
+        if (!staff.CanGrade(course, userId, assessment.Type) || !staff.CanGrade(course, userId, type)) {
+            throw new Error('You are only allowed to edit assessments of the types you can grade');
+        }
+
+        // check assessment attributes
+        const courseAssessments = await helper.QueryAssessmentsByCourse(ctx, assessment.Course);
+        const otherAssessments = courseAssessments.filter(a => a.ID !== id);
+        const attributes = validation.ValidateAssessment(name, type, weight, date, maxScore, grading.GetGradingScheme(course), otherAssessments);
+
+        // check if the grading structure changes while the assessment is graded
+        const grades = await helper.QueryGradesByAssessment(ctx, id);
+        if (grades.length > 0 && (attributes.Type !== assessment.Type || !grading.SameWeight(attributes.Weight, assessment.Weight) || attributes.MaxScore !== assessment.MaxScore)) {
+            throw new Error('The type, weight and max score of an assessment cannot be changed once it is graded');
+        }
+
+        // update assessment
+        const updatedAssessment = {
+            ID: id,
+            docType: ASSESSMENT_TYPE,
+            Course: assessment.Course,
+            Name: attributes.Name,
+            Type: attributes.Type,
+            Weight: attributes.Weight,
+            Date: attributes.Date,
+            MaxScore: attributes.MaxScore,
+            UpdatedBy: userId
+        };
+        logger.info(`Updating assessment: ${JSON.stringify(updatedAssessment)}`);
+        await ctx.stub.putState(id, Buffer.from(JSON.stringify(updatedAssessment)));
+    }
+
+    /**
+     * Delete an assessment that is not graded
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} id assessment id
+     */
+    async DeleteAssessment(ctx, id) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        if (role !== TEACHER_ROLE) {
+            throw new Error('Only teachers can delete assessments');
+        }
+
+        // get assessment
+        let assessment = await helper.ReadAsset(ctx, id);
+        if (assessment.docType !== ASSESSMENT_TYPE) {
+            throw new Error(`The asset '${id}' is not an assessment`);
+        }
+
+        // get course
+        let course = await helper.ReadAsset(ctx, assessment.Course);
+        schools.CheckMember(ctx, course);
+
+        // check if course is finalized
+        if (lifecycle.IsFinalized(course)) {
+            throw new Error('You are not allowed to delete assessments of finalized courses');
+        }
+
+        // check if user can grade the assessments of the type (teacher or staff member)
+        if (!staff.CanGrade(course, userId, assessment.Type)) {
+            throw new Error('You are only allowed to delete assessments of the types you can grade');
+        }
+
+        // check if the assessment is graded
+        const grades = await helper.QueryGradesByAssessment(ctx, id);
+        if (grades.length > 0) {
+            throw new Error(`The assessment '${assessment.Name}' cannot be deleted because it is graded`);
+        }
+
+        // delete assessment
+        logger.info(`Deleting assessment: ${JSON.stringify(assessment)}`);
+        await helper.DeleteAsset(ctx, id);
+    }
+
+    /**
+     * Check if a user is referenced in the ledger, as student or teacher
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} userId the id of the student or teacher
+     * @returns {Promise<Object>} an object describing if (and how/where) a user is referenced
+     */
+    async CheckIfUserIsReferenced(ctx, userId) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        if (role !== SECRETARIAT_ROLE) {
+            throw new Error('Only secretariat users are allowed to check references');
+        }
+
+        // check if user is a registered student
+        let assetKeys = await helper.GetAssetKeysByPartialKey(ctx, STUDENT_COURSE_KEY, [userId]);
+        if (assetKeys.length > 0) {
+            logger.info(`Student references found: ${JSON.stringify(assetKeys)}`);
+            return { isReferenced: true, referenceType: STUDENT_ROLE, references: assetKeys };
+        }
+
+        // check if user is enrolled in a program
+        const programId = await programs.GetStudentProgramId(ctx, userId);
+        if (programId) {
+            logger.info(`Program references found: ${programId}`);
+            return { isReferenced: true, referenceType: STUDENT_ROLE, references: [programId] };
+        }
+
+        // check if user teaches a course
+        let courses = await staff.QueryCourses(ctx, userId);
+        if (courses.length > 0) {
+            logger.info(`Teacher references found: ${JSON.stringify(courses)}`);
+            return { isReferenced: true, referenceType: TEACHER_ROLE, references: courses.map(a => a.ID) };
+        }
+
+        return { isReferenced: false };
+    }
+
+    /**
+     * List all courses
+     * The courses returned depend on the identity of the caller
+     *
+     * @async
+     * @param {Context} ctx context
+     * @returns {Promise<Object[]>} a list of courses
+     */
+    async ListCourses(ctx) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        logger.info(`Listing courses for user: ${userId}`);
+
+        let courses = [];
+        if (role === SECRETARIAT_ROLE) {
+            // return all courses
+            let assets = await helper.QueryAssetsByDocType(ctx, COURSE_TYPE);
+            courses = assets.map(a => a.Record);
+        }
+        else if (role === TEACHER_ROLE) {
+            // return only courses having the calling user as teacher
+            courses = await staff.QueryCourses(ctx, userId);
+        }
+        else {
+            // return only courses having the calling user as student
+
+            // get assets using the composite student to course key
+            let assetKeys = await helper.GetAssetKeysByPartialKey(ctx, STUDENT_COURSE_KEY, [userId]);
+            for (const assetKey of assetKeys) {
+
+                // get the course key
+                let attributes;
+                let objectType;
+                (
+                    { objectType , attributes } = await ctx.stub.splitCompositeKey(assetKey)
+                );
+                let courseKey = attributes[1];
+
+                // get the course (if available to students in its state)
+                let course = await helper.ReadAsset(ctx, courseKey);
+                if (lifecycle.IsAllowed(course, STUDENT_VIEW_OPERATION)) {
+                    courses.push(course);
+                }
+            }
+        }
+
+        // keep the courses of the school of the caller
+        courses = schools.FilterMembers(ctx, courses);
+
+        logger.info(`Returning courses: ${JSON.stringify(courses)}`);
+        return courses;
+    }
+
+    /**
+     * List a page of the courses
+     * The courses returned depend on the identity of the caller (same rules as ListCourses), the pages
+     * of students may be shorter than the page size as the courses not available in their state are skipped
+     * The total number of courses of the secretariat and teachers is read from the course counts, the total of
+     * students is not returned (their courses not available in their state are counted in no list)
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} pageSize number of courses per page
+     * @param {*} bookmark bookmark of the page (returned with the previous page), empty for the first page
+     * @returns {Promise<Object>} the page (courses, number of courses fetched, bookmark of the next page and
+     * total number of courses)
+     */
+    async ListCoursesWithPagination(ctx, pageSize, bookmark) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        const size = validation.ValidatePageSize(pageSize);
+        logger.info(`Listing courses page for user: ${userId}`);
+
+        let page;
+        if (role === SECRETARIAT_ROLE) {
+            // all courses of the school
+            page = await helper.QueryCoursesWithPagination(ctx, schools.MemberSelector(ctx), size, bookmark || '');
+            page.TotalCount = await helper.GetCourseCount(ctx, schools.GetCallerSchool(ctx));
+        }
+        else {
+            // only courses having the calling user as teacher (or staff member) or as student,
+            // using the composite staff to course or student to course key
+            const compositeKey = role === TEACHER_ROLE ? STAFF_COURSE_KEY : STUDENT_COURSE_KEY;
+            page = await helper.GetAssetKeysByPartialKeyWithPagination(ctx, compositeKey, [userId], size, bookmark || '');
+            let courses = [];
+            for (const assetKey of page.Records) {
+                const { attributes } = ctx.stub.splitCompositeKey(assetKey);
+                const course = await helper.ReadAsset(ctx, attributes[1]);
+                if ((role === TEACHER_ROLE || lifecycle.IsAllowed(course, STUDENT_VIEW_OPERATION)) && schools.IsMember(ctx, course)) {
+                    courses.push(course);
+                }
+            }
+            page.Records = courses;
+            if (role === TEACHER_ROLE) {
+                page.TotalCount = await helper.GetCourseCount(ctx, userId);
+            }
+        }
+
+        logger.info(`Returning courses page: ${JSON.stringify(page)}`);
+        return page;
+    }
+
+    /**
+     * List the courses open for registration, with their capacity and number of registered and waitlisted students
+     * The registered students are not disclosed
+     *
+     * @async
+     * @param {Context} ctx context
+     * @returns {Promise<Object[]>} a list of courses
+     */
+    async ListOpenCourses(ctx) {
+
+        // get courses of the school of the caller in a state allowing registrations
+        let courses = await helper.QueryCoursesByState(ctx, lifecycle.StatesAllowing(REGISTRATION_OPERATION));
+        courses = schools.FilterMembers(ctx, courses);
+
+        let openCourses = [];
+        for (const c of courses) {
+            openCourses.push({
+                ID: c.ID,
+                Acronym: c.Acronym,
+                Year: c.Year,
+                Name: c.Name,
+                Teacher: c.Teacher,
+                State: c.State,
+                Capacity: c.Capacity,
+                Registered: await registrations.CountStudents(ctx, registrations.GetCounter(c)),
+                Waitlisted: (await registrations.GetWaitlist(ctx, c)).length
+            });
+        }
+        return openCourses;
+    }
+
+    /**
+     * Return a specific course, with its roster (Students) and Waitlist assembled from the course to student links
+     * and the waitlist keys
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} id the id of the course to return
+     * @returns {Promise<Object>} a course
+     */
+    async GetCourse(ctx, id) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+
+        // get course
+        let course = await helper.ReadAsset(ctx, id);
+        schools.CheckMember(ctx, course);
+
+        // security checks
+
+        // teachers can only see courses they teach (or are staff of)
+        if (role === TEACHER_ROLE && !staff.CanView(course, userId)) {
+            throw new Error('You are only allowed to see courses you teach');
+        }
+        // students can only see their courses
+        else if (role === STUDENT_ROLE && !(await registrations.IsRegistered(ctx, userId, id))) {
+            throw new Error('You are only allowed to access courses that you are registered to');
+        }
+        // students cannot see courses in all states (e.g. archived courses)
+        else if (role === STUDENT_ROLE && !lifecycle.IsAllowed(course, STUDENT_VIEW_OPERATION)) {
+            throw new Error(`Courses in the '${course.State}' state are not available to students`);
+        }
+
+        // assemble roster and waitlist
+        course.Students = await registrations.GetStudents(ctx, course);
+        course.Waitlist = await registrations.GetWaitlist(ctx, course);
+
+        return course;
+    }
+
+    /**
+     * Migrate a batch of courses created before the roster links or the registration counters
+     * The Students array of each course is moved to student to course and course to student links, its Waitlist
+     * array to waitlist keys, and the registration counter shards of the course are added (the courses are also migrated when they are next updated)
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} courseIds ids of the courses as JSON array (e.g. ["MLG_2020"], at most the maximum page size),
+     * e.g. the ids of a page of ListCoursesWithPagination
+     * @returns {Promise<string[]>} the ids of the migrated courses
+     */
+    async MigrateCourseRosters(ctx, courseIds) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        if (role !== SECRETARIAT_ROLE) {
+            throw new Error('Only secretariat users can migrate course rosters');
+        }
+
+        // validate input
+        const ids = validation.ValidateCourseIds(courseIds);
+
+        // migrate the courses of the school of the caller
+        let migrated = [];
+        for (const id of ids) {
+            const course = await helper.ReadAsset(ctx, id);
+            if (course.docType !== COURSE_TYPE) {
+                throw new Error(`The asset '${id}' is not a course`);
+            }
+            schools.CheckMember(ctx, course);
+
+            // add registration counter (from the Students array of a course not migrated yet)
+            const hasCounter = await registrations.HasCounter(ctx, course);
+            if (!hasCounter) {
+                await registrations.PutCounter(ctx, course, await registrations.GetStudents(ctx, course));
+            }
+
+            // move roster
+            const rosterMigrated = await registrations.MigrateRoster(ctx, course);
+            if (!hasCounter || rosterMigrated) {
+                migrated.push(id);
+            }
+        }
+
+        logger.info(`Migrated rosters of courses: ${JSON.stringify(migrated)}`);
+        return migrated;
+    }
+
+    /**
+     * Add the staff to course links of a batch of courses created before the links
+     * The teachers and staff members only get these courses in their lists once migrated
+     * (the links of a course are also added when its staff is next changed)
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} courseIds ids of the courses as JSON array (e.g. ["MLG_2020"], at most the maximum page size),
+     * e.g. the ids of a page of ListCoursesWithPagination
+     * @returns {Promise<number>} the number of migrated courses
+     */
+    async MigrateCourseStaff(ctx, courseIds) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        if (role !== SECRETARIAT_ROLE) {
+            throw new Error('Only secretariat users can migrate course staff');
+        }
+
+        // validate input
+        const ids = validation.ValidateCourseIds(courseIds);
+
+        // add the links of the courses of the school of the caller
+        for (const id of ids) {
+            const course = await helper.ReadAsset(ctx, id);
+            if (course.docType !== COURSE_TYPE) {
+                throw new Error(`The asset '${id}' is not a course`);
+            }
+            schools.CheckMember(ctx, course);
+            await staff.AddCourseLinks(ctx, course);
+        }
+
+        logger.info(`Migrated staff of courses: ${JSON.stringify(ids)}`);
+        return ids.length;
+    }
+
+    /**
+     * Count the courses of the school of the caller created before the course counts (the total of the paginated
+     * course list of the secretariat), to be run once after the upgrade
+     * The courses of the teachers and staff members are counted when their links are migrated (see MigrateCourseStaff)
+     *
+     * @async
+     * @param {Context} ctx context
+     * @returns {Promise<number>} the number of courses of the school
+     */
+    async MigrateCourseCount(ctx) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        if (role !== SECRETARIAT_ROLE) {
+            throw new Error('Only secretariat users can migrate the course count');
+        }
+
+        // count the courses of the school of the caller (the paginated queries are not allowed in transactions)
+        const assets = await helper.QueryAssetsByDocType(ctx, COURSE_TYPE);
+        const count = schools.FilterMembers(ctx, assets.map(a => a.Record)).length;
+        await helper.SetCourseCount(ctx, schools.GetCallerSchool(ctx), count);
+
+        logger.info(`Migrated course count: ${count}`);
+        return count;
+    }
+
+    /**
+     * Add a new course, owned by the school of the caller
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} acronym course acronym (e.g. MLG)
+     * @param {*} name course name (e.g. Machine Learning)
+     * @param {*} year year the course starts (e.g. 2020)
+     * @param {*} teacher id of the teacher
+     * @param {*} gradingScheme grading scheme as JSON string (optional, the default scheme is used if missing)
+     * @param {*} capacity maximum number of students (optional, the default capacity is used if missing)
+     * @param {*} coursePrerequisites prerequisites as JSON string (optional, e.g. [{"Acronym": "MLG", "MinGrade": 4.5}])
+     */
+    async AddCourse(ctx, acronym, name, year, teacher, gradingScheme, capacity, coursePrerequisites) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        if (role !== SECRETARIAT_ROLE) {
+            throw new Error('Only secretariat users can add courses');
+        }
+
+        // generate course id (prefixed with the school, e.g. Org1MSP_MLG_2020)
+        const id = schools.BuildId(ctx, acronym, year);
+
+        // check if course already exist
+        const exists = await helper.AssetExists(ctx, id);
+        if (exists) {
+            throw new Error(`The course '${id}' exists already`);
+        }
+
+        // check grading scheme
+        const scheme = gradingScheme ? validation.ValidateGradingScheme(gradingScheme) : DEFAULT_GRADING_SCHEME;
+
+        // check capacity
+        const parsedCapacity = capacity ? validation.ValidateCapacity(capacity, 0) : DEFAULT_COURSE_CAPACITY;
+
+        // check prerequisites
+        const parsedPrerequisites = coursePrerequisites ? validation.ValidatePrerequisites(coursePrerequisites, acronym) : [];
+
+        // add course
+        const course = {
+            ID: id,
+            docType: COURSE_TYPE,
+            Org: schools.GetCallerSchool(ctx),
+            Acronym: acronym,
+            Year: year,
+            Name: name,
+            Teacher: teacher,
+            Staff: [],
+            Prerequisites: parsedPrerequisites,
+            Capacity: parsedCapacity,
+            State: DRAFT_STATE,
+            GradingScheme: scheme,
+            StateHistory: lifecycle.AddStateChange(ctx, {}, DRAFT_STATE),
+        };
+        logger.info(`Adding course: ${JSON.stringify(course)}`);
+        await ctx.stub.putState(course.ID, Buffer.from(JSON.stringify(course)));
+
+        // add registration counter and count course
+        await registrations.PutCounter(ctx, course, []);
+        await helper.AddCourseCount(ctx, course.Org, 1);
+
+        // add teacher to course link
+        await staff.AddCourseLinks(ctx, course);
+    }
+
+    /**
+     * Open the registrations of a draft course
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} id id of the course to open
+     */
+    async OpenRegistration(ctx, id) {
+
+        // get current course
+        let course = await helper.ReadAsset(ctx, id);
+
+        // check state and role
+        const transition = lifecycle.CheckTransition(ctx, course, 'OpenRegistration');
+
+        // move the roster of a course created before the roster links (if any)
+        await registrations.MigrateRoster(ctx, course);
+
+        // update course
+        const updatedCourse = helper.ApplyCourseChanges(course, {
+            State: transition.To,
+            StateHistory: lifecycle.AddStateChange(ctx, course, transition.To)
+        });
+        logger.info(`Opening registrations of course: ${JSON.stringify(updatedCourse)}`);
+        await ctx.stub.putState(id, Buffer.from(JSON.stringify(updatedCourse)));
+
+        // notify the state change
+        events.EmitStateEvent(ctx, updatedCourse, transition, await registrations.GetStudents(ctx, course));
+    }
+
+    /**
+     * Start a course once the registrations are closed (grades can be added and edited)
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} id id of the course to start
+     */
+    async StartCourse(ctx, id) {
+
+        // get current course
+        let course = await helper.ReadAsset(ctx, id);
+
+        // check state and role
+        const transition = lifecycle.CheckTransition(ctx, course, 'StartCourse');
+
+        // move the roster of a course created before the roster links (if any)
+        await registrations.MigrateRoster(ctx, course);
+
+        // update course
+        const updatedCourse = helper.ApplyCourseChanges(course, {
+            State: transition.To,
+            StateHistory: lifecycle.AddStateChange(ctx, course, transition.To)
+        });
+        logger.info(`Starting course: ${JSON.stringify(updatedCourse)}`);
+        await ctx.stub.putState(id, Buffer.from(JSON.stringify(updatedCourse)));
+
+        // notify the state change
+        events.EmitStateEvent(ctx, updatedCourse, transition, await registrations.GetStudents(ctx, course));
+    }
+
+    /**
+     * Start the grading period of a course
+     * Missing grades can still be added, existing grades are changed through grade change requests
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} id id of the course to grade
+     */
+    async StartGrading(ctx, id) {
+
+        // get current course
+        let course = await helper.ReadAsset(ctx, id);
+
+        // check state and role
+        const transition = lifecycle.CheckTransition(ctx, course, 'StartGrading');
+
+        // move the roster of a course created before the roster links (if any)
+        await registrations.MigrateRoster(ctx, course);
+
+        // update course
+        const updatedCourse = helper.ApplyCourseChanges(course, {
+            State: transition.To,
+            StateHistory: lifecycle.AddStateChange(ctx, course, transition.To)
+        });
+        logger.info(`Starting grading period of course: ${JSON.stringify(updatedCourse)}`);
+        await ctx.stub.putState(id, Buffer.from(JSON.stringify(updatedCourse)));
+
+        // notify the state change
+        events.EmitStateEvent(ctx, updatedCourse, transition, await registrations.GetStudents(ctx, course));
+    }
+
+    /**
+     * Finalize a course at the end of its grading period
+     * The course is closed, the final result of every registered student is stored as a result asset
+     * and the grades can only be changed through approved grade change requests
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} id id of the course to finalize
+     */
+    async FinalizeCourse(ctx, id) {
+
+        // get current course
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        let course = await helper.ReadAsset(ctx, id);
+
+        // check state and role
+        const transition = lifecycle.CheckTransition(ctx, course, 'FinalizeCourse');
+
+        // compute the results of all registered students
+        const scheme = grading.GetGradingScheme(course);
+        const finalizedAt = ctx.stub.getDateTimestamp().toISOString();
+        let results = [];
+        for (const studentId of await registrations.GetStudents(ctx, course)) {
+            let grades = privateGrades.AddSubmittedGradeData(ctx, await helper.QueryGradesByStudentAndCourse(ctx, studentId, id));
+            let result = grading.ComputeResult(scheme, grades);
+            if (!result.Complete) {
+                throw new Error(`The grades of the student '${studentId}' are incomplete`);
+            }
+            results.push({
+                ID: id + '_' + studentId,
+                docType: RESULT_TYPE,
+                Org: schools.GetSchool(course),
+                Course: id,
+                Acronym: course.Acronym,
+                Year: course.Year,
+                Name: course.Name,
+                Student: studentId,
+                Average: result.Average,
+                Grade: result.Grade,
+                Passed: result.Passed,
+                FinalizedBy: userId,
+                FinalizedAt: finalizedAt,
+                TxId: ctx.stub.getTxID()
+            });
+        }
+
+        // add results
+        for (const result of results) {
+            const exists = await helper.AssetExists(ctx, result.ID);
+            if (exists) {
+                throw new Error(`The result '${result.ID}' exists already`);
+            }
+            logger.info(`Adding result: ${JSON.stringify(result)}`);
+            await ctx.stub.putState(result.ID, Buffer.from(JSON.stringify(result)));
+
+            // protect result with its key-level endorsement policy
+            await endorsement.ProtectResult(ctx, result);
+        }
+
+        // move the roster of a course created before the roster links (if any)
+        await registrations.MigrateRoster(ctx, course);
+
+        // update course
+        const updatedCourse = helper.ApplyCourseChanges(course, {
+            State: transition.To,
+            StateHistory: lifecycle.AddStateChange(ctx, course, transition.To)
+        });
+        logger.info(`Finalizing course: ${JSON.stringify(updatedCourse)}`);
+        await ctx.stub.putState(id, Buffer.from(JSON.stringify(updatedCourse)));
+
+        // notify the finalized results and the state change
+        events.EmitResultEvent(ctx, updatedCourse.Org, results, transition);
+    }
+
+    /**
+     * Archive a closed course
+     * Only the final results remain available to the students
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} id id of the course to archive
+     */
+    async ArchiveCourse(ctx, id) {
+
+        // get current course
+        let course = await helper.ReadAsset(ctx, id);
+
+        // check state and role
+        const transition = lifecycle.CheckTransition(ctx, course, 'ArchiveCourse');
+
+        // move the roster of a course created before the roster links (if any)
+        await registrations.MigrateRoster(ctx, course);
+
+        // update course
+        const updatedCourse = helper.ApplyCourseChanges(course, {
+            State: transition.To,
+            StateHistory: lifecycle.AddStateChange(ctx, course, transition.To)
+        });
+        logger.info(`Archiving course: ${JSON.stringify(updatedCourse)}`);
+        await ctx.stub.putState(id, Buffer.from(JSON.stringify(updatedCourse)));
+
+        // notify the state change
+        events.EmitStateEvent(ctx, updatedCourse, transition, await registrations.GetStudents(ctx, course));
+    }
+
+    /**
+     * Register a student for a course
+     * Only the roster links and a registration counter shard are updated, the course asset is not rewritten
+     * by each registration
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} courseId id of the course
+     * @param {*} studentId id of the student to register
+     * @param {*} overrideReason reason to register a student not meeting the prerequisites (optional, secretariat only)
+     */
+    async RegisterStudent(ctx, courseId, studentId, overrideReason) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        if (role !== SECRETARIAT_ROLE && role !== TEACHER_ROLE) {
+            throw new Error('Only secretariat users and course staff can register students');
+        }
+        if (role !== SECRETARIAT_ROLE && overrideReason) {
+            throw new Error('Only secretariat users can override prerequisites');
+        }
+
+        // get current course
+        let course = await helper.ReadAsset(ctx, courseId);
+        schools.CheckMember(ctx, course);
+
+        // check if user can manage the course roster
+        if (role === TEACHER_ROLE && !staff.CanManageRoster(course, userId)) {
+            throw new Error('You are not allowed to manage the roster of this course');
+        }
+
+        // check if registrations are open
+        if (!lifecycle.IsAllowed(course, REGISTRATION_OPERATION)) {
+            throw new Error(`Students cannot be registered to courses in the '${course.State}' state`);
+        }
+
+        // check if student is registered
+        if (await registrations.IsRegistered(ctx, studentId, courseId)) {
+            throw new Error(`The student '${studentId}' is already registered`);
+        }
+
+        // check prerequisites (the override is recorded)
+        await prerequisites.Check(ctx, course, studentId, overrideReason);
+
+        logger.info(`Registering student '${studentId}' for course '${courseId}'`);
+
+        // move the roster of a course created before the roster links (if any)
+        await registrations.MigrateRoster(ctx, course);
+
+        // count student and add student to course and course to student links if the course has room
+        // (the course itself is not updated)
+        if (!(await registrations.AddStudent(ctx, registrations.GetCounter(course), studentId))) {
+            throw new Error(`The course '${courseId}' is full (capacity: ${course.Capacity})`);
+        }
+
+        // notify the registration
+        events.EmitRegistrationEvent(ctx, schools.GetSchool(course), [{ Course: courseId, Student: studentId }]);
+    }
+
+    /**
+     * Unregister a student from a course
+     * The first waitlisted students are registered in the freed place
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} courseId id of the course
+     * @param {*} studentId id of the student to unregister
+     */
+    async UnregisterStudent(ctx, courseId, studentId) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        if (role !== SECRETARIAT_ROLE && role !== TEACHER_ROLE) {
+            throw new Error('Only secretariat users and course staff can unregister students');
+        }
+
+        // get current course
+        let course = await helper.ReadAsset(ctx, courseId);
+        schools.CheckMember(ctx, course);
+
+        // check if user can manage the course roster
+        if (role === TEACHER_ROLE && !staff.CanManageRoster(course, userId)) {
+            throw new Error('You are not allowed to manage the roster of this course');
+        }
+
+        // check if registrations are open
+        if (!lifecycle.IsAllowed(course, REGISTRATION_OPERATION)) {
+            throw new Error(`Students cannot be unregistered from courses in the '${course.State}' state`);
+        }
+
+        // check if student is registered
+        if (!(await registrations.IsRegistered(ctx, studentId, courseId))) {
+            throw new Error(`The student '${studentId}' is not registered`);
+        }
+
+        logger.info(`Unregistering student '${studentId}' from course '${courseId}'`);
+
+        // move the roster of a course created before the roster links (if any)
+        await registrations.MigrateRoster(ctx, course);
+
+        // uncount student and delete student to course and course to student links
+        logger.info(`Removing roster links: ${studentId} ${courseId}`);
+        const counter = registrations.GetCounter(course);
+        await registrations.RemoveStudent(ctx, counter, studentId);
+
+        // register the first waitlisted students in the freed place
+        const promoted = await registrations.PromoteWaitlist(ctx, counter);
+
+        // notify the registration of the promoted students
+        events.EmitRegistrationEvent(ctx, schools.GetSchool(course), promoted.map(s => ({ Course: courseId, Student: s })));
+    }
+
+    /**
+     * Set the capacity of a course
+     * If the capacity is increased, the first waitlisted students are registered in the new places
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} id id of the course
+     * @param {*} capacity maximum number of students
+     */
+    async SetCourseCapacity(ctx, id, capacity) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        if (role !== SECRETARIAT_ROLE) {
+            throw new Error('Only secretariat users can change the capacity of courses');
+        }
+
+        // get current course
+        let course = await helper.ReadAsset(ctx, id);
+        schools.CheckMember(ctx, course);
+
+        // check if course is finalized
+        if (lifecycle.IsFinalized(course)) {
+            throw new Error('The capacity of finalized courses cannot be changed');
+        }
+
+        // check capacity
+        const counter = registrations.GetCounter(course);
+        course.Capacity = validation.ValidateCapacity(capacity, await registrations.CountStudents(ctx, counter));
+
+        // move the roster of a course created before the roster links (if any)
+        await registrations.MigrateRoster(ctx, course);
+
+        // split the new capacity over the registration counter shards
+        await registrations.SetCapacity(ctx, counter, course.Capacity);
+
+        // register the first waitlisted students in the new places (if registrations are open)
+        let promoted = [];
+        if (lifecycle.IsAllowed(course, REGISTRATION_OPERATION)) {
+            promoted = await registrations.PromoteWaitlist(ctx, counter);
+        }
+
+        // update course
+        const updatedCourse = helper.ApplyCourseChanges(course, { Capacity: course.Capacity });
+        logger.info(`Updating course capacity: ${JSON.stringify(updatedCourse)}`);
+        await ctx.stub.putState(id, Buffer.from(JSON.stringify(updatedCourse)));
+
+        // notify the registration of the promoted students
+        events.EmitRegistrationEvent(ctx, updatedCourse.Org, promoted.map(s => ({ Course: id, Student: s })));
+    }
+
+    /**
+     * Set the prerequisites of a course (checked when students are registered)
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} id id of the course
+     * @param {*} coursePrerequisites prerequisites as JSON string (e.g. [{"Acronym": "MLG", "MinGrade": 4.5}])
+     */
+    async SetCoursePrerequisites(ctx, id, coursePrerequisites) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        if (role !== SECRETARIAT_ROLE) {
+            throw new Error('Only secretariat users can change the prerequisites of courses');
+        }
+
+        // get current course
+        let course = await helper.ReadAsset(ctx, id);
+        schools.CheckMember(ctx, course);
+
+        // check if course is finalized
+        if (lifecycle.IsFinalized(course)) {
+            throw new Error('The prerequisites of finalized courses cannot be changed');
+        }
+
+        // move the roster of a course created before the roster links (if any)
+        await registrations.MigrateRoster(ctx, course);
+
+        // update course
+        const updatedCourse = helper.ApplyCourseChanges(course, {
+            Prerequisites: validation.ValidatePrerequisites(coursePrerequisites, course.Acronym)
+        });
+        logger.info(`Updating course prerequisites: ${JSON.stringify(updatedCourse)}`);
+        await ctx.stub.putState(id, Buffer.from(JSON.stringify(updatedCourse)));
+    }
+
+    /**
+     * List the prerequisite overrides of a course (students registered without meeting the prerequisites)
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} courseId id of the course
+     * @returns {Promise<Object[]>} a list of overrides (student, missing prerequisites, reason, author and date)
+     */
+    async ListPrerequisiteOverrides(ctx, courseId) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        if (role === STUDENT_ROLE) {
+            throw new Error('Students are not allowed to list prerequisite overrides');
+        }
+
+        // get course (with security checks)
+        await this.GetCourse(ctx, courseId);
+
+        return await helper.QueryPrerequisiteOverridesByCourse(ctx, courseId);
+    }
+
+    /**
+     * List registration requests
+     * The requests returned depend on the identity of the caller: the secretariat gets all requests
+     * and students their own requests
+     *
+     * @async
+     * @param {Context} ctx context
+     * @returns {Promise<Object[]>} a list of registration requests
+     */
+    async ListRegistrationRequests(ctx) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        logger.info(`Listing registration requests for user: ${userId}`);
+
+        let requests = [];
+        if (role === SECRETARIAT_ROLE) {
+            // return all requests of the school
+            let assets = await helper.QueryAssetsByDocType(ctx, REGISTRATION_REQUEST_TYPE);
+            requests = schools.FilterMembers(ctx, assets.map(a => a.Record));
+        }
+        else if (role === STUDENT_ROLE) {
+            // return only requests submitted by the calling student
+            requests = await helper.QueryRegistrationRequestsByStudent(ctx, userId);
+        }
+        else {
+            throw new Error('Only students and secretariat users can list registration requests');
+        }
+
+        logger.info(`Returning registration requests: ${JSON.stringify(requests)}`);
+        return requests;
+    }
+
+    /**
+     * Submit a registration request for a course open for registration
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} id request id
+     * @param {*} courseId id of the course
+     */
+    async RequestRegistration(ctx, id, courseId) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        if (role !== STUDENT_ROLE) {
+            throw new Error('Only students can request a registration');
+        }
+
+        // check if request already exist
+        const exists = await helper.AssetExists(ctx, id);
+        if (exists) {
+            throw new Error(`The registration request '${id}' exists already`);
+        }
+
+        // get course
+        let course = await helper.ReadAsset(ctx, courseId);
+        if (course.docType !== COURSE_TYPE) {
+            throw new Error(`The asset '${courseId}' is not a course`);
+        }
+        schools.CheckMember(ctx, course);
+
+        // check if registrations are open
+        if (!lifecycle.IsAllowed(course, REGISTRATION_OPERATION)) {
+            throw new Error(`Registrations are not open for courses in the '${course.State}' state`);
+        }
+
+        // check if student is registered
+        if (await registrations.IsRegistered(ctx, userId, courseId)) {
+            throw new Error('You are already registered to this course');
+        }
+
+        // check if the student has an open request for the course
+        let requests = await helper.QueryRegistrationRequestsByStudent(ctx, userId);
+        if (requests.some(r => r.Course === courseId && (r.Status === PENDING_STATUS || r.Status === WAITLISTED_STATUS))) {
+            throw new Error('You already have an open registration request for this course');
+        }
+
+        // add request (flagged with the missing prerequisites)
+        const missing = await prerequisites.GetMissing(ctx, course, userId);
+        const request = {
+            ID: id,
+            docType: REGISTRATION_REQUEST_TYPE,
+            Org: schools.GetSchool(course),
+            Course: courseId,
+            Student: userId,
+            MissingPrerequisites: missing,
+            Status: PENDING_STATUS,
+            RequestedAt: ctx.stub.getDateTimestamp().toISOString()
+        };
+        logger.info(`Adding registration request: ${JSON.stringify(request)}`);
+        await ctx.stub.putState(request.ID, Buffer.from(JSON.stringify(request)));
+    }
+
+    /**
+     * Approve pending registration requests, in the given order
+     * The students are registered while the courses have room, the other requests are added to the course waitlists
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} ids ids of the requests as JSON array
+     * @param {*} overrideReason reason to approve requests of students not meeting the prerequisites (optional)
+     */
+    async ApproveRegistrationRequests(ctx, ids, overrideReason) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        if (role !== SECRETARIAT_ROLE) {
+            throw new Error('Only secretariat users can approve registration requests');
+        }
+
+        // get pending requests
+        const processedAt = ctx.stub.getDateTimestamp().toISOString();
+        let courses = {};
+        let counters = {};
+        let registered = [];
+        let waitlisted = [];
+        for (const id of validation.ValidateRequestIds(ids)) {
+            let request = await registrations.ReadRequest(ctx, id, [PENDING_STATUS]);
+            schools.CheckMember(ctx, request);
+
+            // get course and registration counter (kept up to date, the shards updated in this transaction cannot be read)
+            if (!courses[request.Course]) {
+                courses[request.Course] = await helper.ReadAsset(ctx, request.Course);
+                counters[request.Course] = registrations.GetCounter(courses[request.Course]);
+            }
+            let course = courses[request.Course];
+
+            // check if registrations are open
+            if (!lifecycle.IsAllowed(course, REGISTRATION_OPERATION)) {
+                throw new Error(`Students cannot be registered to courses in the '${course.State}' state`);
+            }
+
+            // check if student is registered (the links added in this transaction cannot be read)
+            const approved = registered.some(r => r.Course === course.ID && r.Student === request.Student);
+            if (approved || await registrations.IsRegistered(ctx, request.Student, course.ID)) {
+                throw new Error(`The student '${request.Student}' is already registered to the course '${course.ID}'`);
+            }
+
+            // check prerequisites (the override is recorded)
+            await prerequisites.Check(ctx, course, request.Student, overrideReason);
+
+            // register student, or add the request to the waitlist if the course is full
+            if (await registrations.AddStudent(ctx, counters[request.Course], request.Student)) {
+                registered.push({ Course: course.ID, Student: request.Student });
+                request.Status = APPROVED_STATUS;
+            }
+            else {
+                await registrations.AddToWaitlist(ctx, request, waitlisted.length);
+                waitlisted.push(request.ID);
+                request.Status = WAITLISTED_STATUS;
+            }
+
+            // update request
+            request.ProcessedBy = userId;
+            request.ProcessedAt = processedAt;
+            logger.info(`Approving registration request: ${JSON.stringify(request)}`);
+            await ctx.stub.putState(request.ID, Buffer.from(JSON.stringify(request)));
+        }
+
+        // move the roster of the courses created before the roster links (if any, the approvals only update the
+        // roster links, counters and waitlist keys, not the courses themselves)
+        for (const course of Object.values(courses)) {
+            await registrations.MigrateRoster(ctx, course);
+        }
+
+        // notify the registrations (the waitlisted students are not registered yet)
+        events.EmitRegistrationEvent(ctx, schools.GetCallerSchool(ctx), registered);
+    }
+
+    /**
+     * Reject pending or waitlisted registration requests
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} ids ids of the requests as JSON array
+     * @param {*} comment reason of the rejection
+     */
+    async RejectRegistrationRequests(ctx, ids, comment) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        if (role !== SECRETARIAT_ROLE) {
+            throw new Error('Only secretariat users can reject registration requests');
+        }
+
+        // get requests
+        const processedAt = ctx.stub.getDateTimestamp().toISOString();
+        let courses = {};
+        for (const id of validation.ValidateRequestIds(ids)) {
+            let request = await registrations.ReadRequest(ctx, id, [PENDING_STATUS, WAITLISTED_STATUS]);
+            schools.CheckMember(ctx, request);
+
+            // remove request from the course waitlist (moving the roster of a course created before the roster links)
+            if (request.Status === WAITLISTED_STATUS) {
+                if (!courses[request.Course]) {
+                    courses[request.Course] = await helper.ReadAsset(ctx, request.Course);
+                    await registrations.MigrateRoster(ctx, courses[request.Course]);
+                }
+                await registrations.RemoveFromWaitlist(ctx, courses[request.Course], request);
+            }
+
+            // update request
+            request.Status = REJECTED_STATUS;
+            request.Comment = comment;
+            request.ProcessedBy = userId;
+            request.ProcessedAt = processedAt;
+            logger.info(`Rejecting registration request: ${JSON.stringify(request)}`);
+            await ctx.stub.putState(request.ID, Buffer.from(JSON.stringify(request)));
+        }
+    }
+
+    /**
+     * Assign a staff member to a course (co-lecturer or lab assistant), or change the permissions of a member
+     * Permissions: view (course and grades), gradeLabo (grade Labo assessments only), gradeAll (grade all assessments)
+     * and manageRoster (register and unregister students)
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} courseId id of the course
+     * @param {*} memberId id of the staff member (a teacher)
+     * @param {*} permissions the permissions as JSON array (e.g. ["view", "gradeLabo"])
+     */
+    async AssignStaff(ctx, courseId, memberId, permissions) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        if (role !== SECRETARIAT_ROLE) {
+            throw new Error('Only secretariat users can assign course staff');
+        }
+
+        // get current course
+        let course = await helper.ReadAsset(ctx, courseId);
+        schools.CheckMember(ctx, course);
+
+        // check if course is finalized
+        if (lifecycle.IsFinalized(course)) {
+            throw new Error('Staff cannot be assigned to finalized courses');
+        }
+
+        // check if member is the course teacher
+        if (course.Teacher === memberId) {
+            throw new Error(`The teacher '${memberId}' already has all permissions for the course`);
+        }
+
+        // check permissions
+        const parsedPermissions = validation.ValidateStaffPermissions(permissions);
+
+        logger.info(`Assigning staff member '${memberId}' to course '${courseId}'`);
+
+        // move the roster of a course created before the roster links (if any)
+        await registrations.MigrateRoster(ctx, course);
+
+        // update course
+        const updatedCourse = helper.ApplyCourseChanges(course, { Staff: staff.AssignMember(course, memberId, parsedPermissions) });
+        logger.info(`Updating course: ${JSON.stringify(updatedCourse)}`);
+        await ctx.stub.putState(courseId, Buffer.from(JSON.stringify(updatedCourse)));
+
+        // add staff to course links (also of the teacher, for a course created before the links)
+        await staff.AddCourseLinks(ctx, updatedCourse);
+    }
+
+    /**
+     * Revoke a staff member from a course
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} courseId id of the course
+     * @param {*} memberId id of the staff member
+     */
+    async RevokeStaff(ctx, courseId, memberId) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        if (role !== SECRETARIAT_ROLE) {
+            throw new Error('Only secretariat users can revoke course staff');
+        }
+
+        // get current course
+        let course = await helper.ReadAsset(ctx, courseId);
+        schools.CheckMember(ctx, course);
+
+        // check if member is part of the course staff
+        const members = course.Staff || [];
+        if (!members.some(m => m.Member === memberId)) {
+            throw new Error(`The teacher '${memberId}' is not a staff member of the course`);
+        }
+
+        logger.info(`Revoking staff member '${memberId}' from course '${courseId}'`);
+
+        // move the roster of a course created before the roster links (if any)
+        await registrations.MigrateRoster(ctx, course);
+
+        // update course
+        const updatedCourse = helper.ApplyCourseChanges(course, { Staff: members.filter(m => m.Member !== memberId) });
+        logger.info(`Updating course: ${JSON.stringify(updatedCourse)}`);
+        await ctx.stub.putState(courseId, Buffer.from(JSON.stringify(updatedCourse)));
+
+        // remove staff to course link
+        await staff.DeleteCourseLink(ctx, memberId, courseId);
+    }
+
+    /**
+     * List all study programs
+     * The enrolled students are only returned to secretariat users
+     *
+     * @async
+     * @param {Context} ctx context
+     * @returns {Promise<Object[]>} a list of programs
+     */
+    async ListPrograms(ctx) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+
+        // get programs of the school of the caller
+        let results = await helper.QueryAssetsByDocType(ctx, PROGRAM_TYPE);
+        let list = schools.FilterMembers(ctx, results.map(r => r.Record));
+        if (role !== SECRETARIAT_ROLE) {
+            list = list.map(p => Object.assign({}, p, { Students: undefined }));
+        }
+
+        logger.info(`Returning programs: ${JSON.stringify(list)}`);
+        return list;
+    }
+
+    /**
+     * Return a specific study program
+     * The enrolled students are only returned to secretariat users
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} id the id of the program to return
+     * @returns {Promise<Object>} a program
+     */
+    async GetProgram(ctx, id) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+
+        // get program
+        let program = await helper.ReadAsset(ctx, id);
+        if (program.docType !== PROGRAM_TYPE) {
+            throw new Error(`The asset '${id}' is not a program`);
+        }
+        schools.CheckMember(ctx, program);
+        if (role !== SECRETARIAT_ROLE) {
+            delete program.Students;
+        }
+
+        return program;
+    }
+
+    /**
+     * Add a new study program
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} code code of the program (e.g. BINF, its id is prefixed with the school, e.g. Org1MSP_BINF)
+     * @param {*} name name of the program (e.g. Bachelor Informatique)
+     * @param {*} credits number of ECTS credits required to complete the program
+     * @param {*} courses courses as JSON string (e.g. [{"Acronym": "MLG", "Credits": 5, "Required": true}])
+     */
+    async AddProgram(ctx, code, name, credits, courses) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        if (role !== SECRETARIAT_ROLE) {
+            throw new Error('Only secretariat users can add programs');
+        }
+
+        // generate program id
+        const id = schools.BuildId(ctx, code);
+
+        // check if program already exist
+        const exists = await helper.AssetExists(ctx, id);
+        if (exists) {
+            throw new Error(`The program '${id}' exists already`);
+        }
+
+        // check program
+        const parsed = validation.ValidateProgram(name, credits, courses);
+
+        // add program
+        const program = {
+            ID: id,
+            docType: PROGRAM_TYPE,
+            Org: schools.GetCallerSchool(ctx),
+            Name: parsed.Name,
+            Credits: parsed.Credits,
+            Courses: parsed.Courses,
+            Students: []
+        };
+        logger.info(`Adding program: ${JSON.stringify(program)}`);
+        await ctx.stub.putState(program.ID, Buffer.from(JSON.stringify(program)));
+    }
+
+    /**
+     * Update the name, credits and courses of a study program
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} id id of the program
+     * @param {*} name name of the program
+     * @param {*} credits number of ECTS credits required to complete the program
+     * @param {*} courses courses as JSON string (e.g. [{"Acronym": "MLG", "Credits": 5, "Required": true}])
+     */
+    async UpdateProgram(ctx, id, name, credits, courses) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        if (role !== SECRETARIAT_ROLE) {
+            throw new Error('Only secretariat users can update programs');
+        }
+
+        // get current program
+        let program = await this.GetProgram(ctx, id);
+
+        // check program
+        const parsed = validation.ValidateProgram(name, credits, courses);
+
+        // update program
+        const updatedProgram = {
             ID: id,
-            docType: COURSE_TYPE,
-            Acronym: course.Acronym,
-            Year: course.Year,
-            Name: course.Name,
-            Teacher: course.Teacher,
-            Students: course.Students,
-            Active: true,
-        }
-        logger.info(`Enabling course: ${JSON.stringify(updatedCourse)}`);
-        await ctx.stub.putState(id, Buffer.from(JSON.stringify(updatedCourse)));
+            docType: PROGRAM_TYPE,
+            Org: schools.GetSchool(program),
+            Name: parsed.Name,
+            Credits: parsed.Credits,
+            Courses: parsed.Courses,
+            Students: program.Students
+        };
+        logger.info(`Updating program: ${JSON.stringify(updatedProgram)}`);
+        await ctx.stub.putState(id, Buffer.from(JSON.stringify(updatedProgram)));
     }
 
     /**
-     * Disables a course
+     * Enroll a student in a study program (a student is enrolled in one program at a time)
      *
      * @async
      * @param {Context} ctx context
-     * @param {*} id id of the course to enable
+     * @param {*} programId id of the program
+     * @param {*} studentId id of the student to enroll
      */
-    async DisableCourse(ctx, id) {
+    async EnrollStudent(ctx, programId, studentId) {
 
         // check role
         const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
         if (role !== SECRETARIAT_ROLE) {
-            throw new Error('Only secretariat users can disable courses');
+            throw new Error('Only secretariat users can enroll students');
         }
 
-        // get current course
-        let course = await helper.ReadAsset(ctx, id);
+        // get current program
+        let program = await this.GetProgram(ctx, programId);
 
-        // update course
-        const updatedCourse = {
-            ID: id,
-            docType: COURSE_TYPE,
-            Acronym: course.Acronym,
-            Year: course.Year,
-            Name: course.Name,
-            Teacher: course.Teacher,
-            Students: course.Students,
-            Active: false,
-        }
-        logger.info(`Disabling course: ${JSON.stringify(updatedCourse)}`);
-        await ctx.stub.putState(id, Buffer.from(JSON.stringify(updatedCourse)));
+        // check if student is enrolled
+        const currentProgramId = await programs.GetStudentProgramId(ctx, studentId);
+        if (currentProgramId) {
+            throw new Error(`The student '${studentId}' is already enrolled in the program '${currentProgramId}'`);
+        }
+
+        logger.info(`Enrolling student '${studentId}' in program '${programId}'`);
+
+        // update program
+        program.Students.push(studentId);
+        await ctx.stub.putState(programId, Buffer.from(JSON.stringify(program)));
+
+        // add student to program link
+        const compositeKey = await ctx.stub.createCompositeKey(STUDENT_PROGRAM_KEY, [studentId, programId]);
+        logger.info(`Adding composite key: ${compositeKey}`);
+        await ctx.stub.putState(compositeKey, Buffer.from('\u0000'));
     }
 
     /**
-     * Register a student for a course
+     * Unenroll a student from a study program
      *
      * @async
      * @param {Context} ctx context
-     * @param {*} courseId id of the course
-     * @param {*} studentId id of the student to register
+     * @param {*} programId id of the program
+     * @param {*} studentId id of the student to unenroll
      */
-    async RegisterStudent(ctx, courseId, studentId) {
+    async UnenrollStudent(ctx, programId, studentId) {
 
         // check role
         const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
         if (role !== SECRETARIAT_ROLE) {
-            throw new Error('Only secretariat users can register students');
+            throw new Error('Only secretariat users can unenroll students');
         }
 
-        // get current course
-        let course = await helper.ReadAsset(ctx, courseId);
+        // get current program
+        let program = await this.GetProgram(ctx, programId);
 
-        // check if student is registered
-        if (course.Students.indexOf(studentId) !== -1) {
-            throw new Error(`The student '${studentId}' is already registered`);
+        // check if student is enrolled
+        if (program.Students.indexOf(studentId) === -1) {
+            throw new Error(`The student '${studentId}' is not enrolled in the program '${programId}'`);
         }
 
-        logger.info(`Registering student '${studentId}' for course '${courseId}'`);
+        logger.info(`Unenrolling student '${studentId}' from program '${programId}'`);
 
-        // update course
-        let students = course.Students.slice();
-        students.push(studentId);
-        const updatedCourse = {
-            ID: courseId,
-            docType: COURSE_TYPE,
-            Acronym: course.Acronym,
-            Year: course.Year,
-            Name: course.Name,
-            Teacher: course.Teacher,
-            Students: students,
-            Active: course.Active,
+        // update program
+        program.Students = program.Students.filter(s => s !== studentId);
+        await ctx.stub.putState(programId, Buffer.from(JSON.stringify(program)));
+
+        // delete student to program link
+        const compositeKey = await ctx.stub.createCompositeKey(STUDENT_PROGRAM_KEY, [studentId, programId]);
+        logger.info(`Removing composite key: ${compositeKey}`);
+        await helper.DeleteAsset(ctx, compositeKey);
+    }
+
+    /**
+     * Compute the degree progress of a student in the program the student is enrolled in
+     * Credits are earned with the passed finalized course results of the program courses
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} studentId id of the student
+     * @returns {Promise<Object>} the progress (program, courses, earned credits, missing required courses and completion percentage),
+     * with a null program if the student is not enrolled
+     */
+    async GetDegreeProgress(ctx, studentId) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        if (role === STUDENT_ROLE && studentId !== userId) {
+            throw new Error('You are not allowed to access the progress of other students');
+        }
+        else if (role !== STUDENT_ROLE && role !== SECRETARIAT_ROLE) {
+            throw new Error('Only students and secretariat users can access degree progress');
         }
-        logger.info(`Updating course: ${JSON.stringify(updatedCourse)}`);
-        await ctx.stub.putState(courseId, Buffer.from(JSON.stringify(updatedCourse)));
 
-        // add student to course link
-        const compositeKey = await ctx.stub.createCompositeKey(STUDENT_COURSE_KEY, [studentId, courseId]);
-        logger.info(`Adding composite key: ${compositeKey}`);
-		await ctx.stub.putState(compositeKey, Buffer.from('\u0000'));
+        // get program
+        const programId = await programs.GetStudentProgramId(ctx, studentId);
+        if (!programId) {
+            return { Student: studentId, Program: null };
+        }
+        let program = await helper.ReadAsset(ctx, programId);
+        schools.CheckMember(ctx, program);
+
+        // compute progress
+        let progress = await programs.GetProgress(ctx, program, studentId);
+
+        logger.info(`Returning degree progress: ${JSON.stringify(progress)}`);
+        return progress;
     }
 
     /**
-     * Unregister a student from a course
+     * List the students eligible for a diploma: enrolled students who completed their program
+     * and have no valid diploma for it yet
      *
      * @async
      * @param {Context} ctx context
-     * @param {*} courseId id of the course
-     * @param {*} studentId id of the student to unregister
+     * @returns {Promise<Object[]>} a list of eligible students (student, program, earned credits, GPA and honours)
      */
-    async UnregisterStudent(ctx, courseId, studentId) {
+    async ListDiplomaEligibleStudents(ctx) {
 
         // check role
         const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
         if (role !== SECRETARIAT_ROLE) {
-            throw new Error('Only secretariat users can unregister students');
+            throw new Error('Only secretariat users can list the students eligible for a diploma');
         }
 
-        // get current course
-        let course = await helper.ReadAsset(ctx, courseId);
+        let eligible = [];
+        let results = await helper.QueryAssetsByDocType(ctx, PROGRAM_TYPE);
+        for (const program of schools.FilterMembers(ctx, results.map(r => r.Record))) {
+            for (const studentId of program.Students) {
 
-        // check if student is registered
-        if (course.Students.indexOf(studentId) === -1) {
-            throw new Error(`The student '${studentId}' is not registered`);
+                // check progress
+                const progress = await programs.GetProgress(ctx, program, studentId);
+                if (!diplomas.IsCompleted(progress)) {
+                    continue;
+                }
+
+                // check existing diplomas
+                const studentDiplomas = await helper.QueryDiplomasByStudent(ctx, studentId);
+                if (studentDiplomas.some(d => d.Program === program.ID && !d.Revoked)) {
+                    continue;
+                }
+
+                const gpa = diplomas.ComputeGPA(progress);
+                eligible.push({
+                    Student: studentId,
+                    Program: program.ID,
+                    ProgramName: program.Name,
+                    EarnedCredits: progress.EarnedCredits,
+                    GPA: gpa,
+                    Honours: diplomas.GetHonours(gpa)
+                });
+            }
         }
 
-        logger.info(`Unregistering student '${studentId}' from course '${courseId}'`);
+        logger.info(`Returning eligible students: ${JSON.stringify(eligible)}`);
+        return eligible;
+    }
 
-        // update course
-        let students = course.Students.filter(s => s !== studentId);
-        const updatedCourse = {
-            ID: courseId,
-            docType: COURSE_TYPE,
-            Acronym: course.Acronym,
-            Year: course.Year,
-            Name: course.Name,
-            Teacher: course.Teacher,
-            Students: students,
-            Active: course.Active,
+    /**
+     * List the diplomas of a student (including revoked diplomas)
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} studentId id of the student
+     * @returns {Promise<Object[]>} a list of diplomas
+     */
+    async ListDiplomas(ctx, studentId) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        if (role === STUDENT_ROLE && studentId !== userId) {
+            throw new Error('You are not allowed to access the diplomas of other students');
+        }
+        else if (role !== STUDENT_ROLE && role !== SECRETARIAT_ROLE) {
+            throw new Error('Only students and secretariat users can list diplomas');
         }
-        logger.info(`Updating course: ${JSON.stringify(updatedCourse)}`);
-        await ctx.stub.putState(courseId, Buffer.from(JSON.stringify(updatedCourse)));
 
-        // delete student to course link
-        const compositeKey = await ctx.stub.createCompositeKey(STUDENT_COURSE_KEY, [studentId, courseId]);
-        logger.info(`Removing composite key: ${compositeKey}`);
-		await helper.DeleteAsset(ctx, compositeKey);
+        return await helper.QueryDiplomasByStudent(ctx, studentId);
+    }
+
+    /**
+     * Return a diploma, with its validity (not revoked and content matching its hash)
+     * Diplomas can be checked by verifiers, students only get their own diplomas
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} id the id of the diploma (hash of its content)
+     * @returns {Promise<Object>} the diploma, with a Valid flag
+     */
+    async GetDiploma(ctx, id) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        if (role === TEACHER_ROLE) {
+            throw new Error('Teachers are not allowed to access diplomas');
+        }
+
+        // get diploma
+        let diploma = await helper.ReadAsset(ctx, id);
+        if (diploma.docType !== DIPLOMA_TYPE) {
+            throw new Error(`The asset '${id}' is not a diploma`);
+        }
+        if (role === STUDENT_ROLE && diploma.Student !== userId) {
+            throw new Error('You are not allowed to access the diplomas of other students');
+        }
+
+        diploma.Valid = !diploma.Revoked && diplomas.HashDiploma(diploma) === id;
+        return diploma;
+    }
+
+    /**
+     * Issue the diploma of a student who completed the program the student is enrolled in
+     * The diploma is stored under the hash of its content and signed by the issuing organization
+     * (the MSP of the issuer, whose peers endorse the transaction)
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} studentId id of the student
+     * @returns {Promise<Object>} the diploma
+     */
+    async IssueDiploma(ctx, studentId) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        if (role !== SECRETARIAT_ROLE) {
+            throw new Error('Only secretariat users can issue diplomas');
+        }
+
+        // get program
+        const programId = await programs.GetStudentProgramId(ctx, studentId);
+        if (!programId) {
+            throw new Error(`The student '${studentId}' is not enrolled in a program`);
+        }
+        let program = await helper.ReadAsset(ctx, programId);
+        schools.CheckMember(ctx, program);
+
+        // check progress
+        const progress = await programs.GetProgress(ctx, program, studentId);
+        if (!diplomas.IsCompleted(progress)) {
+            throw new Error(`The student '${studentId}' has not completed the program '${programId}'`);
+        }
+
+        // check existing diplomas
+        const studentDiplomas = await helper.QueryDiplomasByStudent(ctx, studentId);
+        if (studentDiplomas.some(d => d.Program === programId && !d.Revoked)) {
+            throw new Error(`The student '${studentId}' already has a diploma for the program '${programId}'`);
+        }
+
+        // add diploma
+        const gpa = diplomas.ComputeGPA(progress);
+        let diploma = {
+            docType: DIPLOMA_TYPE,
+            Student: studentId,
+            Program: programId,
+            ProgramName: program.Name,
+            IssuedAt: ctx.stub.getDateTimestamp().toISOString(),
+            GPA: gpa,
+            Honours: diplomas.GetHonours(gpa),
+            IssuerMSP: schools.GetCallerSchool(ctx),
+            IssuedBy: userId,
+            TxId: ctx.stub.getTxID(),
+            Revoked: false
+        };
+        diploma = Object.assign({ ID: diplomas.HashDiploma(diploma) }, diploma);
+        logger.info(`Adding diploma: ${JSON.stringify(diploma)}`);
+        await ctx.stub.putState(diploma.ID, Buffer.from(JSON.stringify(diploma)));
+
+        return diploma;
+    }
+
+    /**
+     * Revoke a diploma (the diploma is kept on the ledger, with the reason of the revocation)
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} id the id of the diploma
+     * @param {*} reason the reason of the revocation
+     */
+    async RevokeDiploma(ctx, id, reason) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        if (role !== SECRETARIAT_ROLE) {
+            throw new Error('Only secretariat users can revoke diplomas');
+        }
+
+        // check reason
+        if (!reason || reason.trim().length === 0) {
+            throw new Error('A reason is required to revoke a diploma');
+        }
+
+        // get diploma
+        let diploma = await helper.ReadAsset(ctx, id);
+        if (diploma.docType !== DIPLOMA_TYPE) {
+            throw new Error(`The asset '${id}' is not a diploma`);
+        }
+        if (diploma.IssuerMSP !== schools.GetCallerSchool(ctx)) {
+            throw new Error('You are only allowed to revoke the diplomas issued by your school');
+        }
+        if (diploma.Revoked) {
+            throw new Error(`The diploma '${id}' is already revoked`);
+        }
+
+        // update diploma
+        diploma.Revoked = true;
+        diploma.RevocationReason = reason.trim();
+        diploma.RevokedBy = userId;
+        diploma.RevokedAt = ctx.stub.getDateTimestamp().toISOString();
+        diploma.RevocationTxId = ctx.stub.getTxID();
+        logger.info(`Revoking diploma: ${JSON.stringify(diploma)}`);
+        await ctx.stub.putState(id, Buffer.from(JSON.stringify(diploma)));
+    }
+
+    /**
+     * List credit transfer requests
+     * The requests returned depend on the identity of the caller: the secretariat gets the requests
+     * involving its school (as school of the student or of the course) and students their own requests
+     *
+     * @async
+     * @param {Context} ctx context
+     * @returns {Promise<Object[]>} a list of credit transfer requests
+     */
+    async ListCreditTransfers(ctx) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        logger.info(`Listing credit transfer requests for user: ${userId}`);
+
+        let requests = [];
+        if (role === SECRETARIAT_ROLE) {
+            // return the requests involving the school
+            requests = await helper.QueryCreditTransfersBySchool(ctx, schools.GetCallerSchool(ctx));
+        }
+        else if (role === STUDENT_ROLE) {
+            // return only requests submitted by the calling student to the school
+            requests = schools.FilterMembers(ctx, await helper.QueryCreditTransfersByStudent(ctx, userId));
+        }
+        else {
+            throw new Error('Only students and secretariat users can list credit transfer requests');
+        }
+
+        logger.info(`Returning credit transfer requests: ${JSON.stringify(requests)}`);
+        return requests;
+    }
+
+    /**
+     * Ask the school of the calling student to recognize a course passed in another school
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} id request id
+     * @param {*} sourceSchool MSP id of the school of the course (e.g. Org2MSP)
+     * @param {*} sourceCourseId id of the course in the other school
+     * @param {*} acronym acronym of the course to recognize in the school of the student
+     */
+    async RequestCreditTransfer(ctx, id, sourceSchool, sourceCourseId, acronym) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        if (role !== STUDENT_ROLE) {
+            throw new Error('Only students can request a credit transfer');
+        }
+
+        // check if request already exist
+        const exists = await helper.AssetExists(ctx, id);
+        if (exists) {
+            throw new Error(`The credit transfer request '${id}' exists already`);
+        }
+
+        // check schools and courses
+        const school = schools.GetCallerSchool(ctx);
+        if (!sourceSchool || sourceSchool === school) {
+            throw new Error('Credits can only be transferred from another school');
+        }
+        if (!sourceCourseId || !acronym || acronym.trim().length === 0) {
+            throw new Error('The course of the other school and the acronym of the recognized course are required');
+        }
+
+        // check if the student has an open request for the course
+        let requests = await helper.QueryCreditTransfersByStudent(ctx, userId);
+        if (requests.some(r => r.Org === school && r.SourceCourse === sourceCourseId && (r.Status === PENDING_STATUS || r.Status === CONFIRMED_STATUS))) {
+            throw new Error('You already have an open credit transfer request for this course');
+        }
+
+        // add request
+        const request = {
+            ID: id,
+            docType: CREDIT_TRANSFER_TYPE,
+            Org: school,
+            Student: userId,
+            SourceOrg: sourceSchool,
+            SourceCourse: sourceCourseId,
+            Acronym: acronym.trim(),
+            Status: PENDING_STATUS,
+            RequestedAt: ctx.stub.getDateTimestamp().toISOString()
+        };
+        logger.info(`Adding credit transfer request: ${JSON.stringify(request)}`);
+        await ctx.stub.putState(request.ID, Buffer.from(JSON.stringify(request)));
+    }
+
+    /**
+     * Confirm the result of a credit transfer request (first approval, by the school of the course)
+     * Only passed courses can be transferred
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} id request id
+     */
+    async ConfirmCreditTransfer(ctx, id) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        if (role !== SECRETARIAT_ROLE) {
+            throw new Error('Only secretariat users can confirm credit transfers');
+        }
+
+        // get request
+        let request = await transfers.ReadTransfer(ctx, id, [PENDING_STATUS]);
+        if (request.SourceOrg !== schools.GetCallerSchool(ctx)) {
+            throw new Error('Only the school of the course can confirm a credit transfer');
+        }
+
+        // get the finalized result of the student
+        const resultId = request.SourceCourse + '_' + request.Student;
+        const exists = await helper.AssetExists(ctx, resultId);
+        if (!exists) {
+            throw new Error(`The student '${request.Student}' has no finalized result for the course '${request.SourceCourse}'`);
+        }
+        let result = await helper.ReadAsset(ctx, resultId);
+        schools.CheckMember(ctx, result);
+        if (!result.Passed) {
+            throw new Error(`The student '${request.Student}' did not pass the course '${request.SourceCourse}'`);
+        }
+
+        // update request
+        request.Status = CONFIRMED_STATUS;
+        request.Result = transfers.GetConfirmedResult(result);
+        request.ConfirmedBy = userId;
+        request.ConfirmedAt = ctx.stub.getDateTimestamp().toISOString();
+        logger.info(`Confirming credit transfer request: ${JSON.stringify(request)}`);
+        await ctx.stub.putState(id, Buffer.from(JSON.stringify(request)));
+    }
+
+    /**
+     * Approve a confirmed credit transfer request (second approval, by the school of the student)
+     * The confirmed result is added to the results of the student, under the acronym of the recognized course
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} id request id
+     * @param {*} comment comment of the secretariat
+     */
+    async ApproveCreditTransfer(ctx, id, comment) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        if (role !== SECRETARIAT_ROLE) {
+            throw new Error('Only secretariat users can approve credit transfers');
+        }
+
+        // get request
+        let request = await transfers.ReadTransfer(ctx, id, [PENDING_STATUS, CONFIRMED_STATUS]);
+        if (request.Org !== schools.GetCallerSchool(ctx)) {
+            throw new Error('Only the school of the student can approve a credit transfer');
+        }
+        if (request.Status !== CONFIRMED_STATUS) {
+            throw new Error(`The credit transfer request '${id}' must first be confirmed by the school of the course`);
+        }
+
+        // add transferred result
+        const result = transfers.BuildTransferredResult(ctx, request);
+        const exists = await helper.AssetExists(ctx, result.ID);
+        if (exists) {
+            throw new Error(`The result '${result.ID}' exists already`);
+        }
+        logger.info(`Adding result: ${JSON.stringify(result)}`);
+        await ctx.stub.putState(result.ID, Buffer.from(JSON.stringify(result)));
+
+        // protect result with its key-level endorsement policy
+        await endorsement.ProtectResult(ctx, result);
+        events.EmitResultEvent(ctx, result.Org, [result], null);
+
+        // update request
+        request.Status = APPROVED_STATUS;
+        request.Comment = comment;
+        request.ProcessedBy = userId;
+        request.ProcessedAt = ctx.stub.getDateTimestamp().toISOString();
+        logger.info(`Approving credit transfer request: ${JSON.stringify(request)}`);
+        await ctx.stub.putState(id, Buffer.from(JSON.stringify(request)));
     }
 
     /**
-     * chaincode initialization with sample data
+     * Reject a credit transfer request
+     * The school of the course can reject pending requests, the school of the student pending and confirmed requests
+     *
+     * @async
+     * @param {Context} ctx context
+     * @param {*} id request id
+     * @param {*} comment reason of the rejection
+     */
+    async RejectCreditTransfer(ctx, id, comment) {
+
+        // check role
+        const role = ctx.clientIdentity.getAttributeValue(ROLE_ATTRIBUTE);
+        const userId = ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE);
+        if (role !== SECRETARIAT_ROLE) {
+            throw new Error('Only secretariat users can reject credit transfers');
+        }
+
+        // get request
+        const school = schools.GetCallerSchool(ctx);
+        let request = await transfers.ReadTransfer(ctx, id, [PENDING_STATUS, CONFIRMED_STATUS]);
+        if (request.Org !== school && request.SourceOrg !== school) {
+            throw new Error('Only the schools of the student and of the course can reject a credit transfer');
+        }
+        if (request.Org !== school && request.Status !== PENDING_STATUS) {
+            throw new Error(`The credit transfer request '${id}' has already been ${request.Status}`);
+        }
+
+        // update request
+        request.Status = REJECTED_STATUS;
+        request.Comment = comment;
+        request.ProcessedBy = userId;
+        request.ProcessedAt = ctx.stub.getDateTimestamp().toISOString();
+        request.RejectedBy = school;
+        logger.info(`Rejecting credit transfer request: ${JSON.stringify(request)}`);
+        await ctx.stub.putState(id, Buffer.from(JSON.stringify(request)));
+    }
+
+    /**
+     * chaincode initialization with sample data, owned by the school of the caller
+     * The salts of the sample grades are derived from a random secret passed as 'salt' transient data
      *
      * @async
      * @param {Context} ctx context
@@ -520,28 +3215,72 @@ class PrototypeContract extends Contract {
         // sample courses initialization
         for (const course of SAMPLE_COURSES) {
 
-            // add course
-            course.docType = COURSE_TYPE;
-            await ctx.stub.putState(course.ID, Buffer.from(JSON.stringify(course)));
+            // add course (the roster is stored as links)
+            const exists = await helper.AssetExists(ctx, course.ID);
+            let asset = Object.assign({}, course);
+            delete asset.Students;
+            asset.docType = COURSE_TYPE;
+            asset.Org = schools.GetCallerSchool(ctx);
+            await ctx.stub.putState(course.ID, Buffer.from(JSON.stringify(asset)));
 
-            // add student to course links
+            // add student to course and course to student links and registration counter
             for (const studentId of course.Students) {
-                let compositeKey = await ctx.stub.createCompositeKey(STUDENT_COURSE_KEY, [studentId, course.ID]);
-                await ctx.stub.putState(compositeKey, Buffer.from('\u0000'));
+                await registrations.AddStudentLinks(ctx, studentId, course.ID);
+            }
+            await registrations.PutCounter(ctx, asset, course.Students);
+
+            // add staff to course links and count course (if not initialized before)
+            await staff.AddCourseLinks(ctx, asset);
+            if (!exists) {
+                await helper.AddCourseCount(ctx, asset.Org, 1);
             }
 
             logger.info(`Course '${course.ID}' initialized`);
         }
 
+        // sample assessments initialization
+        for (const assessment of SAMPLE_ASSESSMENTS) {
+
+            // add assessment
+            assessment.docType = ASSESSMENT_TYPE;
+            await ctx.stub.putState(assessment.ID, Buffer.from(JSON.stringify(assessment)));
+
+            logger.info(`Assessment '${assessment.ID}' initialized`);
+        }
+
         // sample grades initialization
-        for (const grade of SAMPLE_GRADES) {
+        for (const sample of SAMPLE_GRADES) {
+
+            // add private value (salted with the secret of the client, the transaction id would be public)
+            let grade = Object.assign({}, sample);
+            delete grade.Value;
+            const data = { Value: sample.Value, Comment: '', Salt: privateGrades.DeriveTransientSalt(ctx, grade.ID) };
+            grade.Hash = await privateGrades.PutGradeData(ctx, schools.GetCallerSchool(ctx), grade.ID, data);
 
             // add grade
             grade.docType = GRADE_TYPE;
+            grade.Org = schools.GetCallerSchool(ctx);
             await ctx.stub.putState(grade.ID, Buffer.from(JSON.stringify(grade)));
 
             logger.info(`Grade '${grade.ID}' initialized`);
         }
+
+        // sample programs initialization
+        for (const program of SAMPLE_PROGRAMS) {
+
+            // add program
+            program.docType = PROGRAM_TYPE;
+            program.Org = schools.GetCallerSchool(ctx);
+            await ctx.stub.putState(program.ID, Buffer.from(JSON.stringify(program)));
+
+            // add student to program links
+            for (const studentId of program.Students) {
+                let compositeKey = await ctx.stub.createCompositeKey(STUDENT_PROGRAM_KEY, [studentId, program.ID]);
+                await ctx.stub.putState(compositeKey, Buffer.from('\u0000'));
+            }
+
+            logger.info(`Program '${program.ID}' initialized`);
+        }
     }
 }
 
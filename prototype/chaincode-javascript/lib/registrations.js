@@ -0,0 +1,440 @@
+'use strict';
+
+const crypto = require('crypto');
+const { STUDENT_COURSE_KEY, COURSE_STUDENT_KEY, COURSE_WAITLIST_KEY, COURSE_SHARD_KEY, REGISTRATION_SHARDS, APPROVED_STATUS, REGISTRATION_REQUEST_TYPE } = require('./constants');
+const helper = require('./helper');
+
+/**
+ * chaincode course registration methods (roster, capacity and waitlist)
+ * these methods are not exposed in the contract
+ *
+ * The roster of a course is stored as composite keys in both directions (student~course and course~student),
+ * so that registrations do not update the course asset. The waitlisted registration requests of a course are stored
+ * as course~waitlist composite keys, ordered by the time they were waitlisted. Courses created before keep a Students
+ * (and Waitlist) array until their roster is migrated.
+ *
+ * The number of registered students and the capacity of a course are split over REGISTRATION_SHARDS counter keys
+ * (course~shard), each with its own share of the capacity: a registration only reads and updates the shard of the
+ * student (or the next shards when it is full), so the capacity is checked without reading the roster and concurrent
+ * registrations to a course only conflict when they use the same shard. The course~student link of a student
+ * records its shard.
+ */
+
+/**
+ * Get a registration request and check its status
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {string} id the id of the request
+ * @param {string[]} statuses the expected statuses
+ * @returns {Promise<Object>} the registration request
+ */
+exports.ReadRequest = async (ctx, id, statuses) => {
+    let request = await helper.ReadAsset(ctx, id);
+    if (request.docType !== REGISTRATION_REQUEST_TYPE) {
+        throw new Error(`The asset '${id}' is not a registration request`);
+    }
+    if (statuses.indexOf(request.Status) === -1) {
+        throw new Error(`The registration request '${id}' has already been ${request.Status}`);
+    }
+    return request;
+};
+
+/**
+ * Get the students registered to a course
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {Object} course the course
+ * @returns {Promise<string[]>} the ids of the registered students
+ */
+exports.GetStudents = async (ctx, course) => {
+    if (Array.isArray(course.Students)) {
+        return course.Students.slice();
+    }
+    const assetKeys = await helper.GetAssetKeysByPartialKey(ctx, COURSE_STUDENT_KEY, [course.ID]);
+    return assetKeys.map(k => ctx.stub.splitCompositeKey(k).attributes[1]);
+};
+
+/**
+ * Check if a student is registered to a course
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {string} studentId the id of the student
+ * @param {string} courseId the id of the course
+ * @returns {Promise<boolean>} true if the student is registered
+ */
+exports.IsRegistered = async (ctx, studentId, courseId) => {
+    const compositeKey = await ctx.stub.createCompositeKey(STUDENT_COURSE_KEY, [studentId, courseId]);
+    return await helper.AssetExists(ctx, compositeKey);
+};
+
+/**
+ * Add the student to course and course to student links of a registered student
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {string} studentId the id of the student
+ * @param {string} courseId the id of the course
+ * @param {number} shard the counter shard of the student (optional, the default shard of the student otherwise)
+ */
+exports.AddStudentLinks = async (ctx, studentId, courseId, shard) => {
+    const studentKey = await ctx.stub.createCompositeKey(STUDENT_COURSE_KEY, [studentId, courseId]);
+    await ctx.stub.putState(studentKey, Buffer.from('\u0000'));
+    const courseKey = await ctx.stub.createCompositeKey(COURSE_STUDENT_KEY, [courseId, studentId]);
+    await ctx.stub.putState(courseKey, Buffer.from(shard === undefined ? '\u0000' : JSON.stringify({ Shard: shard })));
+};
+
+/**
+ * Remove the student to course and course to student links of an unregistered student
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {string} studentId the id of the student
+ * @param {string} courseId the id of the course
+ */
+exports.RemoveStudentLinks = async (ctx, studentId, courseId) => {
+    const studentKey = await ctx.stub.createCompositeKey(STUDENT_COURSE_KEY, [studentId, courseId]);
+    await ctx.stub.deleteState(studentKey);
+    const courseKey = await ctx.stub.createCompositeKey(COURSE_STUDENT_KEY, [courseId, studentId]);
+    await ctx.stub.deleteState(courseKey);
+};
+
+/**
+ * Get the default counter shard of a student (the first shard tried when the student is registered)
+ *
+ * @param {string} studentId the id of the student
+ * @returns {number} the shard index
+ */
+function DefaultShard(studentId) {
+    const hash = crypto.createHash('sha256').update(studentId).digest('hex');
+    return parseInt(hash.substring(0, 8), 16) % REGISTRATION_SHARDS;
+}
+
+/**
+ * Split the capacity of a course over counter shards
+ * Each shard gets at least its number of students, the remaining places are spread evenly, so that the total
+ * number of students can never exceed the capacity (null capacities if the course has no capacity)
+ *
+ * @param {Object[]} shards the shards, with their number of students (Count)
+ * @param {number} capacity the capacity of the course
+ */
+function SplitCapacity(shards, capacity) {
+    const remaining = capacity === undefined ? 0 : Math.max(0, capacity - shards.reduce((sum, s) => sum + s.Count, 0));
+    shards.forEach((s, i) => {
+        s.Capacity = capacity === undefined ? null : s.Count + Math.floor(remaining / shards.length) + (i < remaining % shards.length ? 1 : 0);
+    });
+}
+
+/**
+ * Store the counter shards of a course, built from its registered students (each in its default shard)
+ * Used for new courses and for the courses created before the counters
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {Object} course the course
+ * @param {string[]} students the students registered to the course
+ */
+exports.PutCounter = async (ctx, course, students) => {
+    let shards = [];
+    for (let i = 0; i < REGISTRATION_SHARDS; i++) {
+        shards.push({ Count: students.filter(s => DefaultShard(s) === i).length });
+    }
+    SplitCapacity(shards, course.Capacity);
+    for (let i = 0; i < REGISTRATION_SHARDS; i++) {
+        const shardKey = await ctx.stub.createCompositeKey(COURSE_SHARD_KEY, [course.ID, `${i}`]);
+        await ctx.stub.putState(shardKey, Buffer.from(JSON.stringify(shards[i])));
+    }
+};
+
+/**
+ * Check if the counter shards of a course are stored
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {Object} course the course
+ * @returns {Promise<boolean>} false for the courses created before the counters
+ */
+exports.HasCounter = async (ctx, course) => {
+    const shardKey = await ctx.stub.createCompositeKey(COURSE_SHARD_KEY, [course.ID, '0']);
+    return await helper.AssetExists(ctx, shardKey);
+};
+
+/**
+ * Get the registration counter of a course
+ * The shards are read when needed and kept up to date in the counter (the shards updated in a transaction
+ * cannot be read again), the same counter must be used for all the registrations to a course in a transaction
+ *
+ * @param {Object} course the course
+ * @returns {Object} the counter
+ */
+exports.GetCounter = (course) => {
+    return { Course: course, Shards: [], Stored: true };
+};
+
+/**
+ * Get a counter shard of a course
+ * The counter of a course created before the counters is built from its roster (and stored with its first change)
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {Object} counter the counter of the course
+ * @param {number} shard the shard index
+ * @returns {Promise<Object>} the number of students and the capacity of the shard
+ */
+async function ReadShard(ctx, counter, shard) {
+    if (!counter.Shards[shard]) {
+        const shardKey = await ctx.stub.createCompositeKey(COURSE_SHARD_KEY, [counter.Course.ID, `${shard}`]);
+        const shardJSON = await ctx.stub.getState(shardKey);
+        if (!shardJSON || shardJSON.length === 0) {
+            const students = await exports.GetStudents(ctx, counter.Course);
+            for (let i = 0; i < REGISTRATION_SHARDS; i++) {
+                counter.Shards[i] = { Count: students.filter(s => DefaultShard(s) === i).length };
+            }
+            SplitCapacity(counter.Shards, counter.Course.Capacity);
+            counter.Stored = false;
+        }
+        else {
+            counter.Shards[shard] = JSON.parse(shardJSON.toString());
+        }
+    }
+    return counter.Shards[shard];
+}
+
+/**
+ * Store a counter shard of a course (all shards if the counter was built from the roster)
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {Object} counter the counter of the course
+ * @param {number} shard the shard index
+ */
+async function PutShard(ctx, counter, shard) {
+    const shards = counter.Stored ? [shard] : counter.Shards.map((s, i) => i);
+    for (const i of shards) {
+        const shardKey = await ctx.stub.createCompositeKey(COURSE_SHARD_KEY, [counter.Course.ID, `${i}`]);
+        await ctx.stub.putState(shardKey, Buffer.from(JSON.stringify(counter.Shards[i])));
+    }
+    counter.Stored = true;
+}
+
+/**
+ * Count the students registered to a course (all shards are read)
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {Object} counter the counter of the course
+ * @returns {Promise<number>} the number of registered students
+ */
+exports.CountStudents = async (ctx, counter) => {
+    let count = 0;
+    for (let i = 0; i < REGISTRATION_SHARDS; i++) {
+        count += (await ReadShard(ctx, counter, i)).Count;
+    }
+    return count;
+};
+
+/**
+ * Register a student if the course has room: the student is counted in its default shard, or in the next shard
+ * with room, and the roster links are added
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {Object} counter the counter of the course
+ * @param {string} studentId the id of the student
+ * @returns {Promise<boolean>} false if the capacity of the course is reached
+ */
+exports.AddStudent = async (ctx, counter, studentId) => {
+    const first = DefaultShard(studentId);
+    for (let n = 0; n < REGISTRATION_SHARDS; n++) {
+        const shard = (first + n) % REGISTRATION_SHARDS;
+        let counts = await ReadShard(ctx, counter, shard);
+        if (counts.Capacity === null || counts.Count < counts.Capacity) {
+            counts.Count++;
+            await PutShard(ctx, counter, shard);
+            await exports.AddStudentLinks(ctx, studentId, counter.Course.ID, shard);
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * Unregister a student: the student is removed from its shard and the roster links are deleted
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {Object} counter the counter of the course
+ * @param {string} studentId the id of the student
+ */
+exports.RemoveStudent = async (ctx, counter, studentId) => {
+
+    // get the shard of the student (the links added before the counters use the default shard)
+    const courseKey = await ctx.stub.createCompositeKey(COURSE_STUDENT_KEY, [counter.Course.ID, studentId]);
+    const link = await ctx.stub.getState(courseKey);
+    const shard = link && link.length > 1 ? JSON.parse(link.toString()).Shard : DefaultShard(studentId);
+
+    let counts = await ReadShard(ctx, counter, shard);
+    counts.Count = Math.max(0, counts.Count - 1);
+    await PutShard(ctx, counter, shard);
+    await exports.RemoveStudentLinks(ctx, studentId, counter.Course.ID);
+};
+
+/**
+ * Set the capacity of a course in its counter (all shards are read and updated)
+ * The capacity must not be lower than the number of registered students
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {Object} counter the counter of the course
+ * @param {number} capacity the new capacity
+ */
+exports.SetCapacity = async (ctx, counter, capacity) => {
+    for (let i = 0; i < REGISTRATION_SHARDS; i++) {
+        await ReadShard(ctx, counter, i);
+    }
+    SplitCapacity(counter.Shards, capacity);
+    counter.Stored = false;
+    await PutShard(ctx, counter, 0);
+};
+
+/**
+ * Build the position of a request in a waitlist, ordered by the time of the transaction and the order of
+ * the requests in the transaction
+ *
+ * @param {number} time the time of the transaction in ms (0 for the requests waitlisted before the waitlist keys)
+ * @param {number} index the index of the request in the transaction (or in the Waitlist array of the course)
+ * @returns {string} the position, sorted as a string
+ */
+function WaitlistPosition(time, index) {
+    return `${time}`.padStart(15, '0') + '_' + `${index}`.padStart(6, '0');
+}
+
+/**
+ * Get the waitlist of a course, in order
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {Object} course the course
+ * @returns {Promise<Object[]>} the waitlist entries (position and id of the registration request)
+ */
+async function GetWaitlistEntries(ctx, course) {
+    if (Array.isArray(course.Waitlist)) {
+        return course.Waitlist.map((requestId, i) => ({ Position: WaitlistPosition(0, i), Request: requestId }));
+    }
+    const assetKeys = await helper.GetAssetKeysByPartialKey(ctx, COURSE_WAITLIST_KEY, [course.ID]);
+    return assetKeys.map(k => {
+        const { attributes } = ctx.stub.splitCompositeKey(k);
+        return { Position: attributes[1], Request: attributes[2] };
+    });
+}
+
+/**
+ * Get the waitlisted registration requests of a course, in order
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {Object} course the course
+ * @returns {Promise<string[]>} the ids of the waitlisted registration requests
+ */
+exports.GetWaitlist = async (ctx, course) => {
+    return (await GetWaitlistEntries(ctx, course)).map(e => e.Request);
+};
+
+/**
+ * Add a registration request at the end of the waitlist of its course
+ * The position is stored in the request (WaitlistPosition), the caller updates the request
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {Object} request the registration request
+ * @param {number} index the index of the request among the requests waitlisted in the transaction
+ */
+exports.AddToWaitlist = async (ctx, request, index) => {
+    request.WaitlistPosition = WaitlistPosition(ctx.stub.getDateTimestamp().getTime(), index);
+    const waitlistKey = await ctx.stub.createCompositeKey(COURSE_WAITLIST_KEY, [request.Course, request.WaitlistPosition, request.ID]);
+    await ctx.stub.putState(waitlistKey, Buffer.from('\u0000'));
+};
+
+/**
+ * Remove a registration request from the waitlist of its course
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {Object} course the course
+ * @param {Object} request the registration request
+ */
+exports.RemoveFromWaitlist = async (ctx, course, request) => {
+    let position = request.WaitlistPosition;
+    if (position === undefined) {
+        // waitlisted before the waitlist keys
+        const entry = (await GetWaitlistEntries(ctx, course)).find(e => e.Request === request.ID);
+        if (!entry) {
+            return;
+        }
+        position = entry.Position;
+    }
+    const waitlistKey = await ctx.stub.createCompositeKey(COURSE_WAITLIST_KEY, [course.ID, position, request.ID]);
+    await ctx.stub.deleteState(waitlistKey);
+};
+
+/**
+ * Move the Students and Waitlist arrays of a course created before the roster links and waitlist keys to the keys
+ * The course is updated without the arrays, the in-memory course is left unchanged (the new keys
+ * cannot be read in the same transaction)
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {Object} course the course
+ * @returns {Promise<boolean>} true if the roster was migrated, false if the course has no Students or Waitlist array
+ */
+exports.MigrateRoster = async (ctx, course) => {
+    if (!Array.isArray(course.Students) && !Array.isArray(course.Waitlist)) {
+        return false;
+    }
+    for (const studentId of course.Students || []) {
+        await exports.AddStudentLinks(ctx, studentId, course.ID);
+    }
+    if (Array.isArray(course.Waitlist)) {
+        for (const entry of await GetWaitlistEntries(ctx, course)) {
+            const waitlistKey = await ctx.stub.createCompositeKey(COURSE_WAITLIST_KEY, [course.ID, entry.Position, entry.Request]);
+            await ctx.stub.putState(waitlistKey, Buffer.from('\u0000'));
+        }
+    }
+    let migratedCourse = Object.assign({}, course);
+    delete migratedCourse.Students;
+    delete migratedCourse.Waitlist;
+    await ctx.stub.putState(course.ID, Buffer.from(JSON.stringify(migratedCourse)));
+    return true;
+};
+
+/**
+ * Promote the waitlisted registration requests of a course, in order, while the course has room
+ * The promoted requests are approved, removed from the waitlist and their students registered
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {Object} counter the counter of the course
+ * @returns {Promise<string[]>} the promoted students
+ */
+exports.PromoteWaitlist = async (ctx, counter) => {
+    let promoted = [];
+    for (const entry of await GetWaitlistEntries(ctx, counter.Course)) {
+
+        // register the student of the request (if the course has room)
+        let request = await helper.ReadAsset(ctx, entry.Request);
+        if (!(await exports.AddStudent(ctx, counter, request.Student))) {
+            break;
+        }
+        promoted.push(request.Student);
+
+        // approve request and remove it from the waitlist
+        const waitlistKey = await ctx.stub.createCompositeKey(COURSE_WAITLIST_KEY, [counter.Course.ID, entry.Position, entry.Request]);
+        await ctx.stub.deleteState(waitlistKey);
+        request.Status = APPROVED_STATUS;
+        request.PromotedAt = ctx.stub.getDateTimestamp().toISOString();
+        await ctx.stub.putState(request.ID, Buffer.from(JSON.stringify(request)));
+    }
+    return promoted;
+};
@@ -4,6 +4,40 @@
  * sample data to initialize the blockchain
  */
 
+/**
+ * grading schemes used by the sample courses
+ */
+const LABO_TEST_EXAM_SCHEME = {
+    MinValue: 1.0,
+    MaxValue: 6.0,
+    PassThreshold: 4.0,
+    Rounding: 0.5,
+    Types: [
+        { Type: 'Labo', Weight: 0.25 },
+        { Type: 'Test', Weight: 0.25 },
+        { Type: 'Exam', Weight: 0.5 }
+    ]
+};
+const LABO_TEST_SCHEME = {
+    MinValue: 1.0,
+    MaxValue: 6.0,
+    PassThreshold: 4.0,
+    Rounding: 0.5,
+    Types: [
+        { Type: 'Labo', Weight: 0.5 },
+        { Type: 'Test', Weight: 0.5 }
+    ]
+};
+const EXAM_SCHEME = {
+    MinValue: 1.0,
+    MaxValue: 6.0,
+    PassThreshold: 4.0,
+    Rounding: 0.1,
+    Types: [
+        { Type: 'Exam', Weight: 1.0 }
+    ]
+};
+
 /**
  * list of courses
  */
@@ -14,10 +48,15 @@ exports.SAMPLE_COURSES = [
         Year: 2018,
         Name: 'Machine Learning',
         Teacher: 'minnie.mouse@heig-vd.ch',
+        Staff: [],
         Students: [
             'amel.dussier@heig-vd.ch'
         ],
-        Active: false
+        Prerequisites: [],
+        Capacity: 30,
+        State: 'grading',
+        GradingScheme: LABO_TEST_EXAM_SCHEME,
+        StateHistory: []
     },
     {
         ID: 'MLG_2019',
@@ -25,11 +64,16 @@ exports.SAMPLE_COURSES = [
         Year: 2019,
         Name: 'Machine Learning',
         Teacher: 'minnie.mouse@heig-vd.ch',
+        Staff: [],
         Students: [
             'amel.dussier@heig-vd.ch',
             'elyas.dussier@heig-vd.ch'
         ],
-        Active: false
+        Prerequisites: [],
+        Capacity: 30,
+        State: 'grading',
+        GradingScheme: LABO_TEST_EXAM_SCHEME,
+        StateHistory: []
     },
     {
         ID: 'MLG_2020',
@@ -37,12 +81,17 @@ exports.SAMPLE_COURSES = [
         Year: 2020,
         Name: 'Machine Learning',
         Teacher: 'minnie.mouse@heig-vd.ch',
+        Staff: [],
         Students: [
             'amel.dussier@heig-vd.ch',
             'elyas.dussier@heig-vd.ch',
             'jade.dussier@heig-vd.ch'
         ],
-        Active: true
+        Prerequisites: [],
+        Capacity: 30,
+        State: 'running',
+        GradingScheme: LABO_TEST_EXAM_SCHEME,
+        StateHistory: []
     },
     {
         ID: 'CLD_2018',
@@ -50,10 +99,15 @@ exports.SAMPLE_COURSES = [
         Year: 2018,
         Name: 'Cloud Computing',
         Teacher: 'daisy.duck@heig-vd.ch',
+        Staff: [],
         Students: [
             'amel.dussier@heig-vd.ch'
         ],
-        Active: false
+        Prerequisites: [],
+        Capacity: 30,
+        State: 'grading',
+        GradingScheme: LABO_TEST_SCHEME,
+        StateHistory: []
     },
     {
         ID: 'CLD_2019',
@@ -61,11 +115,16 @@ exports.SAMPLE_COURSES = [
         Year: 2019,
         Name: 'Cloud Computing',
         Teacher: 'daisy.duck@heig-vd.ch',
+        Staff: [],
         Students: [
             'amel.dussier@heig-vd.ch',
             'elyas.dussier@heig-vd.ch'
         ],
-        Active: false
+        Prerequisites: [],
+        Capacity: 30,
+        State: 'grading',
+        GradingScheme: LABO_TEST_SCHEME,
+        StateHistory: []
     },
     {
         ID: 'CLD_2020',
@@ -73,12 +132,22 @@ exports.SAMPLE_COURSES = [
         Year: 2020,
         Name: 'Cloud Computing',
         Teacher: 'daisy.duck@heig-vd.ch',
+        Staff: [
+            {
+                Member: 'mulan.fa@heig-vd.ch',
+                Permissions: ['view', 'gradeLabo']
+            }
+        ],
         Students: [
             'amel.dussier@heig-vd.ch',
             'elyas.dussier@heig-vd.ch',
             'jade.dussier@heig-vd.ch'
         ],
-        Active: true
+        Prerequisites: [],
+        Capacity: 30,
+        State: 'running',
+        GradingScheme: LABO_TEST_SCHEME,
+        StateHistory: []
     },
     {
         ID: 'SCALA_2020',
@@ -86,12 +155,22 @@ exports.SAMPLE_COURSES = [
         Year: 2020,
         Name: 'Scala',
         Teacher: 'mulan.fa@heig-vd.ch',
+        Staff: [
+            {
+                Member: 'minnie.mouse@heig-vd.ch',
+                Permissions: ['view', 'gradeAll', 'manageRoster']
+            }
+        ],
         Students: [
             'amel.dussier@heig-vd.ch',
             'elyas.dussier@heig-vd.ch',
             'jade.dussier@heig-vd.ch'
         ],
-        Active: true
+        Prerequisites: [],
+        Capacity: 30,
+        State: 'running',
+        GradingScheme: LABO_TEST_EXAM_SCHEME,
+        StateHistory: []
     },
     {
         ID: 'PEN_2020',
@@ -99,12 +178,187 @@ exports.SAMPLE_COURSES = [
         Year: 2020,
         Name: 'Projet d\'entreprise',
         Teacher: 'mulan.fa@heig-vd.ch',
+        Staff: [],
         Students: [
             'amel.dussier@heig-vd.ch',
             'elyas.dussier@heig-vd.ch',
             'jade.dussier@heig-vd.ch'
         ],
-        Active: true
+        Prerequisites: [
+            { Acronym: 'CLD', MinGrade: null }
+        ],
+        Capacity: 30,
+        State: 'running',
+        GradingScheme: EXAM_SCHEME,
+        StateHistory: []
+    }
+];
+
+/**
+ * list of assessments
+ */
+exports.SAMPLE_ASSESSMENTS = [
+    {
+        ID: 'MLG_2018_Labo_1',
+        Course: 'MLG_2018',
+        Name: 'Labo 1',
+        Type: 'Labo',
+        Weight: .25,
+        Date: '2018-10-15',
+        MaxScore: 6
+    },
+    {
+        ID: 'MLG_2018_Test_1',
+        Course: 'MLG_2018',
+        Name: 'Test 1',
+        Type: 'Test',
+        Weight: .25,
+        Date: '2018-12-10',
+        MaxScore: 6
+    },
+    {
+        ID: 'MLG_2018_Exam_1',
+        Course: 'MLG_2018',
+        Name: 'Exam',
+        Type: 'Exam',
+        Weight: .5,
+        Date: '2019-01-28',
+        MaxScore: 6
+    },
+    {
+        ID: 'CLD_2018_Labo_1',
+        Course: 'CLD_2018',
+        Name: 'Labo 1',
+        Type: 'Labo',
+        Weight: .25,
+        Date: '2018-10-15',
+        MaxScore: 6
+    },
+    {
+        ID: 'CLD_2018_Test_1',
+        Course: 'CLD_2018',
+        Name: 'Test 1',
+        Type: 'Test',
+        Weight: .5,
+        Date: '2018-12-10',
+        MaxScore: 6
+    },
+    {
+        ID: 'CLD_2018_Labo_2',
+        Course: 'CLD_2018',
+        Name: 'Labo 2',
+        Type: 'Labo',
+        Weight: .25,
+        Date: '2018-11-19',
+        MaxScore: 6
+    },
+    {
+        ID: 'MLG_2019_Labo_1',
+        Course: 'MLG_2019',
+        Name: 'Labo 1',
+        Type: 'Labo',
+        Weight: .25,
+        Date: '2019-10-15',
+        MaxScore: 6
+    },
+    {
+        ID: 'MLG_2019_Test_1',
+        Course: 'MLG_2019',
+        Name: 'Test 1',
+        Type: 'Test',
+        Weight: .25,
+        Date: '2019-12-10',
+        MaxScore: 6
+    },
+    {
+        ID: 'MLG_2019_Exam_1',
+        Course: 'MLG_2019',
+        Name: 'Exam',
+        Type: 'Exam',
+        Weight: .5,
+        Date: '2020-01-28',
+        MaxScore: 6
+    },
+    {
+        ID: 'CLD_2019_Labo_1',
+        Course: 'CLD_2019',
+        Name: 'Labo 1',
+        Type: 'Labo',
+        Weight: .25,
+        Date: '2019-10-15',
+        MaxScore: 6
+    },
+    {
+        ID: 'CLD_2019_Test_1',
+        Course: 'CLD_2019',
+        Name: 'Test 1',
+        Type: 'Test',
+        Weight: .5,
+        Date: '2019-12-10',
+        MaxScore: 6
+    },
+    {
+        ID: 'CLD_2019_Labo_2',
+        Course: 'CLD_2019',
+        Name: 'Labo 2',
+        Type: 'Labo',
+        Weight: .25,
+        Date: '2019-11-19',
+        MaxScore: 6
+    },
+    {
+        ID: 'MLG_2020_Labo_1',
+        Course: 'MLG_2020',
+        Name: 'Labo 1',
+        Type: 'Labo',
+        Weight: .25,
+        Date: '2020-10-15',
+        MaxScore: 6
+    },
+    {
+        ID: 'MLG_2020_Test_1',
+        Course: 'MLG_2020',
+        Name: 'Test 1',
+        Type: 'Test',
+        Weight: .25,
+        Date: '2020-12-10',
+        MaxScore: 6
+    },
+    {
+        ID: 'CLD_2020_Labo_1',
+        Course: 'CLD_2020',
+        Name: 'Labo 1',
+        Type: 'Labo',
+        Weight: .25,
+        Date: '2020-10-15',
+        MaxScore: 6
+    },
+    {
+        ID: 'CLD_2020_Test_1',
+        Course: 'CLD_2020',
+        Name: 'Test 1',
+        Type: 'Test',
+        Weight: .5,
+        Date: '2020-12-10',
+        MaxScore: 6
+    },
+    {
+        ID: 'SCALA_2020_Labo_1',
+        Course: 'SCALA_2020',
+        Name: 'Labo 1',
+        Type: 'Labo',
+        Weight: .25,
+        Date: '2020-10-15',
+        MaxScore: 6
+    },
+    {
+        ID: 'PEN_2020_Exam_1',
+        Course: 'PEN_2020',
+        Name: 'Exam',
+        Type: 'Exam',
+        Weight: 1,
+        Date: '2021-01-28',
+        MaxScore: 6
     }
 ];
 
@@ -116,6 +370,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2200',
         Student: 'amel.dussier@heig-vd.ch',
         Course: 'MLG_2018',
+        Assessment: 'MLG_2018_Labo_1',
         Value: 3,
         Weight: .25,
         Type: 'Labo'
@@ -124,6 +379,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2201',
         Student: 'amel.dussier@heig-vd.ch',
         Course: 'MLG_2018',
+        Assessment: 'MLG_2018_Test_1',
         Value: 3.5,
         Weight: .25,
         Type: 'Test'
@@ -132,6 +388,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2202',
         Student: 'amel.dussier@heig-vd.ch',
         Course: 'MLG_2018',
+        Assessment: 'MLG_2018_Exam_1',
         Value: 2.5,
         Weight: .5,
         Type: 'Exam'
@@ -140,6 +397,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2203',
         Student: 'amel.dussier@heig-vd.ch',
         Course: 'CLD_2018',
+        Assessment: 'CLD_2018_Labo_1',
         Value: 4,
         Weight: .25,
         Type: 'Labo'
@@ -148,6 +406,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2204',
         Student: 'amel.dussier@heig-vd.ch',
         Course: 'CLD_2018',
+        Assessment: 'CLD_2018_Test_1',
         Value: 3.5,
         Weight: .5,
         Type: 'Test'
@@ -156,6 +415,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2205',
         Student: 'amel.dussier@heig-vd.ch',
         Course: 'CLD_2018',
+        Assessment: 'CLD_2018_Labo_2',
         Value: 2.5,
         Weight: .25,
         Type: 'Labo'
@@ -164,6 +424,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2206',
         Student: 'amel.dussier@heig-vd.ch',
         Course: 'MLG_2019',
+        Assessment: 'MLG_2019_Labo_1',
         Value: 4.5,
         Weight: .25,
         Type: 'Labo'
@@ -172,6 +433,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2207',
         Student: 'amel.dussier@heig-vd.ch',
         Course: 'MLG_2019',
+        Assessment: 'MLG_2019_Test_1',
         Value: 3.5,
         Weight: .25,
         Type: 'Test'
@@ -180,6 +442,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2208',
         Student: 'amel.dussier@heig-vd.ch',
         Course: 'MLG_2019',
+        Assessment: 'MLG_2019_Exam_1',
         Value: 3,
         Weight: .5,
         Type: 'Exam'
@@ -188,6 +451,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2209',
         Student: 'amel.dussier@heig-vd.ch',
         Course: 'CLD_2019',
+        Assessment: 'CLD_2019_Labo_1',
         Value: 4,
         Weight: .25,
         Type: 'Labo'
@@ -196,6 +460,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2210',
         Student: 'amel.dussier@heig-vd.ch',
         Course: 'CLD_2019',
+        Assessment: 'CLD_2019_Test_1',
         Value: 4,
         Weight: .5,
         Type: 'Test'
@@ -204,6 +469,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2211',
         Student: 'amel.dussier@heig-vd.ch',
         Course: 'CLD_2019',
+        Assessment: 'CLD_2019_Labo_2',
         Value: 3.5,
         Weight: .25,
         Type: 'Labo'
@@ -212,6 +478,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2212',
         Student: 'amel.dussier@heig-vd.ch',
         Course: 'MLG_2020',
+        Assessment: 'MLG_2020_Labo_1',
         Value: 5.5,
         Weight: .25,
         Type: 'Labo'
@@ -220,6 +487,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2213',
         Student: 'amel.dussier@heig-vd.ch',
         Course: 'MLG_2020',
+        Assessment: 'MLG_2020_Test_1',
         Value: 4.5,
         Weight: .25,
         Type: 'Test'
@@ -228,6 +496,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2214',
         Student: 'amel.dussier@heig-vd.ch',
         Course: 'CLD_2020',
+        Assessment: 'CLD_2020_Labo_1',
         Value: 5,
         Weight: .25,
         Type: 'Labo'
@@ -236,6 +505,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2215',
         Student: 'amel.dussier@heig-vd.ch',
         Course: 'CLD_2020',
+        Assessment: 'CLD_2020_Test_1',
         Value: 4.5,
         Weight: .5,
         Type: 'Test'
@@ -244,6 +514,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2216',
         Student: 'amel.dussier@heig-vd.ch',
         Course: 'SCALA_2020',
+        Assessment: 'SCALA_2020_Labo_1',
         Value: 4.5,
         Weight: .25,
         Type: 'Labo'
@@ -252,6 +523,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2217',
         Student: 'amel.dussier@heig-vd.ch',
         Course: 'PEN_2020',
+        Assessment: 'PEN_2020_Exam_1',
         Value: 4.5,
         Weight: 1,
         Type: 'Exam'
@@ -260,6 +532,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2218',
         Student: 'elyas.dussier@heig-vd.ch',
         Course: 'MLG_2019',
+        Assessment: 'MLG_2019_Labo_1',
         Value: 4,
         Weight: .25,
         Type: 'Labo'
@@ -268,6 +541,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2219',
         Student: 'elyas.dussier@heig-vd.ch',
         Course: 'MLG_2019',
+        Assessment: 'MLG_2019_Test_1',
         Value: 3,
         Weight: .25,
         Type: 'Test'
@@ -276,6 +550,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2220',
         Student: 'elyas.dussier@heig-vd.ch',
         Course: 'MLG_2019',
+        Assessment: 'MLG_2019_Exam_1',
         Value: 3,
         Weight: .5,
         Type: 'Exam'
@@ -284,6 +559,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2221',
         Student: 'elyas.dussier@heig-vd.ch',
         Course: 'CLD_2019',
+        Assessment: 'CLD_2019_Labo_1',
         Value: 2.5,
         Weight: .25,
         Type: 'Labo'
@@ -292,6 +568,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2222',
         Student: 'elyas.dussier@heig-vd.ch',
         Course: 'CLD_2019',
+        Assessment: 'CLD_2019_Test_1',
         Value: 4.5,
         Weight: .5,
         Type: 'Test'
@@ -300,6 +577,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2223',
         Student: 'elyas.dussier@heig-vd.ch',
         Course: 'CLD_2019',
+        Assessment: 'CLD_2019_Labo_2',
         Value: 3.5,
         Weight: .25,
         Type: 'Labo'
@@ -308,6 +586,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2224',
         Student: 'elyas.dussier@heig-vd.ch',
         Course: 'MLG_2020',
+        Assessment: 'MLG_2020_Labo_1',
         Value: 5,
         Weight: .25,
         Type: 'Labo'
@@ -316,6 +595,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2225',
         Student: 'elyas.dussier@heig-vd.ch',
         Course: 'MLG_2020',
+        Assessment: 'MLG_2020_Test_1',
         Value: 5,
         Weight: .25,
         Type: 'Test'
@@ -324,6 +604,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2226',
         Student: 'elyas.dussier@heig-vd.ch',
         Course: 'CLD_2020',
+        Assessment: 'CLD_2020_Labo_1',
         Value: 5.5,
         Weight: .25,
         Type: 'Labo'
@@ -332,6 +613,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2227',
         Student: 'elyas.dussier@heig-vd.ch',
         Course: 'CLD_2020',
+        Assessment: 'CLD_2020_Test_1',
         Value: 6,
         Weight: .5,
         Type: 'Test'
@@ -340,6 +622,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2228',
         Student: 'elyas.dussier@heig-vd.ch',
         Course: 'SCALA_2020',
+        Assessment: 'SCALA_2020_Labo_1',
         Value: 5,
         Weight: .25,
         Type: 'Labo'
@@ -348,6 +631,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2229',
         Student: 'elyas.dussier@heig-vd.ch',
         Course: 'PEN_2020',
+        Assessment: 'PEN_2020_Exam_1',
         Value: 5,
         Weight: 1,
         Type: 'Exam'
@@ -356,6 +640,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2230',
         Student: 'jade.dussier@heig-vd.ch',
         Course: 'MLG_2020',
+        Assessment: 'MLG_2020_Labo_1',
         Value: 6,
         Weight: .25,
         Type: 'Labo'
@@ -364,6 +649,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2231',
         Student: 'jade.dussier@heig-vd.ch',
         Course: 'MLG_2020',
+        Assessment: 'MLG_2020_Test_1',
         Value: 5.5,
         Weight: .25,
         Type: 'Test'
@@ -372,6 +658,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2232',
         Student: 'jade.dussier@heig-vd.ch',
         Course: 'CLD_2020',
+        Assessment: 'CLD_2020_Labo_1',
         Value: 4.5,
         Weight: .25,
         Type: 'Labo'
@@ -380,6 +667,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2233',
         Student: 'jade.dussier@heig-vd.ch',
         Course: 'CLD_2020',
+        Assessment: 'CLD_2020_Test_1',
         Value: 5,
         Weight: .5,
         Type: 'Test'
@@ -388,6 +676,7 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2234',
         Student: 'jade.dussier@heig-vd.ch',
         Course: 'SCALA_2020',
+        Assessment: 'SCALA_2020_Labo_1',
         Value: 6,
         Weight: .25,
         Type: 'Labo'
@@ -396,8 +685,30 @@ exports.SAMPLE_GRADES = [
         ID: 'e51be259-5960-46d1-8bc5-b587f2ea2235',
         Student: 'jade.dussier@heig-vd.ch',
         Course: 'PEN_2020',
+        Assessment: 'PEN_2020_Exam_1',
         Value: 4.5,
         Weight: 1,
         Type: 'Exam'
     }
-];
\ No newline at end of file
+];
+/**
+ * list of study programs
+ */
+exports.SAMPLE_PROGRAMS = [
+    {
+        ID: 'BINF',
+        Name: 'Bachelor Informatique',
+        Credits: 180,
+        Courses: [
+            { Acronym: 'MLG', Credits: 5, Required: true },
+            { Acronym: 'CLD', Credits: 4, Required: true },
+            { Acronym: 'PEN', Credits: 12, Required: true },
+            { Acronym: 'SCALA', Credits: 3, Required: false }
+        ],
+        Students: [
+            'amel.dussier@heig-vd.ch',
+            'elyas.dussier@heig-vd.ch',
+            'jade.dussier@heig-vd.ch'
+        ]
+    }
+];
@@ -0,0 +1,93 @@
+'use strict';
+
+const { DEFAULT_SCHOOL } = require('./constants');
+
+/**
+ * chaincode school methods
+ * these methods are not exposed in the contract
+ *
+ * each school of the network has its own organization (MSP and CA), the courses, grades, results and programs
+ * belong to the school which added them and are only available to the users enrolled by this school
+ */
+
+/**
+ * Get the school owning an asset
+ *
+ * @param {Object} asset the asset
+ * @returns {string} the MSP id of the school
+ */
+exports.GetSchool = (asset) => {
+    return asset.Org || DEFAULT_SCHOOL;
+};
+
+/**
+ * Get the school of the caller
+ *
+ * @param {Context} ctx context
+ * @returns {string} the MSP id of the school
+ */
+exports.GetCallerSchool = (ctx) => {
+    return ctx.clientIdentity.getMSPID();
+};
+
+/**
+ * Build the id of a new asset of the school of the caller
+ * The ids are prefixed with the MSP id of the school, so that the schools can use the same acronyms and codes
+ *
+ * @param {Context} ctx context
+ * @param {...string} parts the parts of the id (e.g. the acronym and year of a course)
+ * @returns {string} the id (e.g. Org1MSP_MLG_2020)
+ */
+exports.BuildId = (ctx, ...parts) => {
+    return [exports.GetCallerSchool(ctx)].concat(parts).join('_');
+};
+
+/**
+ * Check if the caller belongs to the school owning an asset
+ *
+ * @param {Context} ctx context
+ * @param {Object} asset the asset
+ * @returns {boolean} true if the asset belongs to the school of the caller
+ */
+exports.IsMember = (ctx, asset) => {
+    return exports.GetSchool(asset) === exports.GetCallerSchool(ctx);
+};
+
+/**
+ * Check that the caller belongs to the school owning an asset
+ *
+ * @param {Context} ctx context
+ * @param {Object} asset the asset
+ * @throws {Error} an error if the asset belongs to another school
+ */
+exports.CheckMember = (ctx, asset) => {
+    if (!exports.IsMember(ctx, asset)) {
+        throw new Error(`The asset '${asset.ID}' belongs to another school`);
+    }
+};
+
+/**
+ * Keep the assets of the school of the caller
+ *
+ * @param {Context} ctx context
+ * @param {Object[]} assets the assets
+ * @returns {Object[]} the assets belonging to the school of the caller
+ */
+exports.FilterMembers = (ctx, assets) => {
+    return assets.filter(a => exports.IsMember(ctx, a));
+};
+
+/**
+ * Build the CouchDB selector of the assets of the school of the caller
+ * Used by the paginated queries, whose pages cannot be filtered once read
+ *
+ * @param {Context} ctx context
+ * @returns {Object} the selector (the assets without school belong to the default school)
+ */
+exports.MemberSelector = (ctx) => {
+    const school = exports.GetCallerSchool(ctx);
+    if (school === DEFAULT_SCHOOL) {
+        return { $or: [{ Org: school }, { Org: { $exists: false } }] };
+    }
+    return { Org: school };
+};
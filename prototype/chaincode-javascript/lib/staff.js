@@ -0,0 +1,151 @@
+'use strict';
+
+const { VIEW_PERMISSION, GRADE_LABO_PERMISSION, GRADE_ALL_PERMISSION, MANAGE_ROSTER_PERMISSION, STAFF_PERMISSIONS, STAFF_COURSE_KEY } = require('./constants');
+const helper = require('./helper');
+
+/**
+ * chaincode course staff methods (teacher and delegated permissions)
+ * these methods are not exposed in the contract
+ *
+ * The courses of each teacher and staff member are also stored as staff~course composite keys:
+ * CouchDB cannot index the members of the Staff array, the courses of a member are read from the keys
+ * instead of a query scanning all courses
+ */
+
+/**
+ * Return the permissions of a user for a course
+ * The teacher of the course has all permissions, staff members the ones assigned by the secretariat
+ *
+ * @param {Object} course the course
+ * @param {string} userId the id of the user
+ * @returns {string[]} the permissions, empty if the user is not part of the course staff
+ */
+exports.GetPermissions = (course, userId) => {
+    if (course.Teacher === userId) {
+        return STAFF_PERMISSIONS;
+    }
+    const member = (course.Staff || []).find(m => m.Member === userId);
+    return member ? member.Permissions : [];
+};
+
+/**
+ * Check if a user can see a course and its grades (teacher or staff member)
+ *
+ * @param {Object} course the course
+ * @param {string} userId the id of the user
+ * @returns {boolean} true if the user is part of the course staff
+ */
+exports.CanView = (course, userId) => {
+    return exports.GetPermissions(course, userId).length > 0;
+};
+
+/**
+ * Check if a user can grade the assessments of a type
+ *
+ * @param {Object} course the course
+ * @param {string} userId the id of the user
+ * @param {string} type the assessment type
+ * @returns {boolean} true if the user can add and edit grades of the type
+ */
+exports.CanGrade = (course, userId, type) => {
+    const permissions = exports.GetPermissions(course, userId);
+    return permissions.indexOf(GRADE_ALL_PERMISSION) !== -1 || (type === 'Labo' && permissions.indexOf(GRADE_LABO_PERMISSION) !== -1);
+};
+
+/**
+ * Check if a user can change the state of a course (start the course and its grading period, finalize it)
+ * Besides the teacher, only the staff members allowed to grade all assessments (co-lecturers) can
+ *
+ * @param {Object} course the course
+ * @param {string} userId the id of the user
+ * @returns {boolean} true if the user can apply the teacher transitions of the course
+ */
+exports.CanChangeState = (course, userId) => {
+    return exports.GetPermissions(course, userId).indexOf(GRADE_ALL_PERMISSION) !== -1;
+};
+
+/**
+ * Check if a user can register and unregister students
+ *
+ * @param {Object} course the course
+ * @param {string} userId the id of the user
+ * @returns {boolean} true if the user can manage the course roster
+ */
+exports.CanManageRoster = (course, userId) => {
+    return exports.GetPermissions(course, userId).indexOf(MANAGE_ROSTER_PERMISSION) !== -1;
+};
+
+/**
+ * Return the staff of a course with a member added or replaced
+ *
+ * @param {Object} course the course
+ * @param {string} memberId the id of the staff member
+ * @param {string[]} permissions the permissions of the member (the view permission is always included)
+ * @returns {Object[]} the updated staff list
+ */
+exports.AssignMember = (course, memberId, permissions) => {
+    let staff = (course.Staff || []).filter(m => m.Member !== memberId);
+    staff.push({ Member: memberId, Permissions: [VIEW_PERMISSION].concat(permissions.filter(p => p !== VIEW_PERMISSION)) });
+    return staff;
+};
+
+/**
+ * Return the ids of the teacher and of the staff members of a course
+ *
+ * @param {Object} course the course
+ * @returns {string[]} the ids of the members
+ */
+exports.GetMembers = (course) => {
+    return [course.Teacher].concat((course.Staff || []).map(m => m.Member));
+};
+
+/**
+ * Add the staff to course links of the teacher and of the staff members of a course, and count the new links
+ * in the course count of the members (the method can be called after each change of the staff)
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {Object} course the course
+ */
+exports.AddCourseLinks = async (ctx, course) => {
+    for (const memberId of exports.GetMembers(course)) {
+        const staffKey = await ctx.stub.createCompositeKey(STAFF_COURSE_KEY, [memberId, course.ID]);
+        if (!(await helper.AssetExists(ctx, staffKey))) {
+            await ctx.stub.putState(staffKey, Buffer.from('\u0000'));
+            await helper.AddCourseCount(ctx, memberId, 1);
+        }
+    }
+};
+
+/**
+ * Remove the staff to course link of a revoked staff member (and uncount it)
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {string} memberId the id of the staff member
+ * @param {string} courseId the id of the course
+ */
+exports.DeleteCourseLink = async (ctx, memberId, courseId) => {
+    const staffKey = await ctx.stub.createCompositeKey(STAFF_COURSE_KEY, [memberId, courseId]);
+    if (await helper.AssetExists(ctx, staffKey)) {
+        await ctx.stub.deleteState(staffKey);
+        await helper.AddCourseCount(ctx, memberId, -1);
+    }
+};
+
+/**
+ * Get the courses of a teacher (as teacher of the course or as staff member), from the staff to course links
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {string} memberId the id of the teacher
+ * @returns {Promise<Object[]>} a list of courses, by year and acronym
+ */
+exports.QueryCourses = async (ctx, memberId) => {
+    let courses = [];
+    for (const assetKey of await helper.GetAssetKeysByPartialKey(ctx, STAFF_COURSE_KEY, [memberId])) {
+        const { attributes } = ctx.stub.splitCompositeKey(assetKey);
+        courses.push(await helper.ReadAsset(ctx, attributes[1]));
+    }
+    return helper.SortCourses(courses);
+};
@@ -0,0 +1,76 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * chaincode transcript methods
+ * these methods are not exposed in the contract
+ */
+
+/**
+ * Return the transcript entries for a list of course results
+ * Only the attributes covered by the transcript hash are kept, sorted by result id
+ *
+ * @param {Object[]} results the finalized course results
+ * @returns {Object[]} the transcript entries
+ */
+exports.GetTranscriptResults = (results) => {
+    return results
+        .map(r => ({
+            ID: r.ID,
+            Course: r.Course,
+            Acronym: r.Acronym,
+            Name: r.Name,
+            Year: r.Year,
+            Average: r.Average,
+            Grade: r.Grade,
+            Passed: r.Passed,
+            FinalizedAt: r.FinalizedAt,
+            TxId: r.TxId
+        }))
+        .sort((a, b) => a.ID.localeCompare(b.ID));
+};
+
+/**
+ * Compute the hash of a transcript (SHA-256 of its canonical JSON content)
+ *
+ * @param {string} studentId id of the student
+ * @param {Object[]} results the finalized course results
+ * @returns {string} the hexadecimal hash
+ */
+exports.HashTranscript = (studentId, results) => {
+    const content = JSON.stringify({ Student: studentId, Results: exports.GetTranscriptResults(results) });
+    return crypto.createHash('sha256').update(content).digest('hex');
+};
+
+/**
+ * Return the public view of a transcript, for third party verifiers
+ * The grades are only included if the student chose to disclose them
+ *
+ * @param {Object} transcript the transcript
+ * @returns {Object} the public transcript
+ */
+exports.GetPublicTranscript = (transcript) => {
+    return {
+        ID: transcript.ID,
+        IssuedAt: transcript.IssuedAt,
+        TxId: transcript.TxId,
+        Disclosed: transcript.Disclosed,
+        Results: transcript.Results.map(r => {
+            let result = {
+                Course: r.Course,
+                Acronym: r.Acronym,
+                Name: r.Name,
+                Year: r.Year,
+                FinalizedAt: r.FinalizedAt,
+                TxId: r.TxId
+            };
+            if (transcript.Disclosed) {
+                result.Average = r.Average;
+                result.Grade = r.Grade;
+                result.Passed = r.Passed;
+            }
+            return result;
+        })
+    };
+};
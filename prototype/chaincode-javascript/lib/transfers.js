@@ -0,0 +1,78 @@
+'use strict';
+
+const { CREDIT_TRANSFER_TYPE, RESULT_TYPE, ENROLLMENT_ID_ATTRIBUTE } = require('./constants');
+const helper = require('./helper');
+
+/**
+ * chaincode credit transfer methods
+ * these methods are not exposed in the contract
+ *
+ * a student asks the school of the student to recognize a course passed in another school: the school of the course
+ * first confirms the result, then the school of the student approves the transfer, which adds a result for the student
+ */
+
+/**
+ * Get a credit transfer request and check its status
+ *
+ * @async
+ * @param {Context} ctx context
+ * @param {string} id the id of the request
+ * @param {string[]} statuses the expected statuses
+ * @returns {Promise<Object>} the credit transfer request
+ */
+exports.ReadTransfer = async (ctx, id, statuses) => {
+    let request = await helper.ReadAsset(ctx, id);
+    if (request.docType !== CREDIT_TRANSFER_TYPE) {
+        throw new Error(`The asset '${id}' is not a credit transfer request`);
+    }
+    if (statuses.indexOf(request.Status) === -1) {
+        throw new Error(`The credit transfer request '${id}' has already been ${request.Status}`);
+    }
+    return request;
+};
+
+/**
+ * Get the result confirmed by the school of the course of a credit transfer
+ *
+ * @param {Object} result the finalized course result
+ * @returns {Object} the confirmed result
+ */
+exports.GetConfirmedResult = (result) => {
+    return {
+        ID: result.ID,
+        Acronym: result.Acronym,
+        Year: result.Year,
+        Name: result.Name,
+        Average: result.Average,
+        Grade: result.Grade
+    };
+};
+
+/**
+ * Build the result added for the student by an approved credit transfer
+ * The result is owned by the school of the student, under the acronym of the recognized course
+ *
+ * @param {Context} ctx context
+ * @param {Object} request the credit transfer request
+ * @returns {Object} the transferred result
+ */
+exports.BuildTransferredResult = (ctx, request) => {
+    return {
+        ID: request.Result.ID + '_' + request.Org,
+        docType: RESULT_TYPE,
+        Org: request.Org,
+        Course: request.SourceCourse,
+        Acronym: request.Acronym,
+        Year: request.Result.Year,
+        Name: request.Result.Name,
+        Student: request.Student,
+        Average: request.Result.Average,
+        Grade: request.Result.Grade,
+        Passed: true,
+        Transfer: request.ID,
+        SourceOrg: request.SourceOrg,
+        FinalizedBy: ctx.clientIdentity.getAttributeValue(ENROLLMENT_ID_ATTRIBUTE),
+        FinalizedAt: ctx.stub.getDateTimestamp().toISOString(),
+        TxId: ctx.stub.getTxID()
+    };
+};
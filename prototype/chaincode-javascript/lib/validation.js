@@ -0,0 +1,491 @@
+'use strict';
+
+const { GRADE_MIN_WEIGHT, GRADE_MAX_WEIGHT, GRADE_TYPES, INVALID_GRADE_VALUE, INVALID_GRADE_WEIGHT, INVALID_GRADE_TYPE, INVALID_SCHEME_SCALE, INVALID_SCHEME_PASS_THRESHOLD, INVALID_SCHEME_ROUNDING, INVALID_SCHEME_TYPES, INVALID_ASSESSMENT_NAME, INVALID_ASSESSMENT_TYPE, INVALID_ASSESSMENT_WEIGHT, INVALID_ASSESSMENT_DATE, INVALID_ASSESSMENT_MAX_SCORE, INVALID_STAFF_PERMISSIONS, STAFF_PERMISSIONS, INVALID_COURSE_CAPACITY, INVALID_COURSE_PREREQUISITES, INVALID_PROGRAM_NAME, INVALID_PROGRAM_CREDITS, INVALID_PROGRAM_COURSES, INVALID_ENDORSEMENT_ORGS, INVALID_PAGE_SIZE, INVALID_COURSE_IDS, MAX_PAGE_SIZE } = require('./constants');
+const grading = require('./grading');
+
+/**
+ * chaincode input validation methods
+ * these methods are not exposed in the contract
+ *
+ * validation errors are reported as '[CODE] message' so that clients
+ * can map them back to the corresponding input fields
+ */
+
+/**
+ * Parse a decimal number
+ *
+ * @param {*} input the number or its string representation
+ * @returns {number} the parsed number, NaN if the input is not a number
+ */
+function ParseNumber(input) {
+    if (typeof input === 'number') {
+        return input;
+    }
+    if (typeof input !== 'string' || input.trim().length === 0) {
+        return NaN;
+    }
+    return Number(input);
+}
+
+/**
+ * Check if a parsed JSON value is an object (not null nor an array)
+ *
+ * @param {*} value the parsed value
+ * @returns {boolean} true if the value is an object
+ */
+function IsObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate and parse the attributes of a grade
+ *
+ * @param {*} value grade value (within the scale of the grading scheme)
+ * @param {*} weight grade weight (0.1 to 1.0)
+ * @param {*} type grade type (one of the types of the grading scheme)
+ * @param {Object} scheme the grading scheme of the course
+ * @param {Object[]} otherGrades the other grades of the student for the course
+ * @returns {Object} the parsed attributes (Value, Weight and Type)
+ * @throws {Error} an error listing all validation failures
+ */
+exports.ValidateGrade = (value, weight, type, scheme, otherGrades) => {
+    let errors = [];
+
+    // check value
+    const parsedValue = ParseNumber(value);
+    if (!Number.isFinite(parsedValue) || parsedValue < scheme.MinValue || parsedValue > scheme.MaxValue) {
+        errors.push(`[${INVALID_GRADE_VALUE}] The grade value must be a number between ${scheme.MinValue.toFixed(1)} and ${scheme.MaxValue.toFixed(1)}`);
+    }
+
+    // check type
+    const schemeType = scheme.Types.find(t => t.Type === type);
+    if (!schemeType) {
+        errors.push(`[${INVALID_GRADE_TYPE}] The grade type must be one of: ${scheme.Types.map(t => t.Type).join(', ')}`);
+    }
+
+    // check weight
+    const parsedWeight = ParseNumber(weight);
+    if (!Number.isFinite(parsedWeight) || parsedWeight < GRADE_MIN_WEIGHT || parsedWeight > GRADE_MAX_WEIGHT) {
+        errors.push(`[${INVALID_GRADE_WEIGHT}] The grade weight must be a number between ${GRADE_MIN_WEIGHT.toFixed(1)} and ${GRADE_MAX_WEIGHT.toFixed(1)}`);
+    }
+    else if (schemeType) {
+        // check the total weight of the type
+        const totalWeight = grading.GetTotalWeight(otherGrades, type) + parsedWeight;
+        if (totalWeight > schemeType.Weight && !grading.SameWeight(totalWeight, schemeType.Weight)) {
+            errors.push(`[${INVALID_GRADE_WEIGHT}] The total weight of the ${type} grades cannot exceed ${schemeType.Weight}`);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid grade: ${errors.join('; ')}`);
+    }
+
+    return { Value: parsedValue, Weight: parsedWeight, Type: type };
+};
+
+/**
+ * Validate and parse the value of a grade for an assessment
+ * The weight and type of the grade are the ones of the assessment
+ *
+ * @param {*} value grade value (between the scale minimum and the assessment max score)
+ * @param {Object} assessment the assessment
+ * @param {Object} scheme the grading scheme of the course
+ * @param {Object[]} otherGrades the other grades of the student for the course
+ * @returns {Object} the parsed attributes (Value, Weight and Type)
+ * @throws {Error} an error listing all validation failures
+ */
+exports.ValidateAssessmentGrade = (value, assessment, scheme, otherGrades) => {
+
+    // check that the student is graded only once per assessment
+    if (assessment.ID && otherGrades.some(g => g.Assessment === assessment.ID)) {
+        throw new Error(`The student already has a grade for the assessment '${assessment.Name}'`);
+    }
+
+    // the assessment max score replaces the maximum of the scale
+    const maxValue = assessment.MaxScore !== undefined ? assessment.MaxScore : scheme.MaxValue;
+    return exports.ValidateGrade(value, assessment.Weight, assessment.Type, Object.assign({}, scheme, { MaxValue: maxValue }), otherGrades);
+};
+
+/**
+ * Validate and parse the attributes of an assessment
+ *
+ * @param {*} name assessment name
+ * @param {*} type assessment type (one of the types of the grading scheme)
+ * @param {*} weight assessment weight (0.1 to 1.0)
+ * @param {*} date assessment date (YYYY-MM-DD)
+ * @param {*} maxScore maximum grade value of the assessment (within the scale of the grading scheme)
+ * @param {Object} scheme the grading scheme of the course
+ * @param {Object[]} otherAssessments the other assessments of the course
+ * @returns {Object} the parsed attributes (Name, Type, Weight, Date and MaxScore)
+ * @throws {Error} an error listing all validation failures
+ */
+exports.ValidateAssessment = (name, type, weight, date, maxScore, scheme, otherAssessments) => {
+    let errors = [];
+
+    // check name
+    if (typeof name !== 'string' || name.trim().length === 0) {
+        errors.push(`[${INVALID_ASSESSMENT_NAME}] The assessment name is mandatory`);
+    }
+    else if (otherAssessments.some(a => a.Name === name.trim())) {
+        errors.push(`[${INVALID_ASSESSMENT_NAME}] An assessment with the same name exists already`);
+    }
+
+    // check type
+    const schemeType = scheme.Types.find(t => t.Type === type);
+    if (!schemeType) {
+        errors.push(`[${INVALID_ASSESSMENT_TYPE}] The assessment type must be one of: ${scheme.Types.map(t => t.Type).join(', ')}`);
+    }
+
+    // check weight
+    const parsedWeight = ParseNumber(weight);
+    if (!Number.isFinite(parsedWeight) || parsedWeight < GRADE_MIN_WEIGHT || parsedWeight > GRADE_MAX_WEIGHT) {
+        errors.push(`[${INVALID_ASSESSMENT_WEIGHT}] The assessment weight must be a number between ${GRADE_MIN_WEIGHT.toFixed(1)} and ${GRADE_MAX_WEIGHT.toFixed(1)}`);
+    }
+    else if (schemeType) {
+        // check the total weight of the type
+        const totalWeight = grading.GetTotalWeight(otherAssessments, type) + parsedWeight;
+        if (totalWeight > schemeType.Weight && !grading.SameWeight(totalWeight, schemeType.Weight)) {
+            errors.push(`[${INVALID_ASSESSMENT_WEIGHT}] The total weight of the ${type} assessments cannot exceed ${schemeType.Weight}`);
+        }
+    }
+
+    // check date
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+        errors.push(`[${INVALID_ASSESSMENT_DATE}] The assessment date must be a valid date (YYYY-MM-DD)`);
+    }
+
+    // check max score
+    const parsedMaxScore = ParseNumber(maxScore);
+    if (!Number.isFinite(parsedMaxScore) || parsedMaxScore <= scheme.MinValue || parsedMaxScore > scheme.MaxValue) {
+        errors.push(`[${INVALID_ASSESSMENT_MAX_SCORE}] The max score must be a number above ${scheme.MinValue.toFixed(1)} and up to ${scheme.MaxValue.toFixed(1)}`);
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid assessment: ${errors.join('; ')}`);
+    }
+
+    return { Name: name.trim(), Type: type, Weight: parsedWeight, Date: date, MaxScore: parsedMaxScore };
+};
+
+/**
+ * Validate and parse a grading scheme
+ *
+ * @param {string} input the grading scheme as JSON string
+ * @returns {Object} the parsed grading scheme
+ * @throws {Error} an error listing all validation failures
+ */
+exports.ValidateGradingScheme = (input) => {
+    let errors = [];
+
+    let scheme;
+    try {
+        scheme = JSON.parse(input);
+    }
+    catch (err) {
+        throw new Error(`Invalid grading scheme: ${err.message}`);
+    }
+    if (!scheme || typeof scheme !== 'object') {
+        throw new Error('Invalid grading scheme: an object is expected');
+    }
+
+    // check scale
+    const minValue = ParseNumber(scheme.MinValue);
+    const maxValue = ParseNumber(scheme.MaxValue);
+    if (!Number.isFinite(minValue) || !Number.isFinite(maxValue) || minValue >= maxValue) {
+        errors.push(`[${INVALID_SCHEME_SCALE}] The scale minimum must be lower than the scale maximum`);
+    }
+
+    // check pass threshold
+    const passThreshold = ParseNumber(scheme.PassThreshold);
+    if (!Number.isFinite(passThreshold) || passThreshold < minValue || passThreshold > maxValue) {
+        errors.push(`[${INVALID_SCHEME_PASS_THRESHOLD}] The pass threshold must be within the scale`);
+    }
+
+    // check rounding
+    const rounding = ParseNumber(scheme.Rounding);
+    if (!Number.isFinite(rounding) || rounding < 0) {
+        errors.push(`[${INVALID_SCHEME_ROUNDING}] The rounding step must be a positive number (0 for no rounding)`);
+    }
+
+    // check types and weights
+    let types = [];
+    if (!Array.isArray(scheme.Types) || scheme.Types.length === 0) {
+        errors.push(`[${INVALID_SCHEME_TYPES}] At least one grade type is required`);
+    }
+    else if (!scheme.Types.every(IsObject)) {
+        errors.push(`[${INVALID_SCHEME_TYPES}] Each grade type must be an object with a Type and a Weight`);
+    }
+    else {
+        types = scheme.Types.map(t => ({ Type: t.Type, Weight: ParseNumber(t.Weight) }));
+        if (types.some(t => GRADE_TYPES.indexOf(t.Type) === -1)) {
+            errors.push(`[${INVALID_SCHEME_TYPES}] The grade types must be among: ${GRADE_TYPES.join(', ')}`);
+        }
+        else if (types.some((t, i) => types.findIndex(o => o.Type === t.Type) !== i)) {
+            errors.push(`[${INVALID_SCHEME_TYPES}] Each grade type can only be listed once`);
+        }
+        else if (types.some(t => !Number.isFinite(t.Weight) || t.Weight <= 0)) {
+            errors.push(`[${INVALID_SCHEME_TYPES}] The weight of each grade type must be a positive number`);
+        }
+        else if (!grading.SameWeight(types.reduce((total, t) => total + t.Weight, 0), 1)) {
+            errors.push(`[${INVALID_SCHEME_TYPES}] The weights of the grade types must add up to 1`);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid grading scheme: ${errors.join('; ')}`);
+    }
+
+    return {
+        MinValue: minValue,
+        MaxValue: maxValue,
+        PassThreshold: passThreshold,
+        Rounding: rounding,
+        Types: types
+    };
+};
+
+/**
+ * Validate and parse the permissions of a course staff member
+ *
+ * @param {string} input the permissions as JSON array (e.g. ["view", "gradeLabo"])
+ * @returns {string[]} the parsed permissions, without duplicates
+ * @throws {Error} an error if a permission is unknown or if the list is empty
+ */
+exports.ValidateStaffPermissions = (input) => {
+    let permissions;
+    try {
+        permissions = JSON.parse(input);
+    }
+    catch (err) {
+        throw new Error(`Invalid staff permissions: ${err.message}`);
+    }
+
+    if (!Array.isArray(permissions) || permissions.length === 0) {
+        throw new Error(`Invalid staff permissions: [${INVALID_STAFF_PERMISSIONS}] At least one permission is required`);
+    }
+    if (permissions.some(p => STAFF_PERMISSIONS.indexOf(p) === -1)) {
+        throw new Error(`Invalid staff permissions: [${INVALID_STAFF_PERMISSIONS}] The permissions must be among: ${STAFF_PERMISSIONS.join(', ')}`);
+    }
+
+    return STAFF_PERMISSIONS.filter(p => permissions.indexOf(p) !== -1);
+};
+
+/**
+ * Validate and parse the capacity of a course
+ *
+ * @param {*} capacity the maximum number of students
+ * @param {number} registered the number of students already registered
+ * @returns {number} the parsed capacity
+ * @throws {Error} an error if the capacity is not a positive integer or is lower than the number of registered students
+ */
+exports.ValidateCapacity = (capacity, registered) => {
+    const parsedCapacity = ParseNumber(capacity);
+    if (!Number.isInteger(parsedCapacity) || parsedCapacity < 1) {
+        throw new Error(`Invalid capacity: [${INVALID_COURSE_CAPACITY}] The capacity must be a positive integer`);
+    }
+    if (parsedCapacity < registered) {
+        throw new Error(`Invalid capacity: [${INVALID_COURSE_CAPACITY}] The capacity cannot be lower than the number of registered students (${registered})`);
+    }
+    return parsedCapacity;
+};
+
+/**
+ * Validate and parse a list of request ids
+ *
+ * @param {string} input the ids as JSON array
+ * @returns {string[]} the parsed ids, without duplicates
+ * @throws {Error} an error if the list is not an array of strings or is empty
+ */
+exports.ValidateRequestIds = (input) => {
+    let ids;
+    try {
+        ids = JSON.parse(input);
+    }
+    catch (err) {
+        throw new Error(`Invalid request ids: ${err.message}`);
+    }
+
+    if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => typeof id !== 'string')) {
+        throw new Error('Invalid request ids: At least one request id is required');
+    }
+
+    return ids.filter((id, i) => ids.indexOf(id) === i);
+};
+
+/**
+ * Validate and parse the prerequisites of a course
+ *
+ * @param {string} input the prerequisites as JSON array (e.g. [{"Acronym": "MLG", "MinGrade": 4.5}], without minimum grade a passed result is required)
+ * @param {string} acronym the acronym of the course (a course cannot require itself)
+ * @returns {Object[]} the parsed prerequisites (Acronym and MinGrade, null if not set)
+ * @throws {Error} an error listing all validation failures
+ */
+exports.ValidatePrerequisites = (input, acronym) => {
+    let prerequisites;
+    try {
+        prerequisites = JSON.parse(input);
+    }
+    catch (err) {
+        throw new Error(`Invalid prerequisites: ${err.message}`);
+    }
+
+    if (!Array.isArray(prerequisites)) {
+        throw new Error(`Invalid prerequisites: [${INVALID_COURSE_PREREQUISITES}] The prerequisites must be a list`);
+    }
+    if (!prerequisites.every(IsObject)) {
+        throw new Error(`Invalid prerequisites: [${INVALID_COURSE_PREREQUISITES}] Each prerequisite must be an object with an Acronym`);
+    }
+
+    let errors = [];
+    const parsed = prerequisites.map(p => ({
+        Acronym: typeof p.Acronym === 'string' ? p.Acronym.trim() : '',
+        MinGrade: p.MinGrade === undefined || p.MinGrade === null || p.MinGrade === '' ? null : ParseNumber(p.MinGrade)
+    }));
+    if (parsed.some(p => p.Acronym.length === 0)) {
+        errors.push(`[${INVALID_COURSE_PREREQUISITES}] Each prerequisite needs a course acronym`);
+    }
+    else if (parsed.some(p => p.Acronym === acronym)) {
+        errors.push(`[${INVALID_COURSE_PREREQUISITES}] A course cannot be its own prerequisite`);
+    }
+    else if (parsed.some((p, i) => parsed.findIndex(o => o.Acronym === p.Acronym) !== i)) {
+        errors.push(`[${INVALID_COURSE_PREREQUISITES}] Each prerequisite acronym can only be listed once`);
+    }
+    if (parsed.some(p => p.MinGrade !== null && !Number.isFinite(p.MinGrade))) {
+        errors.push(`[${INVALID_COURSE_PREREQUISITES}] The minimum grades must be numbers`);
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid prerequisites: ${errors.join('; ')}`);
+    }
+
+    return parsed;
+};
+
+/**
+ * Validate and parse the attributes of a study program
+ *
+ * @param {*} name name of the program
+ * @param {*} credits number of ECTS credits required to complete the program
+ * @param {string} courses the courses of the program as JSON array (e.g. [{"Acronym": "MLG", "Credits": 5, "Required": true}])
+ * @returns {Object} the parsed attributes (Name, Credits and Courses)
+ * @throws {Error} an error listing all validation failures
+ */
+exports.ValidateProgram = (name, credits, courses) => {
+    let errors = [];
+
+    // name
+    const parsedName = typeof name === 'string' ? name.trim() : '';
+    if (parsedName.length === 0) {
+        errors.push(`[${INVALID_PROGRAM_NAME}] The name is required`);
+    }
+
+    // credits
+    const parsedCredits = ParseNumber(credits);
+    if (!Number.isInteger(parsedCredits) || parsedCredits < 1) {
+        errors.push(`[${INVALID_PROGRAM_CREDITS}] The credits must be a positive integer`);
+    }
+
+    // courses
+    let parsedCourses = [];
+    try {
+        parsedCourses = JSON.parse(courses);
+    }
+    catch (err) {
+        throw new Error(`Invalid program: ${err.message}`);
+    }
+    if (!Array.isArray(parsedCourses)) {
+        errors.push(`[${INVALID_PROGRAM_COURSES}] The courses must be a list`);
+        parsedCourses = [];
+    }
+    else if (!parsedCourses.every(IsObject)) {
+        errors.push(`[${INVALID_PROGRAM_COURSES}] Each course must be an object with an Acronym and Credits`);
+        throw new Error(`Invalid program: ${errors.join('; ')}`);
+    }
+    parsedCourses = parsedCourses.map(c => ({
+        Acronym: typeof c.Acronym === 'string' ? c.Acronym.trim() : '',
+        Credits: ParseNumber(c.Credits),
+        Required: c.Required === true || c.Required === 'true'
+    }));
+    if (parsedCourses.length === 0) {
+        errors.push(`[${INVALID_PROGRAM_COURSES}] At least one course is required`);
+    }
+    else if (parsedCourses.some(c => c.Acronym.length === 0)) {
+        errors.push(`[${INVALID_PROGRAM_COURSES}] Each course needs an acronym`);
+    }
+    else if (parsedCourses.some((c, i) => parsedCourses.findIndex(o => o.Acronym === c.Acronym) !== i)) {
+        errors.push(`[${INVALID_PROGRAM_COURSES}] Each course acronym can only be listed once`);
+    }
+    if (parsedCourses.some(c => !Number.isInteger(c.Credits) || c.Credits < 1)) {
+        errors.push(`[${INVALID_PROGRAM_COURSES}] The course credits must be positive integers`);
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid program: ${errors.join('; ')}`);
+    }
+
+    return { Name: parsedName, Credits: parsedCredits, Courses: parsedCourses };
+};
+
+
+/**
+ * Validate and parse a list of organizations (endorsement policies)
+ *
+ * @param {string} input the MSP ids of the organizations as JSON array (e.g. ["Org2MSP"])
+ * @returns {string[]} the parsed MSP ids, without duplicates
+ * @throws {Error} an error if the list is not an array of MSP ids or is empty
+ */
+exports.ValidateOrgs = (input) => {
+    let orgs;
+    try {
+        orgs = JSON.parse(input);
+    }
+    catch (err) {
+        throw new Error(`Invalid organizations: ${err.message}`);
+    }
+
+    if (!Array.isArray(orgs) || orgs.length === 0 || orgs.some(org => typeof org !== 'string' || org.trim().length === 0)) {
+        throw new Error(`Invalid organizations: [${INVALID_ENDORSEMENT_ORGS}] At least one organization MSP id is required`);
+    }
+
+    orgs = orgs.map(org => org.trim());
+    return orgs.filter((org, i) => orgs.indexOf(org) === i);
+};
+
+/**
+ * Validate and parse a batch of course ids (migrations)
+ *
+ * @param {string} input the ids of the courses as JSON array (e.g. ["MLG_2020"])
+ * @returns {string[]} the parsed ids, without duplicates
+ * @throws {Error} an error if the list is not an array of ids, is empty or is longer than the maximum page size
+ */
+exports.ValidateCourseIds = (input) => {
+    let ids;
+    try {
+        ids = JSON.parse(input);
+    }
+    catch (err) {
+        throw new Error(`Invalid courses: ${err.message}`);
+    }
+
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_PAGE_SIZE || ids.some(id => typeof id !== 'string' || id.trim().length === 0)) {
+        throw new Error(`Invalid courses: [${INVALID_COURSE_IDS}] Between 1 and ${MAX_PAGE_SIZE} course ids are required`);
+    }
+
+    ids = ids.map(id => id.trim());
+    return ids.filter((id, i) => ids.indexOf(id) === i);
+};
+
+/**
+ * Validate and parse the page size of a paginated query
+ *
+ * @param {string} input the number of assets per page
+ * @returns {number} the parsed page size
+ * @throws {Error} an error if the page size is not an integer between 1 and the maximum page size
+ */
+exports.ValidatePageSize = (input) => {
+    const parsedPageSize = ParseNumber(input);
+    if (!Number.isInteger(parsedPageSize) || parsedPageSize < 1 || parsedPageSize > MAX_PAGE_SIZE) {
+        throw new Error(`Invalid page size: [${INVALID_PAGE_SIZE}] The page size must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    return parsedPageSize;
+};
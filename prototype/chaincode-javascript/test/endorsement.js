@@ -0,0 +1,430 @@
+'use strict';
+
+const { ChaincodeStub, ClientIdentity, KeyEndorsementPolicy } = require('fabric-shim');
+const { ROLE_ATTRIBUTE, SECRETARIAT_ROLE, TEACHER_ROLE, RESULT_ENDORSER_ROLE, RESULT_TYPE, COURSE_TYPE, GRADE_TYPE, CREDIT_TRANSFER_TYPE,
+    COURSE_STUDENT_KEY, GRADE_DATA_TRANSIENT_KEY, CLOSED_STATE, GRADING_STATE, PENDING_STATUS, CONFIRMED_STATUS } = require('../lib/constants');
+const { PrototypeContract } = require('..');
+const endorsement = require('../lib/endorsement');
+const privateGrades = require('../lib/privateGrades');
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+
+/**
+ * Build the serialized key-level endorsement policy of some organizations
+ *
+ * @param {...string} orgs MSP ids of the organizations
+ * @returns {Uint8Array} the policy
+ */
+function policyOf(...orgs) {
+    const policy = new KeyEndorsementPolicy();
+    policy.addOrgs(RESULT_ENDORSER_ROLE, ...orgs);
+    return policy.getPolicy();
+}
+
+/**
+ * List the organizations of a serialized key-level endorsement policy
+ *
+ * @param {Uint8Array} policy the policy
+ * @returns {string[]} MSP ids of the organizations
+ */
+function orgsOf(policy) {
+    return new KeyEndorsementPolicy(policy).listOrgs();
+}
+
+/**
+ * Build the private data of a grade and its public hash
+ *
+ * @param {string} id id of the grade (or grade change request)
+ * @param {number} value the grade value
+ * @returns {Object} the private data (Data) and its hash (Hash)
+ */
+function gradeDataOf(id, value) {
+    const data = { Value: value, Comment: '', Salt: 'salt-' + id };
+    return { Data: data, Hash: privateGrades.HashGradeData(id, data) };
+}
+
+/**
+ * Check that a promise is rejected with an error message
+ *
+ * @async
+ * @param {Promise} promise the promise
+ * @param {string} message the expected error message
+ */
+async function expectRejected(promise, message) {
+    let error = null;
+    try {
+        await promise;
+    }
+    catch (err) {
+        error = err;
+    }
+    expect(error).to.be.an('error');
+    expect(error.message).to.equal(message);
+}
+
+// the coverage check of 'npm test' (nyc configuration of package.json) is limited to lib/endorsement.js, the other
+// modules of the chaincode are only partly exercised by these tests
+describe('Result endorsement', () => {
+    let ctx;
+    let state;
+    let policies;
+    let transient;
+
+    /**
+     * Set the caller of the next transactions
+     *
+     * @param {string} role the role of the caller
+     * @param {string} mspId the school of the caller
+     */
+    function callAs(role, mspId) {
+        ctx.clientIdentity.getAttributeValue.withArgs(ROLE_ATTRIBUTE).returns(role);
+        ctx.clientIdentity.getMSPID.returns(mspId);
+    }
+
+    beforeEach(() => {
+        state = {};
+        policies = {};
+        transient = {};
+        ctx = {
+            stub: sinon.createStubInstance(ChaincodeStub),
+            clientIdentity: sinon.createStubInstance(ClientIdentity)
+        };
+        ctx.stub.getState.callsFake(async (key) => Buffer.from(state[key] ? JSON.stringify(state[key]) : ''));
+        ctx.stub.putState.callsFake(async (key, value) => {
+            state[key] = JSON.parse(value.toString());
+        });
+        ctx.stub.getQueryResult.callsFake(async (query) => {
+            const selector = JSON.parse(query).selector;
+            const records = Object.values(state).filter(r => Object.keys(selector).every(k => r[k] === selector[k]));
+            return {
+                next: async () => records.length > 0 ? { value: { value: Buffer.from(JSON.stringify(records.shift())) }, done: false } : { done: true },
+                close: async () => {}
+            };
+        });
+        ctx.stub.getTransient.callsFake(() => ({ has: (key) => key in transient, get: (key) => transient[key] }));
+        ctx.stub.getDateTimestamp.returns(new Date('2021-06-30T10:00:00Z'));
+        ctx.stub.getTxID.returns('tx1');
+        ctx.stub.getStateValidationParameter.callsFake(async (key) => policies[key]);
+        ctx.stub.setStateValidationParameter.callsFake(async (key, policy) => {
+            policies[key] = policy;
+        });
+        ctx.stub.getStateByPartialCompositeKey.callsFake(async (objectType, attributes) => {
+            const keys = Object.keys(state).filter(k => k.startsWith([objectType, ...attributes].join('/') + '/'));
+            return {
+                next: async () => keys.length > 0 ? { value: { key: keys.shift() }, done: false } : { done: true }
+            };
+        });
+        ctx.stub.splitCompositeKey.callsFake((key) => {
+            const [objectType, ...attributes] = key.split('/');
+            return { objectType: objectType, attributes: attributes };
+        });
+        callAs(SECRETARIAT_ROLE, 'Org1MSP');
+
+        state.C1_s1 = { docType: RESULT_TYPE, ID: 'C1_s1', Org: 'Org1MSP' };
+        state.C2_s1 = { docType: RESULT_TYPE, ID: 'C2_s1', Org: 'Org2MSP', SourceOrg: 'Org3MSP' };
+        state.C1 = { docType: COURSE_TYPE, ID: 'C1', Org: 'Org1MSP', State: CLOSED_STATE };
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('endorsement', () => {
+
+        describe('#GetDefaultEndorsers', () => {
+
+            it('should include the organizations of the chaincode endorsement policy', () => {
+                expect(endorsement.GetDefaultEndorsers(state.C1_s1)).to.deep.equal(['Org1MSP', 'Org2MSP']);
+            });
+
+            it('should include the teaching school and the secretariat school of a transferred result', () => {
+                expect(endorsement.GetDefaultEndorsers(state.C2_s1)).to.deep.equal(['Org3MSP', 'Org2MSP', 'Org1MSP']);
+            });
+
+            it('should use the default school for the results added before several schools joined', () => {
+                expect(endorsement.GetDefaultEndorsers({ docType: RESULT_TYPE, ID: 'R' })).to.deep.equal(['Org1MSP', 'Org2MSP']);
+            });
+        });
+
+        describe('#ReadResult', () => {
+
+            it('should return a result of the school of the caller', async () => {
+                expect(await endorsement.ReadResult(ctx, 'C1_s1')).to.deep.equal(state.C1_s1);
+            });
+
+            it('should reject an asset which is not a result', async () => {
+                await expectRejected(endorsement.ReadResult(ctx, 'C1'), 'The asset \'C1\' is not a result');
+            });
+
+            it('should reject a result of another school', async () => {
+                await expectRejected(endorsement.ReadResult(ctx, 'C2_s1'), 'The asset \'C2_s1\' belongs to another school');
+            });
+        });
+
+        describe('#ReadPolicy', () => {
+
+            it('should return a policy without organization for an unprotected result', async () => {
+                expect((await endorsement.ReadPolicy(ctx, 'C1_s1')).listOrgs()).to.deep.equal([]);
+            });
+
+            it('should return the organizations of a protected result', async () => {
+                policies.C1_s1 = policyOf('Org1MSP', 'Org2MSP');
+                expect((await endorsement.ReadPolicy(ctx, 'C1_s1')).listOrgs()).to.have.members(['Org1MSP', 'Org2MSP']);
+            });
+        });
+
+        describe('#PutPolicy', () => {
+
+            it('should set the key-level endorsement policy of the result', async () => {
+                await endorsement.PutPolicy(ctx, 'C1_s1', ['Org1MSP', 'Org3MSP']);
+                expect(ctx.stub.setStateValidationParameter).to.have.been.calledOnceWith('C1_s1');
+                expect(orgsOf(policies.C1_s1)).to.have.members(['Org1MSP', 'Org3MSP']);
+            });
+        });
+
+        describe('#ProtectResult', () => {
+
+            it('should set the default endorsement policy of the result', async () => {
+                await endorsement.ProtectResult(ctx, state.C2_s1);
+                expect(orgsOf(policies.C2_s1)).to.have.members(['Org1MSP', 'Org2MSP', 'Org3MSP']);
+            });
+        });
+
+        describe('#CheckEndorser', () => {
+
+            it('should accept any school for an unprotected result', () => {
+                expect(() => endorsement.CheckEndorser(ctx, 'C1_s1', [])).not.to.throw();
+            });
+
+            it('should accept a school of the policy', () => {
+                expect(() => endorsement.CheckEndorser(ctx, 'C1_s1', ['Org1MSP', 'Org2MSP'])).not.to.throw();
+            });
+
+            it('should reject a school which is not part of the policy', () => {
+                expect(() => endorsement.CheckEndorser(ctx, 'C1_s1', ['Org2MSP', 'Org3MSP'])).to.throw('Your school is not allowed to endorse the changes of the result \'C1_s1\'');
+            });
+        });
+    });
+
+    describe('PrototypeContract', () => {
+        let contract;
+
+        beforeEach(() => {
+            contract = new PrototypeContract();
+        });
+
+        describe('#GetResultEndorsementPolicy', () => {
+
+            it('should reject the users other than the secretariat', async () => {
+                callAs(TEACHER_ROLE, 'Org1MSP');
+                await expectRejected(contract.GetResultEndorsementPolicy(ctx, 'C1_s1'), 'Only secretariat users can access the endorsement policies');
+            });
+
+            it('should flag the default policy', async () => {
+                policies.C1_s1 = policyOf('Org1MSP', 'Org2MSP');
+                expect(await contract.GetResultEndorsementPolicy(ctx, 'C1_s1')).to.deep.equal({ Result: 'C1_s1', Orgs: ['Org1MSP', 'Org2MSP'], Default: true });
+            });
+
+            it('should flag a custom policy', async () => {
+                policies.C1_s1 = policyOf('Org1MSP', 'Org2MSP', 'Org3MSP');
+                expect((await contract.GetResultEndorsementPolicy(ctx, 'C1_s1')).Default).to.equal(false);
+            });
+        });
+
+        describe('#AddResultEndorsers', () => {
+
+            it('should reject the users other than the secretariat', async () => {
+                callAs(TEACHER_ROLE, 'Org1MSP');
+                await expectRejected(contract.AddResultEndorsers(ctx, 'C1_s1', '["Org3MSP"]'), 'Only secretariat users can change the endorsement policies');
+                expect(ctx.stub.setStateValidationParameter).not.to.have.been.called;
+            });
+
+            it('should reject a school which is not part of the policy', async () => {
+                policies.C1_s1 = policyOf('Org2MSP', 'Org3MSP');
+                await expectRejected(contract.AddResultEndorsers(ctx, 'C1_s1', '["Org4MSP"]'), 'Your school is not allowed to endorse the changes of the result \'C1_s1\'');
+                expect(ctx.stub.setStateValidationParameter).not.to.have.been.called;
+            });
+
+            it('should add the organizations to the default policy of an unprotected result', async () => {
+                await contract.AddResultEndorsers(ctx, 'C1_s1', '["Org3MSP"]');
+                expect(orgsOf(policies.C1_s1)).to.have.members(['Org1MSP', 'Org2MSP', 'Org3MSP']);
+            });
+
+            it('should add the organizations to the current policy without duplicates', async () => {
+                policies.C1_s1 = policyOf('Org1MSP', 'Org2MSP', 'Org3MSP');
+                await contract.AddResultEndorsers(ctx, 'C1_s1', '["Org3MSP", "Org4MSP"]');
+                expect(orgsOf(policies.C1_s1)).to.have.members(['Org1MSP', 'Org2MSP', 'Org3MSP', 'Org4MSP']);
+            });
+        });
+
+        describe('#RemoveResultEndorsers', () => {
+
+            beforeEach(() => {
+                policies.C1_s1 = policyOf('Org1MSP', 'Org2MSP', 'Org3MSP');
+            });
+
+            it('should reject the users other than the secretariat', async () => {
+                callAs(TEACHER_ROLE, 'Org1MSP');
+                await expectRejected(contract.RemoveResultEndorsers(ctx, 'C1_s1', '["Org3MSP"]'), 'Only secretariat users can change the endorsement policies');
+                expect(ctx.stub.setStateValidationParameter).not.to.have.been.called;
+            });
+
+            it('should reject a school which is not part of the policy', async () => {
+                policies.C1_s1 = policyOf('Org2MSP', 'Org3MSP');
+                await expectRejected(contract.RemoveResultEndorsers(ctx, 'C1_s1', '["Org3MSP"]'), 'Your school is not allowed to endorse the changes of the result \'C1_s1\'');
+                expect(ctx.stub.setStateValidationParameter).not.to.have.been.called;
+            });
+
+            it('should reject the removal of a default endorser', async () => {
+                await expectRejected(contract.RemoveResultEndorsers(ctx, 'C1_s1', '["Org2MSP"]'), 'The schools of the result \'C1_s1\' and the organizations of the chaincode endorsement policy must always endorse its changes');
+                expect(ctx.stub.setStateValidationParameter).not.to.have.been.called;
+            });
+
+            it('should reject the removal of an organization which is not part of the policy', async () => {
+                await expectRejected(contract.RemoveResultEndorsers(ctx, 'C1_s1', '["Org4MSP"]'), 'The organizations to remove are not part of the endorsement policy of the result \'C1_s1\'');
+                expect(ctx.stub.setStateValidationParameter).not.to.have.been.called;
+            });
+
+            it('should remove the organizations from the policy', async () => {
+                await contract.RemoveResultEndorsers(ctx, 'C1_s1', '["Org3MSP"]');
+                expect(orgsOf(policies.C1_s1)).to.have.members(['Org1MSP', 'Org2MSP']);
+            });
+        });
+
+        describe('#ProtectCourseResults', () => {
+
+            beforeEach(() => {
+                state[`${COURSE_STUDENT_KEY}/C1/s1/`] = '\u0000';
+                state[`${COURSE_STUDENT_KEY}/C1/s2/`] = '\u0000';
+                state[`${COURSE_STUDENT_KEY}/C1/s3/`] = '\u0000';
+                state.C1_s2 = { docType: RESULT_TYPE, ID: 'C1_s2', Org: 'Org1MSP' };
+                policies.C1_s2 = policyOf('Org1MSP', 'Org2MSP', 'Org3MSP');
+            });
+
+            it('should reject the users other than the secretariat', async () => {
+                callAs(TEACHER_ROLE, 'Org1MSP');
+                await expectRejected(contract.ProtectCourseResults(ctx, 'C1'), 'Only secretariat users can change the endorsement policies');
+            });
+
+            it('should reject an asset which is not a course', async () => {
+                await expectRejected(contract.ProtectCourseResults(ctx, 'C1_s1'), 'The asset \'C1_s1\' is not a course');
+            });
+
+            it('should reject a course of another school', async () => {
+                callAs(SECRETARIAT_ROLE, 'Org2MSP');
+                await expectRejected(contract.ProtectCourseResults(ctx, 'C1'), 'The asset \'C1\' belongs to another school');
+            });
+
+            it('should reject a course which is not finalized', async () => {
+                state.C1.State = 'ongoing';
+                await expectRejected(contract.ProtectCourseResults(ctx, 'C1'), 'The course \'C1\' is not finalized');
+            });
+
+            it('should only protect the existing results without policy', async () => {
+                expect(await contract.ProtectCourseResults(ctx, 'C1')).to.equal(1);
+                expect(ctx.stub.setStateValidationParameter).to.have.been.calledOnceWith('C1_s1');
+                expect(orgsOf(policies.C1_s1)).to.have.members(['Org1MSP', 'Org2MSP']);
+                expect(orgsOf(policies.C1_s2)).to.have.members(['Org1MSP', 'Org2MSP', 'Org3MSP']);
+            });
+        });
+
+        // The following transactions write results: only the key-level policy they leave on the written result keys
+        // is checked. Its enforcement (a later change of the result is only valid if it was endorsed by the peers of
+        // every organization of the policy) is done by the peers when they validate the transaction, not by the
+        // chaincode, and needs a running network with the peers of several organizations.
+
+        describe('#FinalizeCourse', () => {
+
+            beforeEach(() => {
+                const grade = gradeDataOf('G3', 5);
+                state.C3 = {
+                    docType: COURSE_TYPE, ID: 'C3', Org: 'Org1MSP', State: GRADING_STATE,
+                    GradingScheme: { MinValue: 1, MaxValue: 6, PassThreshold: 4, Rounding: 0.5, Types: [{ Type: 'Exam', Weight: 1 }] }
+                };
+                state[`${COURSE_STUDENT_KEY}/C3/s1/`] = '\u0000';
+                state.G3 = { docType: GRADE_TYPE, ID: 'G3', Org: 'Org1MSP', Student: 's1', Course: 'C3', Type: 'Exam', Weight: 1, Hash: grade.Hash };
+                transient[GRADE_DATA_TRANSIENT_KEY] = Buffer.from(JSON.stringify({ G3: grade.Data }));
+            });
+
+            it('should protect the finalized results with their default policy', async () => {
+                await contract.FinalizeCourse(ctx, 'C3');
+                expect(state.C3_s1.Grade).to.equal(5);
+                expect(ctx.stub.setStateValidationParameter).to.have.been.calledOnceWith('C3_s1');
+                expect(orgsOf(policies.C3_s1)).to.have.members(['Org1MSP', 'Org2MSP']);
+            });
+
+            it('should protect the results of a school outside of the chaincode endorsement policy', async () => {
+                state.C3.Org = 'Org3MSP';
+                state.G3.Org = 'Org3MSP';
+                callAs(SECRETARIAT_ROLE, 'Org3MSP');
+                await contract.FinalizeCourse(ctx, 'C3');
+                expect(orgsOf(policies.C3_s1)).to.have.members(['Org1MSP', 'Org2MSP', 'Org3MSP']);
+            });
+        });
+
+        describe('#ApproveGradeChange', () => {
+
+            beforeEach(() => {
+                const grade = gradeDataOf('G1', 3);
+                const change = gradeDataOf('R1', 5);
+                state.C1.GradingScheme = { MinValue: 1, MaxValue: 6, PassThreshold: 4, Rounding: 0.5, Types: [{ Type: 'Exam', Weight: 1 }] };
+                state.C1_s1 = Object.assign(state.C1_s1, { Course: 'C1', Student: 's1', Grade: 3, Passed: false });
+                state.G1 = { docType: GRADE_TYPE, ID: 'G1', Org: 'Org1MSP', Student: 's1', Course: 'C1', Type: 'Exam', Weight: 1, Hash: grade.Hash };
+                state.R1 = { ID: 'R1', Org: 'Org1MSP', Grade: 'G1', Status: PENDING_STATUS, Hash: change.Hash };
+                transient[GRADE_DATA_TRANSIENT_KEY] = Buffer.from(JSON.stringify({ R1: change.Data }));
+            });
+
+            it('should keep the policy of the corrected result', async () => {
+                policies.C1_s1 = policyOf('Org1MSP', 'Org2MSP', 'Org3MSP');
+                await contract.ApproveGradeChange(ctx, 'R1', 'ok');
+                expect(state.C1_s1.Grade).to.equal(5);
+                expect(ctx.stub.setStateValidationParameter).to.not.have.been.called;
+                expect(orgsOf(policies.C1_s1)).to.have.members(['Org1MSP', 'Org2MSP', 'Org3MSP']);
+            });
+
+            it('should protect a corrected result finalized before the key-level policies', async () => {
+                await contract.ApproveGradeChange(ctx, 'R1', 'ok');
+                expect(state.C1_s1.Grade).to.equal(5);
+                expect(ctx.stub.setStateValidationParameter).to.have.been.calledOnceWith('C1_s1');
+                expect(orgsOf(policies.C1_s1)).to.have.members(['Org1MSP', 'Org2MSP']);
+            });
+
+            it('should not write the result of a course which is not closed', async () => {
+                state.C1.State = GRADING_STATE;
+                await contract.ApproveGradeChange(ctx, 'R1', 'ok');
+                expect(state.C1_s1.Grade).to.equal(3);
+                expect(ctx.stub.setStateValidationParameter).to.not.have.been.called;
+            });
+        });
+
+        describe('#ApproveCreditTransfer', () => {
+
+            beforeEach(() => {
+                state.T1 = {
+                    docType: CREDIT_TRANSFER_TYPE, ID: 'T1', Org: 'Org3MSP', SourceOrg: 'Org1MSP', SourceCourse: 'C1',
+                    Student: 's1', Acronym: 'X1', Status: CONFIRMED_STATUS,
+                    Result: { ID: 'C1_s1', Year: 2021, Name: 'Course 1', Average: 5.2, Grade: 5 }
+                };
+                callAs(SECRETARIAT_ROLE, 'Org3MSP');
+            });
+
+            it('should require the school of the course to endorse the changes of the transferred result', async () => {
+                await contract.ApproveCreditTransfer(ctx, 'T1', 'ok');
+                expect(state.C1_s1_Org3MSP.SourceOrg).to.equal('Org1MSP');
+                expect(ctx.stub.setStateValidationParameter).to.have.been.calledOnceWith('C1_s1_Org3MSP');
+                expect(orgsOf(policies.C1_s1_Org3MSP)).to.have.members(['Org1MSP', 'Org2MSP', 'Org3MSP']);
+            });
+
+            it('should not write a result before the confirmation of the school of the course', async () => {
+                state.T1.Status = PENDING_STATUS;
+                await expectRejected(contract.ApproveCreditTransfer(ctx, 'T1', 'ok'), 'The credit transfer request \'T1\' must first be confirmed by the school of the course');
+                expect(state.C1_s1_Org3MSP).to.equal(undefined);
+                expect(ctx.stub.setStateValidationParameter).to.not.have.been.called;
+            });
+        });
+    });
+});
@@ -1,3 +1,3 @@
 #!/bin/bash
 cd ../test-network
-./network.sh down && ./network.sh up createChannel -c mychannel -ca -s couchdb && ./network.sh deployCC -ccn prototype -ccl javascript
\ No newline at end of file
+./network.sh down && ./network.sh up createChannel -c mychannel -ca -s couchdb && ./network.sh deployCC -ccn prototype -ccl javascript -cccg ../prototype/chaincode-javascript/collections_config.json
\ No newline at end of file